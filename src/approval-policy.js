@@ -0,0 +1,91 @@
+/**
+ * 审批策略
+ *
+ * agent 请求运行终端命令或应用文件修改时会暂停等待审批。无人值守运行时，
+ * 可按策略自动批准安全操作、拒绝危险操作，其余仍交给客户端处理。
+ *
+ * 策略文件格式（JSON）：
+ *   {
+ *     "default": "ask",              // 无规则命中时的处理：ask（交给客户端）/ accept / reject
+ *     "rules": [
+ *       { "decision": "reject", "match": "rm\\s+-rf" },
+ *       { "decision": "accept", "kind": "command", "match": "^(ls|pwd|git status)([ \\t][^;&|`$<>\\r\\n]*)?$" }
+ *     ]
+ *   }
+ *
+ * 规则按顺序匹配，第一条命中的生效：
+ *   - match  正则（不区分大小写），匹配命令文本，没有命令时匹配卡片全文；省略则匹配全部
+ *   - kind   可选，限定操作类型 command / edit / unknown
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DECISIONS = ['accept', 'reject', 'ask'];
+const KINDS = ['command', 'edit', 'unknown'];
+
+class ApprovalPolicy {
+    /**
+     * @param {{ default?: string, rules?: Array<{ decision: string, kind?: string, match?: string }> }} [config]
+     */
+    constructor(config = {}) {
+        const defaultDecision = config.default || 'ask';
+        if (!DECISIONS.includes(defaultDecision)) {
+            throw new Error(`审批策略的 default 无效: ${defaultDecision}（可选 ${DECISIONS.join(' / ')}）`);
+        }
+        if (config.rules !== undefined && !Array.isArray(config.rules)) {
+            throw new Error('审批策略的 rules 必须是数组');
+        }
+
+        this.defaultDecision = defaultDecision;
+        this.rules = (config.rules || []).map((rule, i) => {
+            if (!rule || !DECISIONS.includes(rule.decision)) {
+                throw new Error(`审批策略 rules[${i}] 的 decision 无效: ${rule && rule.decision}`);
+            }
+            if (rule.kind && !KINDS.includes(rule.kind)) {
+                throw new Error(`审批策略 rules[${i}] 的 kind 无效: ${rule.kind}`);
+            }
+            let match = null;
+            if (rule.match !== undefined) {
+                try {
+                    match = new RegExp(rule.match, 'i');
+                } catch (err) {
+                    throw new Error(`审批策略 rules[${i}] 的 match 不是有效正则: ${err.message}`);
+                }
+            }
+            return { decision: rule.decision, kind: rule.kind || null, match, source: rule.match || null };
+        });
+    }
+
+    /**
+     * 判断待审批操作的处理方式
+     * @param {{ kind: string, command?: string|null, text?: string }} action  注入层 getPendingActions() 的条目
+     * @returns {{ decision: 'accept'|'reject'|'ask', rule: string|null }}  rule 为命中规则的 match（未命中为 null）
+     */
+    decide(action) {
+        const subject = action.command || action.text || '';
+        for (const rule of this.rules) {
+            if (rule.kind && rule.kind !== action.kind) continue;
+            if (rule.match && !rule.match.test(subject)) continue;
+            return { decision: rule.decision, rule: rule.source };
+        }
+        return { decision: this.defaultDecision, rule: null };
+    }
+}
+
+/**
+ * 从 JSON 文件加载审批策略
+ * @param {string} file
+ * @returns {ApprovalPolicy}
+ */
+function loadApprovalPolicy(file) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+    } catch (err) {
+        throw new Error(`无法加载审批策略 ${file}: ${err.message}`);
+    }
+    return new ApprovalPolicy(raw);
+}
+
+module.exports = { ApprovalPolicy, loadApprovalPolicy };
@@ -0,0 +1,126 @@
+/**
+ * 附件参数解析
+ *
+ * send / setText 的 attachments 字段，每项可以是：
+ *   - "data:image/png;base64,..."                      data URL，按粘贴方式放入输入框
+ *   - { type: "image", data, mimeType?, name? }          base64 内容（data 也可以是 data URL）
+ *   - { type: "file", data, name, mimeType? }            base64 文件内容，按粘贴方式放入输入框
+ *   - { type: "file", path }                             附件目录（attachmentDir）中的文件，相对路径以该目录为基准，
+ *                                                        按拖放方式放入输入框；未配置附件目录时不接受路径
+ *   - { type: "mention", query }                         通过 IDE 的 @ 提及选择器引用文件 / 上下文
+ *
+ * 解析结果按投递方式分为三类：paste（base64 内容）、drop（文件路径）、mention。
+ * 路径相关的错误不回显路径，避免远程调用方借此探测服务端的文件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isInside } = require('./path-guard');
+
+const DATA_URL = /^data:([^;,]+)?(;base64)?,(.*)$/s;
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.json': 'application/json',
+};
+
+/**
+ * 校验并规范化附件列表，参数错误时抛出说明具体序号的异常
+ * @param {Array<string|object>|undefined} list
+ * @param {{ dir?: string|null }} [options]  dir: 附件目录，{ type: "file", path } 只能引用其中的文件
+ * @returns {NormalizedAttachment[]}
+ */
+function normalizeAttachments(list, options = {}) {
+    if (list === undefined || list === null) return [];
+    if (!Array.isArray(list)) throw new Error('attachments 必须是数组');
+    return list.map((item, i) => {
+        try {
+            return _normalize(item, i, options.dir || null);
+        } catch (err) {
+            throw new Error(`attachments[${i}] ${err.message}`);
+        }
+    });
+}
+
+function _normalize(item, index, dir) {
+    if (typeof item === 'string') {
+        if (DATA_URL.test(item)) return _fromData({ type: 'image', data: item }, index);
+        throw new Error('字符串只能是 data URL，文件请用 { type: "file", path } 或 { type: "file", data, name }');
+    }
+    if (!item || typeof item !== 'object') throw new Error('必须是字符串或对象');
+
+    if (item.type === 'mention') {
+        if (typeof item.query !== 'string' || !item.query.trim()) throw new Error('缺少 query');
+        return { kind: 'mention', query: item.query.trim() };
+    }
+    if (item.type !== undefined && item.type !== 'image' && item.type !== 'file') {
+        throw new Error(`type 无效: ${item.type}（可选 image / file / mention）`);
+    }
+    if (typeof item.data === 'string') return _fromData(item, index);
+    if (typeof item.path === 'string') {
+        if (item.type !== 'file') throw new Error('path 需要 type: "file"');
+        return _fromPath(item.path, dir);
+    }
+    throw new Error('需要 data（base64）或 path（文件路径）');
+}
+
+function _fromData(item, index) {
+    let data = item.data;
+    let mimeType = item.mimeType || null;
+    const match = DATA_URL.exec(data);
+    if (match) {
+        if (!match[2]) throw new Error('data URL 必须是 base64 编码');
+        mimeType = mimeType || match[1] || null;
+        data = match[3];
+    }
+    data = data.replace(/\s+/g, '');
+    if (!data || !/^[A-Za-z0-9+/]+=*$/.test(data)) throw new Error('data 不是有效的 base64');
+
+    const ext = item.name ? path.extname(item.name).toLowerCase() : '';
+    mimeType = mimeType || MIME_TYPES[ext] || (item.type === 'file' ? 'application/octet-stream' : 'image/png');
+    const name = item.name || `attachment-${index + 1}${_extFor(mimeType)}`;
+    return { kind: 'paste', name, mimeType, data };
+}
+
+function _fromPath(file, dir) {
+    if (!dir) throw new Error('未配置附件目录（attachmentDir），不能按路径附加文件');
+    const root = path.resolve(dir);
+    // 先按字面路径判断，目录外的路径不访问文件系统
+    if (!file || !isInside(root, path.resolve(root, file))) throw new Error('path 必须位于附件目录内');
+
+    let resolved;
+    let stat;
+    try {
+        // 解析符号链接，链接到目录外的文件同样拒绝
+        resolved = fs.realpathSync(path.resolve(root, file));
+        stat = fs.statSync(resolved);
+    } catch {
+        throw new Error('附件目录中没有该文件');
+    }
+    if (!isInside(fs.realpathSync(root), resolved)) throw new Error('path 必须位于附件目录内');
+    if (!stat.isFile()) throw new Error('附件目录中没有该文件');
+    return { kind: 'drop', path: resolved, name: path.basename(resolved) };
+}
+
+function _extFor(mimeType) {
+    for (const [ext, type] of Object.entries(MIME_TYPES)) {
+        if (type === mimeType) return ext;
+    }
+    return '';
+}
+
+/**
+ * @typedef {{ kind: 'paste', name: string, mimeType: string, data: string }
+ *         | { kind: 'drop', path: string, name: string }
+ *         | { kind: 'mention', query: string }} NormalizedAttachment
+ */
+
+module.exports = { normalizeAttachments };
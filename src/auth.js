@@ -0,0 +1,56 @@
+/**
+ * 访问控制
+ *
+ * LinkServer 的 HTTP 路由与 /ws 升级共用的鉴权和来源校验：
+ *   - Bearer 令牌：Authorization: Bearer <token>，或查询参数 ?token=<token>
+ *     （浏览器 WebSocket 无法设置请求头，只能走查询参数）
+ *   - CORS 来源白名单：仅白名单内的 Origin 会得到 CORS 响应头，其余带 Origin 的请求直接拒绝
+ */
+
+const crypto = require('crypto');
+
+/** 未授权时的统一响应体 */
+const UNAUTHORIZED_BODY = { success: false, error: '未授权：缺少或无效的访问令牌' };
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * 从请求中提取令牌
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+function extractToken(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (match) return match[1];
+
+    const query = req.url.indexOf('?');
+    if (query === -1) return null;
+    return new URLSearchParams(req.url.slice(query + 1)).get('token');
+}
+
+/**
+ * 校验令牌（expected 为空表示未启用鉴权）
+ */
+function checkToken(req, expected) {
+    if (!expected) return true;
+    const actual = extractToken(req);
+    if (!actual) return false;
+    const a = Buffer.from(actual);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 检查 Origin 是否在白名单内（无 Origin 的请求来自非浏览器客户端，视为允许）
+ * @param {string|undefined} origin
+ * @param {string[]} allowlist  支持 '*'
+ */
+function isOriginAllowed(origin, allowlist) {
+    if (!origin) return true;
+    return allowlist.includes('*') || allowlist.includes(origin);
+}
+
+module.exports = { UNAUTHORIZED_BODY, generateToken, extractToken, checkToken, isOriginAllowed };
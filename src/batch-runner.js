@@ -0,0 +1,357 @@
+/**
+ * 批量发送
+ *
+ * 把一组提示词逐条经 InputInjector.sendText / waitForReply 发送，每条作为一个 send 任务进入窗口的队列，
+ * 与其他客户端的操作按到达顺序交错执行。
+ *
+ * 条目:
+ *   "提示词"                                         字符串即提示词
+ *   { id?, prompt, vars? }                          prompt（或 text）中的 {{name}} 由 vars 替换，
+ *                                                   条目的 vars 覆盖批次级 vars；缺少变量时启动前即报错
+ *   JSONL 文件每行一个条目（空行与 # 开头的行忽略）
+ *
+ * 选项:
+ *   newConversation  每条之前新建对话
+ *   retries          IDE 界面显示错误（checkError，结果 status 为 error）时的重试次数，默认 2
+ *   retryDelay       首次重试前的等待毫秒数，之后每次翻倍，默认 2000
+ *   output           结果 JSONL 文件，每完成一条追加一行；写入失败时批次以 error 状态结束
+ *
+ * 经 HTTP / WS 提交时，条目文件与 output 只能位于批量目录（batchDir）内，见 resolveBatchPath()；
+ * 命令行 --batch 由本机操作者指定，不受此限制。
+ *
+ * 进度以事件发出（'event', name, data）:
+ *   batch.started   { batchId, total, output }
+ *   batch.item      { batchId, index, id, total, done, success, status, attempts, elapsed, error }
+ *   batch.retry     { batchId, index, id, attempt, delay, error }
+ *   batch.completed { batchId, state, total, succeeded, failed, output, elapsed, error }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ErrorCodes, LinkError } = require('./errors');
+const { isInside } = require('./path-guard');
+
+const BATCH_EVENTS = ['batch.started', 'batch.item', 'batch.retry', 'batch.completed'];
+
+const DEFAULTS = {
+    retries: 2,
+    retryDelay: 2000,
+};
+
+const TEMPLATE_VAR = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+let _nextBatchId = 1;
+
+class BatchRunner extends EventEmitter {
+    /**
+     * @param {import('./target-manager').TargetSession} session
+     * @param {Array<string|object>} items
+     * @param {{ vars?: object, newConversation?: boolean, retries?: number, retryDelay?: number,
+     *           timeout?: number, settleTime?: number, output?: string|null,
+     *           enqueue?: (type: string, run: (signal: AbortSignal) => Promise<any>, meta: object) => object }} [options]
+     *        enqueue: 加入任务队列的方式，默认直接使用 session.queue（LinkServer 传入以附带请求信息与历史记录）
+     */
+    constructor(session, items, options = {}) {
+        super();
+        this.items = prepareItems(items, options.vars || {});
+        this.id = `batch-${_nextBatchId++}`;
+        this.session = session;
+        this.newConversation = !!options.newConversation;
+        this.retries = options.retries ?? DEFAULTS.retries;
+        this.retryDelay = options.retryDelay ?? DEFAULTS.retryDelay;
+        /** 省略时使用注入器的 replyTimeout */
+        this.timeout = options.timeout;
+        this.settleTime = options.settleTime;
+        this.output = options.output ? path.resolve(options.output) : null;
+        this._enqueue = options.enqueue || ((type, run) => session.queue.enqueue(type, run));
+        /** pending / running / completed / cancelled / error（如结果文件无法写入） */
+        this.state = 'pending';
+        this.error = null;
+        this.results = [];
+        this.startedAt = null;
+        this.completedAt = null;
+        this._job = null;
+        this._cancelled = false;
+        /** 取消时中止重试前的等待 */
+        this._abort = new AbortController();
+    }
+
+    get finished() {
+        return this.state === 'completed' || this.state === 'cancelled' || this.state === 'error';
+    }
+
+    /**
+     * 创建结果文件所在目录并确认可以追加写入；在确认批次已启动之前调用，避免启动后才发现无法写入
+     * @throws {LinkError} OPERATION_FAILED（错误信息不含路径）
+     */
+    prepareOutput() {
+        if (!this.output) return;
+        try {
+            fs.mkdirSync(path.dirname(this.output), { recursive: true });
+            fs.closeSync(fs.openSync(this.output, 'a'));
+        } catch (err) {
+            throw new LinkError(ErrorCodes.OPERATION_FAILED, `无法写入结果文件 (${err.code || err.message})`);
+        }
+    }
+
+    /**
+     * 依次执行全部条目；结果文件写入失败时以 error 状态结束，不会抛出异常
+     * @returns {Promise<object>} info()
+     */
+    async run() {
+        this.state = 'running';
+        this.startedAt = Date.now();
+        this._emit('batch.started', { total: this.items.length, output: this.output });
+
+        try {
+            this.prepareOutput();
+            for (const item of this.items) {
+                if (this._cancelled) break;
+                const result = await this._runItem(item);
+                this.results.push(result);
+                if (this.output) await this._append(result);
+                this._emit('batch.item', {
+                    index: item.index,
+                    id: item.id,
+                    total: this.items.length,
+                    done: this.results.length,
+                    success: result.success,
+                    status: result.status,
+                    attempts: result.attempts,
+                    elapsed: result.elapsed,
+                    error: result.error,
+                });
+            }
+            this.state = this._cancelled ? 'cancelled' : 'completed';
+        } catch (err) {
+            this.state = 'error';
+            this.error = err.message;
+        }
+
+        this.completedAt = Date.now();
+        const { total, succeeded, failed } = this.info();
+        this._emit('batch.completed', {
+            state: this.state, total, succeeded, failed, output: this.output,
+            elapsed: Math.round((this.completedAt - this.startedAt) / 1000), error: this.error,
+        });
+        return this.info();
+    }
+
+    /** 取消：执行中的条目随之取消，重试前的等待立即结束，之后的条目不再发送 */
+    cancel() {
+        if (this.finished) return false;
+        this._cancelled = true;
+        this._abort.abort();
+        if (this._job) this.session.queue.cancel(this._job.id);
+        return true;
+    }
+
+    /**
+     * @param {boolean} [withResults]  是否附带每条结果
+     */
+    info(withResults = false) {
+        const succeeded = this.results.filter((r) => r.success).length;
+        const info = {
+            batchId: this.id,
+            target: this.session.id,
+            state: this.state,
+            error: this.error,
+            total: this.items.length,
+            done: this.results.length,
+            succeeded,
+            failed: this.results.length - succeeded,
+            output: this.output,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            completedAt: this.completedAt ? new Date(this.completedAt).toISOString() : null,
+        };
+        if (withResults) info.results = this.results;
+        return info;
+    }
+
+    async _runItem(item) {
+        const startedAt = Date.now();
+        let result;
+        let attempts = 0;
+        for (;;) {
+            attempts++;
+            result = await this._attempt(item);
+            if (result.status !== 'error' || attempts > this.retries || this._cancelled) break;
+
+            const delay = this.retryDelay * 2 ** (attempts - 1);
+            console.log(`[Batch] ${this.id} 第 ${item.index + 1} 条出错，${delay}ms 后重试: ${result.error}`);
+            this._emit('batch.retry', { index: item.index, id: item.id, attempt: attempts, delay, error: result.error });
+            await _sleep(delay, this._abort.signal);
+            if (this._cancelled) break;
+        }
+
+        return {
+            batchId: this.id,
+            index: item.index,
+            id: item.id,
+            prompt: item.prompt,
+            vars: item.vars,
+            success: !!result.success,
+            status: result.status || (result.success ? 'completed' : 'error'),
+            reply: result.reply ?? null,
+            error: result.success ? null : result.error || null,
+            attempts,
+            elapsed: result.elapsed ?? null,
+            completion: result.completion || null,
+            startedAt: new Date(startedAt).toISOString(),
+            completedAt: new Date().toISOString(),
+        };
+    }
+
+    async _attempt(item) {
+        const { injector } = this.session;
+        const run = async (signal) => {
+            if (this.newConversation) {
+                const created = await injector.newConversation();
+                if (!created?.success) return { success: false, stage: 'send', error: created?.error || '新建对话失败' };
+            }
+            const before = await injector.snapshotReply();
+            const sendR = await injector.sendText(item.prompt, 300, { signal });
+            if (!sendR.success) return { success: false, stage: 'send', error: sendR.error, cancelled: sendR.cancelled };
+            await new Promise((r) => setTimeout(r, 500));
+            return await injector.waitForReply(this.timeout, undefined, { signal, before, settleTime: this.settleTime });
+        };
+
+        this._job = this._enqueue('send', run, { text: item.prompt, batchId: this.id });
+        try {
+            return await this._job.promise;
+        } catch (err) {
+            if (err.cancelled) return { success: false, status: 'cancelled', cancelled: true, error: err.message };
+            return { success: false, error: err.message };
+        } finally {
+            this._job = null;
+        }
+    }
+
+    async _append(result) {
+        try {
+            await fs.promises.appendFile(this.output, `${JSON.stringify(result)}\n`, 'utf-8');
+        } catch (err) {
+            throw new LinkError(ErrorCodes.OPERATION_FAILED, `无法写入结果文件 (${err.code || err.message})`);
+        }
+    }
+
+    _emit(event, data) {
+        this.emit('event', event, { batchId: this.id, ...data });
+    }
+}
+
+/**
+ * 规范化条目并展开模板
+ * @returns {{ index: number, id: string|null, prompt: string, vars: object }[]}
+ * @throws {LinkError} INVALID_PARAMS：条目格式错误或缺少模板变量
+ */
+function prepareItems(items, vars = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new LinkError(ErrorCodes.INVALID_PARAMS, 'items 必须是非空数组');
+    }
+    return items.map((raw, index) => {
+        const item = typeof raw === 'string' ? { prompt: raw } : raw;
+        const template = item && typeof item === 'object' ? item.prompt ?? item.text : undefined;
+        if (typeof template !== 'string' || !template) {
+            throw new LinkError(ErrorCodes.INVALID_PARAMS, `第 ${index + 1} 条缺少 prompt`);
+        }
+        const itemVars = { ...vars, ...(item.vars || {}) };
+        return {
+            index,
+            id: item.id !== undefined ? String(item.id) : null,
+            prompt: renderTemplate(template, itemVars, `第 ${index + 1} 条`),
+            vars: itemVars,
+        };
+    });
+}
+
+/**
+ * 替换 {{name}}
+ * @param {string} template
+ * @param {object} vars
+ * @param {string} [where]  出错时的位置说明
+ */
+function renderTemplate(template, vars, where = '模板') {
+    const missing = new Set();
+    const text = template.replace(TEMPLATE_VAR, (match, name) => {
+        if (!Object.hasOwn(vars, name)) {
+            missing.add(name);
+            return match;
+        }
+        const value = vars[name];
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+    if (missing.size > 0) {
+        throw new LinkError(ErrorCodes.INVALID_PARAMS, `${where}缺少模板变量: ${[...missing].join(', ')}`);
+    }
+    return text;
+}
+
+/**
+ * 读取 JSONL 条目文件（错误信息只给出行号，不回显文件内容）
+ * @param {string} file
+ * @param {string} [label]  错误信息中的文件名，默认为 file
+ */
+function loadBatchFile(file, label = file) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf-8');
+    } catch (err) {
+        throw new LinkError(ErrorCodes.INVALID_PARAMS, `无法读取批量文件 ${label} (${err.code || err.message})`);
+    }
+    const items = [];
+    content.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        try {
+            items.push(JSON.parse(trimmed));
+        } catch {
+            throw new LinkError(ErrorCodes.INVALID_PARAMS, `${label} 第 ${i + 1} 行不是有效的 JSON`);
+        }
+    });
+    return items;
+}
+
+/**
+ * 解析 HTTP / WS 请求中的 file / output：相对路径以批量目录为基准，解析符号链接后仍须位于目录内
+ * @param {string|null} dir  批量目录，为空表示不接受路径
+ * @param {string} file
+ * @param {string} name  参数名，用于错误信息
+ * @returns {string} 绝对路径
+ * @throws {LinkError} FORBIDDEN（未配置批量目录）/ INVALID_PARAMS（路径在目录外）
+ */
+function resolveBatchPath(dir, file, name) {
+    if (!dir) throw new LinkError(ErrorCodes.FORBIDDEN, `未配置批量目录（batchDir），不接受 ${name}，请直接提交 items`);
+    if (typeof file !== 'string' || !file) throw new LinkError(ErrorCodes.INVALID_PARAMS, `${name} 必须是非空字符串`);
+
+    const root = path.resolve(dir);
+    const resolved = path.resolve(root, file);
+    if (!isInside(root, resolved)) throw new LinkError(ErrorCodes.INVALID_PARAMS, `${name} 必须位于批量目录内`);
+
+    // 已存在的最近一级路径解析符号链接后不能指向目录外
+    let existing = resolved;
+    while (!fs.existsSync(existing) && existing !== root) existing = path.dirname(existing);
+    if (fs.existsSync(existing) && existing !== root) {
+        const realRoot = fs.existsSync(root) ? fs.realpathSync(root) : root;
+        if (!isInside(realRoot, fs.realpathSync(existing))) {
+            throw new LinkError(ErrorCodes.INVALID_PARAMS, `${name} 必须位于批量目录内`);
+        }
+    }
+    return resolved;
+}
+
+function _sleep(ms, signal) {
+    return new Promise((r) => {
+        if (signal.aborted) return r();
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', done);
+            r();
+        }
+        signal.addEventListener('abort', done);
+    });
+}
+
+module.exports = { BatchRunner, BATCH_EVENTS, prepareItems, renderTemplate, loadBatchFile, resolveBatchPath };
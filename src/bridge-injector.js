@@ -7,37 +7,138 @@
  * 注入内容包括：
  *   - findInput()      查找 Lexical 编辑器
  *   - focusInput()     聚焦编辑器并将光标置于末尾
+ *   - pasteFiles()     以粘贴 / drop 事件放入附件
+ *   - pickMention()    在 @ 提及候选列表中选择
  *   - isSendVisible()  检查 Send 按钮是否可见
  *   - clickSend()      点击 Send 按钮
+ *   - clickStop()      点击停止按钮，中止当前生成
  *   - getLastBotText() 获取最后一条 bot 回复
- *   - getMessages()    获取全部对话消息
+ *   - getCompletionState() 完成检测所需的界面状态（Send / 停止按钮、加载指示、最后一条回复）
+ *   - getMessages()    按文档顺序获取全部对话消息（角色、稳定 id、纯文本、Markdown）
  *   - checkError()     检查服务端错误
- *   - diagnose()       诊断页面状态
+ *   - diagnose()       诊断页面状态（含各选择器回退链的命中情况）
+ *   - getRect(target)  元素在页面中的位置（截图裁剪用）
+ *   - getSnapshot(maxLength)  对话区的 HTML 快照（去掉脚本、事件属性与危险链接）
+ *   - getPendingActions() / respondPending(id, decision)  等待审批的操作（运行命令 / 应用修改）
+ *   - newConversation() / listConversations() / selectConversation(query)  对话管理
+ *   - listOptions(kind) / selectOption(kind, query)  读取 / 切换模型（kind 为 model）与模式（mode）下拉菜单
+ *   - watchReply()     监听最后一条 bot 回复的变化（MutationObserver）
+ *   - unwatchReply()   取消监听
+ *   - watchState()     监听 agent 面板，推送忙碌 / 空闲、新消息、错误、审批请求等状态事件
+ *   - unwatchState()   取消状态监听
+ *
+ * 所有选择器来自选择器配置（见 selector-profile.js），注入时作为参数传入，
+ * 已注入时重新调用会更新配置。
+ *
+ * 页面 → 服务端的推送通过 Runtime.addBinding 注册的 BINDING_NAME 函数完成，
+ * 服务端以 Runtime.bindingCalled 事件接收，见 onBridgeEvent()。
  */
 
+const { getDefaultProfile } = require('./selector-profile');
+
+const BRIDGE_VERSION = 15;
+const BINDING_NAME = '__remoteBridgeEmit';
+
 /**
- * 注入到页面的 JS 源码（字符串形式，将通过 Runtime.evaluate 执行）
+ * 注入到页面的 JS 源码（函数表达式，参数为选择器配置，通过 Runtime.evaluate 执行）
+ * 注意：这是模板字符串，页面代码中的反斜杠需写成 \\，反引号需写成 \`
  */
 const BRIDGE_SCRIPT = `
-(function() {
-    if (window.__remoteBridge && window.__remoteBridge._version === 2) {
-        return JSON.stringify({ injected: false, reason: 'already exists' });
+(function(profile) {
+    if (window.__remoteBridge && window.__remoteBridge._version === ${BRIDGE_VERSION}) {
+        window.__remoteBridge._profile = profile;
+        return JSON.stringify({ injected: false, reason: 'already exists', profile: profile.name });
+    }
+    if (window.__remoteBridge && window.__remoteBridge.unwatchReply) {
+        window.__remoteBridge.unwatchReply(true);
+    }
+    if (window.__remoteBridge && window.__remoteBridge.unwatchState) {
+        window.__remoteBridge.unwatchState();
     }
 
     window.__remoteBridge = {
-        _version: 2,
+        _version: ${BRIDGE_VERSION},
+        _profile: profile,
+        _replyObserver: null,
+        _replyWatchers: 0,
+        _replyTimer: null,
+        _lastReplyText: null,
+        _stateWatch: null,
+
+        /** 通过 binding 推送事件到服务端 */
+        _emit: function(event, data) {
+            var fn = window['${BINDING_NAME}'];
+            if (typeof fn !== 'function') return false;
+            fn(JSON.stringify({ event: event, data: data }));
+            return true;
+        },
+
+        // ── 选择器回退链 ──
+
+        _visible: function(el) {
+            var rect = el.getBoundingClientRect();
+            return rect.width > 0 && rect.height > 0;
+        },
+
+        /** 候选项命中的全部元素（字符串为 CSS 选择器，对象按文本 / aria-label / title 过滤） */
+        _matchEntry: function(entry, root) {
+            if (typeof entry === 'string') return Array.prototype.slice.call(root.querySelectorAll(entry));
+            var els = root.querySelectorAll(entry.selector);
+            var out = [];
+            for (var i = 0; i < els.length; i++) {
+                var el = els[i];
+                var label = [el.textContent, el.getAttribute('aria-label'), el.getAttribute('title')].join(' ');
+                for (var j = 0; j < entry.text.length; j++) {
+                    if (label.indexOf(entry.text[j]) !== -1) { out.push(el); break; }
+                }
+            }
+            return out;
+        },
+
+        /** 元素的查找范围：各类按钮、审批卡片与加载指示限定在 agent 面板内（找不到面板时退回整个文档） */
+        _scope: function(name) {
+            if (/Button$/.test(name) || name === 'approvalCard' || name === 'busyIndicator') return this._find('panel') || document;
+            return document;
+        },
+
+        /** 按回退链查找，返回第一个有命中的候选项及其元素（root 省略时按 _scope 决定范围） */
+        _resolve: function(name, visibleOnly, root) {
+            var chain = this._profile.selectors[name] || [];
+            root = root || this._scope(name);
+            for (var i = 0; i < chain.length; i++) {
+                var els;
+                try {
+                    els = this._matchEntry(chain[i], root);
+                } catch (e) {
+                    continue; // 无效选择器，尝试下一个
+                }
+                if (visibleOnly) els = els.filter(this._visible);
+                if (els.length) return { els: els, el: els[0], entry: chain[i], index: i };
+            }
+            return { els: [], el: null, entry: null, index: -1 };
+        },
+
+        _find: function(name, visibleOnly) {
+            return this._resolve(name, visibleOnly).el;
+        },
+
+        // ── 输入框 ──
 
         /** 查找 Lexical 编辑器输入框 */
         findInput: function() {
-            var el = document.querySelector('[contenteditable="true"][data-lexical-editor="true"]');
+            var el = this._find('input');
             if (!el) return { found: false };
             var rect = el.getBoundingClientRect();
-            return { found: true, w: Math.round(rect.width), h: Math.round(rect.height) };
+            return {
+                found: true, w: Math.round(rect.width), h: Math.round(rect.height),
+                // 中心点坐标，供 CDP Input.dispatchDragEvent 使用
+                x: Math.round(rect.x + rect.width / 2), y: Math.round(rect.y + rect.height / 2)
+            };
         },
 
         /** 聚焦输入框并将光标置于末尾 */
         focusInput: function() {
-            var el = document.querySelector('[contenteditable="true"][data-lexical-editor="true"]');
+            var el = this._find('input');
             if (!el) return { success: false, error: '未找到 Lexical 编辑器' };
             el.focus();
             var sel = window.getSelection();
@@ -51,46 +152,84 @@ const BRIDGE_SCRIPT = `
 
         /** 获取输入框当前文本 */
         getInputText: function() {
-            var el = document.querySelector('[contenteditable="true"][data-lexical-editor="true"]');
+            var el = this._find('input');
             return el ? el.textContent : '';
         },
 
+        // ── 附件 ──
+
+        /** 以粘贴事件把文件（base64）放入输入框，编辑器未处理时改用 drop 事件 */
+        pasteFiles: function(files) {
+            var el = this._find('input');
+            if (!el) return { success: false, error: '未找到 Lexical 编辑器' };
+            var dt = new DataTransfer();
+            for (var i = 0; i < files.length; i++) {
+                var bin = atob(files[i].data);
+                var bytes = new Uint8Array(bin.length);
+                for (var j = 0; j < bin.length; j++) bytes[j] = bin.charCodeAt(j);
+                dt.items.add(new File([bytes], files[i].name, { type: files[i].mimeType }));
+            }
+            el.focus();
+            var paste = new ClipboardEvent('paste', { clipboardData: dt, bubbles: true, cancelable: true });
+            el.dispatchEvent(paste);
+            if (paste.defaultPrevented) return { success: true, method: 'paste', count: files.length };
+
+            var drop = new DragEvent('drop', { dataTransfer: dt, bubbles: true, cancelable: true });
+            el.dispatchEvent(drop);
+            if (drop.defaultPrevented) return { success: true, method: 'drop', count: files.length };
+            return { success: false, error: '编辑器未处理粘贴的文件' };
+        },
+
+        /** 在 @ 提及候选列表中选择匹配 query 的项（文本包含 query 优先，否则取第一项） */
+        pickMention: function(query) {
+            var self = this;
+            var q = String(query).toLowerCase();
+            return self._waitFor(function() {
+                var els = self._resolve('mentionOption', true).els;
+                return els.length ? els : null;
+            }, 3000).then(function(options) {
+                if (!options) return { success: false, error: '未出现提及候选列表' };
+                var pick = options.filter(function(o) {
+                    return (o.textContent || '').toLowerCase().indexOf(q) !== -1;
+                })[0] || options[0];
+                var label = (pick.textContent || '').trim();
+                pick.click();
+                return self._waitFor(function() {
+                    return self._resolve('mentionOption', true).els.length === 0;
+                }, 500).then(function(closed) {
+                    return { success: true, label: label, closed: !!closed };
+                });
+            });
+        },
+
+        // ── 发送按钮 ──
+
         /** 检查 Send 按钮是否可见 */
         isSendVisible: function() {
-            var panel = document.querySelector('.antigravity-agent-side-panel');
-            if (!panel) return false;
-            var btns = panel.querySelectorAll('button');
-            for (var i = 0; i < btns.length; i++) {
-                var t = btns[i].textContent.trim();
-                if (t === 'Send' || t.indexOf('Send') !== -1) {
-                    var rect = btns[i].getBoundingClientRect();
-                    if (rect.width > 0 && rect.height > 0) return true;
-                }
-            }
-            return false;
+            return !!this._find('sendButton', true);
         },
 
         /** 点击 Send 按钮 */
         clickSend: function() {
-            var panel = document.querySelector('.antigravity-agent-side-panel');
-            if (!panel) return { success: false, error: '未找到面板' };
-            var btns = panel.querySelectorAll('button');
-            for (var i = 0; i < btns.length; i++) {
-                var t = btns[i].textContent.trim();
-                if (t === 'Send' || t.indexOf('Send') !== -1) {
-                    var rect = btns[i].getBoundingClientRect();
-                    if (rect.width > 0 && rect.height > 0) {
-                        btns[i].click();
-                        return { success: true };
-                    }
-                }
-            }
-            return { success: false, error: '未找到 Send 按钮' };
+            var btn = this._find('sendButton', true);
+            if (!btn) return { success: false, error: '未找到 Send 按钮' };
+            btn.click();
+            return { success: true };
+        },
+
+        /** 点击停止按钮，中止 agent 当前的生成 */
+        clickStop: function() {
+            var btn = this._find('stopButton', true);
+            if (!btn) return { success: false, error: '未找到停止按钮' };
+            btn.click();
+            return { success: true };
         },
 
+        // ── 消息读取 ──
+
         /** 获取最后一条 bot 回复文本 */
         getLastBotText: function() {
-            var botEls = document.querySelectorAll('[class*="leading-relaxed"][class*="select-text"]');
+            var botEls = this._resolve('botMessage').els;
             var lastBot = '';
             var count = 0;
             for (var i = 0; i < botEls.length; i++) {
@@ -106,83 +245,809 @@ const BRIDGE_SCRIPT = `
             return { text: lastBot, count: count };
         },
 
-        /** 获取全部对话消息 */
+        /** 完成检测所需的界面状态，一次调用读取（见 completion-detector.js） */
+        getCompletionState: function() {
+            var bot = this.getLastBotText();
+            return {
+                send: this.isSendVisible(),
+                stop: !!this._find('stopButton', true),
+                thinking: !!this._find('busyIndicator', true),
+                count: bot.count,
+                text: bot.text
+            };
+        },
+
+        /** 获取全部对话消息（按文档顺序，含角色、稳定 id 与 Markdown） */
         getMessages: function() {
-            var results = [];
-            var userEls = document.querySelectorAll('.whitespace-pre-wrap');
-            for (var i = 0; i < userEls.length; i++) {
-                var rect = userEls[i].getBoundingClientRect();
-                if (rect.height > 5) {
-                    results.push({ type: 'user', text: userEls[i].textContent });
-                }
+            var root = this._find('conversation') || document.body;
+            var items = [];
+            var users = this._resolve('userMessage').els;
+            var bots = this._resolve('botMessage').els;
+            for (var u = 0; u < users.length; u++) {
+                if (root.contains(users[u])) items.push({ el: users[u], bot: false });
             }
-            var botEls = document.querySelectorAll('[class*="leading-relaxed"][class*="select-text"]');
-            for (var i = 0; i < botEls.length; i++) {
-                var rect = botEls[i].getBoundingClientRect();
-                if (rect.height > 10) {
-                    var clone = botEls[i].cloneNode(true);
+            for (var b = 0; b < bots.length; b++) {
+                if (root.contains(bots[b])) items.push({ el: bots[b], bot: true });
+            }
+            // 按文档顺序排列
+            items.sort(function(x, y) {
+                return x.el.compareDocumentPosition(y.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+            });
+
+            var results = [];
+            var lastKept = null;
+            for (var i = 0; i < items.length; i++) {
+                var el = items[i].el;
+                // 跳过嵌套在其他消息内部的节点（如回复中的 pre-wrap 代码块）
+                if (lastKept && lastKept.contains(el)) continue;
+
+                var isBot = items[i].bot;
+                var rect = el.getBoundingClientRect();
+                if (rect.height <= (isBot ? 10 : 5)) continue;
+
+                var text, markdown;
+                if (isBot) {
+                    var clone = el.cloneNode(true);
                     var styles = clone.querySelectorAll('style');
                     for (var j = 0; j < styles.length; j++) styles[j].remove();
-                    results.push({ type: 'bot', text: clone.textContent.trim() });
+                    text = clone.textContent.trim();
+                    markdown = this._toMarkdown(clone);
+                } else {
+                    text = el.textContent;
+                    markdown = text;
                 }
+                lastKept = el;
+                results.push({
+                    id: this._messageId(el, isBot ? 'bot' : 'user'),
+                    index: results.length,
+                    role: isBot ? 'assistant' : 'user',
+                    type: isBot ? 'bot' : 'user',
+                    text: text,
+                    markdown: markdown
+                });
             }
             return results;
         },
 
-        /** 检查是否有服务端错误 */
+        _messageIds: new WeakMap(),
+        _nextMessageId: 1,
+
+        /** 为消息节点分配 id，节点存活期间保持不变（不修改页面 DOM） */
+        _messageId: function(el, prefix) {
+            var id = this._messageIds.get(el);
+            if (!id) {
+                id = prefix + '-' + (this._nextMessageId++);
+                this._messageIds.set(el, id);
+            }
+            return id;
+        },
+
+        /** 将回复节点转换为 Markdown（保留代码块、列表、标题、链接、表格） */
+        _toMarkdown: function(root) {
+            var out = this._mdChildren(root, { listDepth: 0 });
+            return out.replace(/[ \\t]+\\n/g, '\\n').replace(/\\n{3,}/g, '\\n\\n').trim();
+        },
+
+        _mdChildren: function(node, ctx) {
+            var out = '';
+            for (var i = 0; i < node.childNodes.length; i++) {
+                out += this._mdNode(node.childNodes[i], ctx);
+            }
+            return out;
+        },
+
+        _mdNode: function(node, ctx) {
+            if (node.nodeType === 3) return node.nodeValue.replace(/\\s+/g, ' ');
+            if (node.nodeType !== 1) return '';
+
+            var tag = node.tagName.toLowerCase();
+            var inner;
+            switch (tag) {
+                case 'style': case 'script': case 'button': case 'svg':
+                    return '';
+                case 'br':
+                    return '\\n';
+                case 'hr':
+                    return '\\n\\n---\\n\\n';
+                case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                    inner = this._mdChildren(node, ctx).trim();
+                    return '\\n\\n' + new Array(+tag[1] + 1).join('#') + ' ' + inner + '\\n\\n';
+                case 'p':
+                    return '\\n\\n' + this._mdChildren(node, ctx).trim() + '\\n\\n';
+                case 'div': case 'section': case 'article':
+                    return '\\n' + this._mdChildren(node, ctx) + '\\n';
+                case 'pre':
+                    return '\\n\\n' + this._mdCodeBlock(node) + '\\n\\n';
+                case 'code':
+                    inner = node.textContent;
+                    return inner.indexOf('\`') === -1 ? '\`' + inner + '\`' : '\`\` ' + inner + ' \`\`';
+                case 'strong': case 'b':
+                    inner = this._mdChildren(node, ctx).trim();
+                    return inner ? '**' + inner + '**' : '';
+                case 'em': case 'i':
+                    inner = this._mdChildren(node, ctx).trim();
+                    return inner ? '*' + inner + '*' : '';
+                case 'del': case 's':
+                    inner = this._mdChildren(node, ctx).trim();
+                    return inner ? '~~' + inner + '~~' : '';
+                case 'a':
+                    inner = this._mdChildren(node, ctx).trim();
+                    var href = node.getAttribute('href');
+                    if (!href || href.charAt(0) === '#') return inner;
+                    return '[' + (inner || href) + '](' + href + ')';
+                case 'img':
+                    return '![' + (node.getAttribute('alt') || '') + '](' + (node.getAttribute('src') || '') + ')';
+                case 'ul': case 'ol':
+                    return this._mdList(node, tag === 'ol', ctx);
+                case 'blockquote':
+                    inner = this._mdChildren(node, ctx).trim();
+                    return '\\n\\n' + inner.split('\\n').map(function(l) { return '> ' + l; }).join('\\n') + '\\n\\n';
+                case 'table':
+                    return '\\n\\n' + this._mdTable(node, ctx) + '\\n\\n';
+                default:
+                    return this._mdChildren(node, ctx);
+            }
+        },
+
+        _mdCodeBlock: function(pre) {
+            var code = pre.querySelector('code') || pre;
+            var lang = '';
+            var candidates = [code, pre];
+            for (var i = 0; i < candidates.length && !lang; i++) {
+                var el = candidates[i];
+                lang = el.getAttribute('data-language') || '';
+                var m = /(?:^|\\s)(?:language|lang)-([\\w+#.-]+)/.exec(el.className || '');
+                if (!lang && m) lang = m[1];
+            }
+            var clone = code.cloneNode(true);
+            var junk = clone.querySelectorAll('button, style');
+            for (var j = 0; j < junk.length; j++) junk[j].remove();
+            var text = clone.textContent.replace(/\\n$/, '');
+            var fence = '\`\`\`';
+            while (text.indexOf(fence) !== -1) fence += '\`';
+            return fence + lang + '\\n' + text + '\\n' + fence;
+        },
+
+        _mdList: function(list, ordered, ctx) {
+            var lines = [];
+            var n = parseInt(list.getAttribute('start') || '1', 10);
+            var indent = new Array(ctx.listDepth * 3 + 1).join(' ');
+            for (var i = 0; i < list.children.length; i++) {
+                var li = list.children[i];
+                if (li.tagName.toLowerCase() !== 'li') continue;
+                var marker = ordered ? (n++) + '. ' : '- ';
+                var body = this._mdChildren(li, { listDepth: ctx.listDepth + 1 })
+                    .replace(/\\n{2,}/g, '\\n').trim();
+                var parts = body.split('\\n');
+                var first = parts.shift();
+                lines.push(indent + marker + first);
+                // 嵌套列表已自带缩进，其余续行对齐到列表内容
+                for (var j = 0; j < parts.length; j++) {
+                    var line = parts[j];
+                    lines.push(/^\\s*(?:[-*]|\\d+\\.) /.test(line) ? line : indent + '   ' + line);
+                }
+            }
+            return (ctx.listDepth ? '\\n' : '\\n\\n') + lines.join('\\n') + (ctx.listDepth ? '\\n' : '\\n\\n');
+        },
+
+        _mdTable: function(table, ctx) {
+            var rows = table.querySelectorAll('tr');
+            var lines = [];
+            for (var i = 0; i < rows.length; i++) {
+                var cells = rows[i].querySelectorAll('th, td');
+                var texts = [];
+                for (var j = 0; j < cells.length; j++) {
+                    texts.push(this._mdChildren(cells[j], ctx).replace(/\\s+/g, ' ').replace(/\\|/g, '\\\\|').trim());
+                }
+                lines.push('| ' + texts.join(' | ') + ' |');
+                if (i === 0) {
+                    lines.push('|' + texts.map(function() { return ' --- '; }).join('|') + '|');
+                }
+            }
+            return lines.join('\\n');
+        },
+
+        /** 检查是否有服务端错误（规则见配置 errorPatterns：任一组子串全部出现即视为错误） */
         checkError: function() {
-            var conv = document.querySelector('#conversation');
+            var conv = this._find('conversation');
             if (!conv) return { hasError: false };
+            var rules = this._profile.errorPatterns;
+            var maxLength = rules.maxLength || 200;
             var allDivs = conv.querySelectorAll('div');
             for (var i = 0; i < allDivs.length; i++) {
                 var t = allDivs[i].textContent.trim();
-                if (t.length < 200 && t.indexOf('Error') !== -1 && t.indexOf('try again') !== -1) {
-                    return { hasError: true, errorText: t };
+                if (t.length >= maxLength) continue;
+                for (var r = 0; r < rules.match.length; r++) {
+                    var parts = rules.match[r];
+                    var all = true;
+                    for (var k = 0; k < parts.length && all; k++) {
+                        if (t.indexOf(parts[k]) === -1) all = false;
+                    }
+                    if (all) return { hasError: true, errorText: t };
                 }
             }
             return { hasError: false };
         },
 
-        /** 诊断页面输入框状态 */
+        /** 诊断页面状态：各选择器回退链的命中情况 + 输入框候选 */
         diagnose: function() {
-            var results = [];
-            var selectors = [
-                '[contenteditable="true"][data-lexical-editor="true"]',
-                '[contenteditable="true"]',
-                'textarea'
-            ];
-            for (var s = 0; s < selectors.length; s++) {
-                var els = document.querySelectorAll(selectors[s]);
+            var selectors = {};
+            for (var name in this._profile.selectors) {
+                var chain = this._profile.selectors[name];
+                var root = this._scope(name);
+                var candidates = [];
+                var matched = -1;
+                for (var c = 0; c < chain.length; c++) {
+                    var info = { candidate: chain[c] };
+                    try {
+                        var found = this._matchEntry(chain[c], root);
+                        info.count = found.length;
+                        info.visible = found.filter(this._visible).length;
+                    } catch (e) {
+                        info.count = 0;
+                        info.error = e.message;
+                    }
+                    if (matched === -1 && info.count > 0) matched = c;
+                    candidates.push(info);
+                }
+                selectors[name] = {
+                    matched: matched === -1 ? null : chain[matched],
+                    index: matched,
+                    candidates: candidates
+                };
+            }
+
+            var inputs = [];
+            var inputSelectors = ['[contenteditable="true"]', 'textarea'];
+            for (var s = 0; s < inputSelectors.length; s++) {
+                var els = document.querySelectorAll(inputSelectors[s]);
                 for (var i = 0; i < els.length; i++) {
                     var rect = els[i].getBoundingClientRect();
-                    results.push({
-                        selector: selectors[s], index: i, tag: els[i].tagName,
+                    inputs.push({
+                        selector: inputSelectors[s], index: i, tag: els[i].tagName,
                         visible: rect.width > 0 && rect.height > 0,
                         lexical: !!els[i].getAttribute('data-lexical-editor'),
                         w: Math.round(rect.width), h: Math.round(rect.height)
                     });
                 }
             }
-            return results;
+
+            return {
+                profile: { name: this._profile.name, version: this._profile.version || null },
+                selectors: selectors,
+                inputs: inputs
+            };
+        },
+
+        // ── 截图与快照 ──
+
+        /** 元素在页面中的位置（截图裁剪用）；target 为选择器配置中的元素名或 CSS 选择器 */
+        getRect: function(target) {
+            var el;
+            if (this._profile.selectors[target]) {
+                el = this._find(target, true);
+            } else {
+                try {
+                    el = document.querySelector(target);
+                } catch (e) {
+                    return { found: false, invalid: true, error: '无效的选择器: ' + target };
+                }
+            }
+            if (!el) return { found: false, error: '未找到元素: ' + target };
+            var rect = el.getBoundingClientRect();
+            if (rect.width <= 0 || rect.height <= 0) return { found: false, error: '元素不可见: ' + target };
+            return {
+                found: true,
+                x: rect.left + window.scrollX, y: rect.top + window.scrollY,
+                width: rect.width, height: rect.height
+            };
+        },
+
+        /**
+         * 对话区的 HTML 快照（已清理）：去掉脚本、样式、嵌入内容与媒体，
+         * 属性只保留结构与语义相关的白名单，javascript: / data: 链接一并去掉
+         */
+        getSnapshot: function(maxLength) {
+            var conv = this._find('conversation');
+            if (!conv) return { found: false, html: '', length: 0, truncated: false };
+            var clone = conv.cloneNode(true);
+            var drop = clone.querySelectorAll('script, style, link, meta, iframe, frame, object, embed, noscript, template, canvas, video, audio');
+            for (var i = 0; i < drop.length; i++) drop[i].parentNode.removeChild(drop[i]);
+            var svgs = clone.querySelectorAll('svg');
+            for (var s = 0; s < svgs.length; s++) svgs[s].innerHTML = '';
+            this._sanitizeAttributes(clone);
+            var all = clone.querySelectorAll('*');
+            for (var j = 0; j < all.length; j++) this._sanitizeAttributes(all[j]);
+
+            var html = clone.outerHTML;
+            var length = html.length;
+            var truncated = !!maxLength && length > maxLength;
+            return { found: true, html: truncated ? html.slice(0, maxLength) : html, length: length, truncated: truncated };
+        },
+
+        _sanitizeAttributes: function(el) {
+            var allowed = /^(id|class|role|title|alt|href|src|type|disabled|contenteditable|aria-[\\w-]+|data-[\\w-]+)$/i;
+            var attrs = Array.prototype.slice.call(el.attributes);
+            for (var i = 0; i < attrs.length; i++) {
+                var name = attrs[i].name;
+                // 浏览器解析 URL 时会忽略其中的控制字符与空白（如 java&#x09;script:），先去掉再判断协议
+                var unsafeUrl = (name === 'href' || name === 'src') &&
+                    /^(javascript|data|vbscript):/i.test(attrs[i].value.replace(/[\\u0000-\\u0020\\u007f\\s]+/g, ''));
+                if (!allowed.test(name) || unsafeUrl) el.removeAttribute(name);
+            }
+        },
+
+        // ── 操作审批 ──
+
+        /** 查找等待审批的操作卡片（approvalCard 未命中时，由可见的批准按钮向上找同时含拒绝按钮的容器） */
+        _approvalCards: function() {
+            var cards = this._resolve('approvalCard', true).els;
+            if (cards.length) return cards;
+            var buttons = this._resolve('approveButton', true).els;
+            var out = [];
+            for (var i = 0; i < buttons.length; i++) {
+                var card = buttons[i].parentElement;
+                for (var depth = 0; card && depth < 6; depth++) {
+                    if (this._resolve('rejectButton', true, card).el) break;
+                    card = card.parentElement;
+                }
+                if (card && depth < 6 && out.indexOf(card) === -1) out.push(card);
+            }
+            return out;
+        },
+
+        _describePending: function(card) {
+            var cmdEl = this._resolve('approvalCommand', false, card).el;
+            var diffEl = this._resolve('approvalDiff', false, card).el;
+            var text = (card.innerText || card.textContent || '').trim();
+            var actions = [];
+            if (this._resolve('approveButton', true, card).el) actions.push('accept');
+            if (this._resolve('rejectButton', true, card).el) actions.push('reject');
+            return {
+                id: card.getAttribute('data-pending-id') || this._messageId(card, 'pending'),
+                kind: diffEl ? 'edit' : cmdEl ? 'command' : 'unknown',
+                title: text.split('\\n')[0].trim(),
+                command: cmdEl && !diffEl ? cmdEl.textContent.trim() : null,
+                diff: diffEl ? diffEl.textContent : null,
+                text: text,
+                actions: actions
+            };
+        },
+
+        /** 列出等待审批的操作（运行命令 / 应用修改） */
+        getPendingActions: function() {
+            var cards = this._approvalCards();
+            var out = [];
+            for (var i = 0; i < cards.length; i++) out.push(this._describePending(cards[i]));
+            return out;
+        },
+
+        /** 批准或拒绝指定操作，decision 为 accept / reject */
+        respondPending: function(id, decision) {
+            var cards = this._approvalCards();
+            for (var i = 0; i < cards.length; i++) {
+                var info = this._describePending(cards[i]);
+                if (info.id !== id) continue;
+                var accept = decision === 'accept';
+                var btn = this._resolve(accept ? 'approveButton' : 'rejectButton', true, cards[i]).el;
+                if (!btn) return { success: false, error: '未找到' + (accept ? '批准' : '拒绝') + '按钮' };
+                btn.click();
+                return { success: true, id: id, decision: decision, action: info };
+            }
+            return { success: false, error: '没有等待审批的操作: ' + id };
+        },
+
+        // ── 对话管理 ──
+
+        /** 轮询等待 fn 返回真值，超时返回 null */
+        _waitFor: function(fn, timeout) {
+            return new Promise(function(resolve) {
+                var start = Date.now();
+                (function poll() {
+                    var v = fn();
+                    if (v) return resolve(v);
+                    if (Date.now() - start >= timeout) return resolve(null);
+                    setTimeout(poll, 100);
+                })();
+            });
+        },
+
+        _pressEscape: function() {
+            var target = document.activeElement || document.body;
+            var opts = { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true };
+            target.dispatchEvent(new KeyboardEvent('keydown', opts));
+            target.dispatchEvent(new KeyboardEvent('keyup', opts));
+        },
+
+        /** FNV-1a 32 位哈希（十六进制） */
+        _hash: function(text) {
+            var h = 0x811c9dc5;
+            for (var i = 0; i < text.length; i++) {
+                h ^= text.charCodeAt(i);
+                h = Math.imul(h, 0x01000193) >>> 0;
+            }
+            return ('0000000' + h.toString(16)).slice(-8);
+        },
+
+        /**
+         * 读取当前可见的对话列表项
+         *
+         * 没有 data-conversation-id 时按列表项的标题与全文（含时间）生成 id，
+         * 新对话插入后其余对话的 id 不变；内容完全相同的项按出现顺序加 -2、-3 后缀
+         */
+        _conversationItems: function() {
+            var els = this._resolve('conversationItem', true).els;
+            var items = [];
+            var seen = {};
+            for (var i = 0; i < els.length; i++) {
+                var el = els[i];
+                var title = (el.getAttribute('title') || el.textContent || '').trim().split('\\n')[0].trim();
+                var cls = typeof el.className === 'string' ? el.className : '';
+                var id = el.getAttribute('data-conversation-id');
+                if (!id) {
+                    id = 'conv-' + this._hash(title + '\\n' + (el.textContent || '').replace(/\\s+/g, ' ').trim());
+                    seen[id] = (seen[id] || 0) + 1;
+                    if (seen[id] > 1) id += '-' + seen[id];
+                }
+                items.push({
+                    el: el,
+                    id: id,
+                    index: i,
+                    title: title,
+                    active: el.getAttribute('aria-selected') === 'true'
+                        || el.hasAttribute('aria-current')
+                        || /(^|[^-])(active|selected)/.test(cls)
+                });
+            }
+            return items;
+        },
+
+        /** 打开历史对话列表（已打开则直接返回），opened 表示本次是否由我们打开 */
+        _openConversationList: function() {
+            var self = this;
+            var items = self._conversationItems();
+            if (items.length) return Promise.resolve({ items: items, opened: false });
+            var btn = self._find('historyButton', true);
+            if (!btn) return Promise.resolve({ items: [], opened: false, error: '未找到历史对话按钮' });
+            btn.click();
+            return self._waitFor(function() {
+                var found = self._conversationItems();
+                return found.length ? found : null;
+            }, 3000).then(function(found) {
+                return found
+                    ? { items: found, opened: true }
+                    : { items: [], opened: true, error: '历史对话列表为空或未能展开' };
+            });
+        },
+
+        _describeConversation: function(item) {
+            return { id: item.id, index: item.index, title: item.title, active: item.active };
+        },
+
+        /** 新建对话，等待消息区清空 */
+        newConversation: function() {
+            var self = this;
+            var btn = self._find('newConversationButton', true);
+            if (!btn) return { success: false, error: '未找到新建对话按钮' };
+            btn.click();
+            return self._waitFor(function() {
+                return self.getMessages().length === 0;
+            }, 5000).then(function(cleared) {
+                return { success: true, cleared: !!cleared };
+            });
+        },
+
+        /** 列出历史对话（若由本方法展开列表，读取后自动关闭） */
+        listConversations: function() {
+            var self = this;
+            return self._openConversationList().then(function(res) {
+                var list = res.items.map(self._describeConversation);
+                if (res.opened) self._pressEscape();
+                if (res.error) return { success: false, error: res.error, conversations: [] };
+                return { success: true, conversations: list };
+            });
+        },
+
+        /** 切换到指定对话：按 id 精确匹配，其次标题精确匹配，最后标题包含 */
+        selectConversation: function(query) {
+            var self = this;
+            return self._openConversationList().then(function(res) {
+                if (res.error) return { success: false, error: res.error };
+                var items = res.items;
+                var q = String(query);
+                var match = items.filter(function(c) { return c.id === q; })[0]
+                    || items.filter(function(c) { return c.title === q; })[0]
+                    || items.filter(function(c) { return c.title.indexOf(q) !== -1; })[0];
+                if (!match) {
+                    if (res.opened) self._pressEscape();
+                    return { success: false, error: '未找到对话: ' + q };
+                }
+                match.el.click();
+                return { success: true, conversation: self._describeConversation(match) };
+            });
+        },
+
+        // ── 模型与模式 ──
+
+        _selectionLabels: { model: '模型', mode: '模式' },
+
+        /** 下拉按钮上显示的当前选择（kind: model / mode），找不到按钮时为 null */
+        _currentOption: function(kind) {
+            var btn = this._find(kind + 'Button', true);
+            if (!btn) return null;
+            var text = (btn.innerText || btn.textContent || '').trim().split('\\n')[0].trim();
+            return text || btn.getAttribute('title') || null;
+        },
+
+        /** 读取当前展开的下拉菜单中的选项 */
+        _dropdownOptions: function() {
+            var els = this._resolve('dropdownOption', true).els;
+            var options = [];
+            for (var i = 0; i < els.length; i++) {
+                var el = els[i];
+                var text = (el.innerText || el.textContent || '').trim().split('\\n')[0].trim();
+                var cls = typeof el.className === 'string' ? el.className : '';
+                options.push({
+                    el: el,
+                    index: i,
+                    label: text || el.getAttribute('aria-label') || el.getAttribute('title') || '',
+                    selected: el.getAttribute('aria-selected') === 'true'
+                        || el.getAttribute('aria-checked') === 'true'
+                        || el.hasAttribute('aria-current')
+                        || /(^|[^-])(active|selected|checked)/.test(cls)
+                });
+            }
+            return options;
+        },
+
+        _describeOption: function(option) {
+            return { index: option.index, label: option.label, selected: option.selected };
+        },
+
+        /** 点击下拉按钮展开选项（先关闭已展开的其他菜单） */
+        _openDropdown: function(kind) {
+            var self = this;
+            var label = self._selectionLabels[kind];
+            var btn = self._find(kind + 'Button', true);
+            if (!btn) return Promise.resolve({ options: [], error: '未找到' + label + '选择按钮' });
+            if (self._dropdownOptions().length) self._pressEscape();
+            btn.click();
+            return self._waitFor(function() {
+                var found = self._dropdownOptions();
+                return found.length ? found : null;
+            }, 3000).then(function(found) {
+                return found ? { options: found } : { options: [], error: label + '列表为空或未能展开' };
+            });
+        },
+
+        /** 列出可选的模型 / 模式（展开下拉菜单读取后关闭） */
+        listOptions: function(kind) {
+            var self = this;
+            if (!self._selectionLabels[kind]) return { success: false, error: '无效的类型: ' + kind };
+            return self._openDropdown(kind).then(function(res) {
+                if (self._dropdownOptions().length) self._pressEscape();
+                var current = self._currentOption(kind);
+                if (res.error) return { success: false, error: res.error, current: current, options: [] };
+                return { success: true, current: current, options: res.options.map(self._describeOption) };
+            });
+        },
+
+        /** 切换模型 / 模式：标题精确匹配优先，其次包含（均不区分大小写）；已是当前选择时不展开菜单 */
+        selectOption: function(kind, query) {
+            var self = this;
+            var label = self._selectionLabels[kind];
+            if (!label) return { success: false, error: '无效的类型: ' + kind };
+            var q = String(query).toLowerCase();
+            var previous = self._currentOption(kind);
+            if (previous !== null && previous.toLowerCase() === q) {
+                return { success: true, changed: false, previous: previous, current: previous };
+            }
+            return self._openDropdown(kind).then(function(res) {
+                if (res.error) return { success: false, error: res.error, previous: previous };
+                var match = res.options.filter(function(o) { return o.label.toLowerCase() === q; })[0]
+                    || res.options.filter(function(o) { return o.label.toLowerCase().indexOf(q) !== -1; })[0];
+                if (!match || match.selected) {
+                    self._pressEscape();
+                    return match
+                        ? { success: true, changed: false, previous: previous, current: previous }
+                        : { success: false, error: '未找到' + label + ': ' + query, previous: previous, options: res.options.map(self._describeOption) };
+                }
+                match.el.click();
+                // 等菜单关闭、按钮显示新的选择
+                return self._waitFor(function() {
+                    return self._dropdownOptions().length === 0 && self._currentOption(kind) !== previous;
+                }, 3000).then(function(confirmed) {
+                    if (self._dropdownOptions().length) self._pressEscape();
+                    return {
+                        success: true, changed: true, confirmed: !!confirmed,
+                        previous: previous, current: self._currentOption(kind), option: self._describeOption(match)
+                    };
+                });
+            });
+        },
+
+        // ── 状态推送 ──
+
+        /**
+         * 监听 agent 面板，状态变化经 binding 推送：
+         * agent.busy / agent.idle / message.added / error.shown / approval.requested
+         */
+        watchState: function() {
+            var self = this;
+            if (self._stateWatch) return { success: true, already: true };
+            var watch = self._stateWatch = {
+                root: null, observer: null, timer: null, idleTimer: null, health: null,
+                busy: !self.isSendVisible(),
+                signature: self._messageSignature(),
+                messageIds: self.getMessages().map(function(m) { return m.id; }),
+                pendingIds: self.getPendingActions().map(function(p) { return p.id; }),
+                error: self.checkError().hasError
+            };
+            watch.observer = new MutationObserver(function() {
+                if (watch.timer) return;
+                // 合并短时间内的多次变更
+                watch.timer = setTimeout(function() {
+                    watch.timer = null;
+                    self._checkState();
+                }, 250);
+            });
+            self._attachStateObserver();
+            // 面板可能尚未渲染或被重新创建，定期确认观察目标
+            watch.health = setInterval(function() { self._attachStateObserver(); }, 2000);
+            return { success: true, already: false };
+        },
+
+        unwatchState: function() {
+            var watch = this._stateWatch;
+            if (!watch) return { success: true };
+            watch.observer.disconnect();
+            clearTimeout(watch.timer);
+            clearTimeout(watch.idleTimer);
+            clearInterval(watch.health);
+            this._stateWatch = null;
+            return { success: true };
+        },
+
+        _attachStateObserver: function() {
+            var watch = this._stateWatch;
+            var root = this._find('panel');
+            if (!root || root === watch.root) return;
+            watch.observer.disconnect();
+            watch.root = root;
+            watch.observer.observe(root, {
+                childList: true, subtree: true, characterData: true,
+                attributes: true, attributeFilter: ['class', 'style', 'hidden', 'aria-hidden', 'disabled']
+            });
+            this._checkState();
+        },
+
+        /** 消息节点数量，变化时才重新读取全部消息 */
+        _messageSignature: function() {
+            return this._resolve('userMessage').els.length + ':' + this._resolve('botMessage').els.length;
+        },
+
+        _checkState: function() {
+            var self = this;
+            var watch = self._stateWatch;
+            if (!watch) return;
+
+            var busy = !self.isSendVisible();
+            if (busy) {
+                clearTimeout(watch.idleTimer);
+                watch.idleTimer = null;
+                if (!watch.busy) {
+                    watch.busy = true;
+                    self._emit('agent.busy', {});
+                }
+            } else if (watch.busy && !watch.idleTimer) {
+                // Send 按钮稳定出现 1s 才视为空闲，避免工具调用间隙的闪现
+                watch.idleTimer = setTimeout(function() {
+                    watch.idleTimer = null;
+                    if (self._stateWatch !== watch || !watch.busy || !self.isSendVisible()) return;
+                    watch.busy = false;
+                    self._checkMessages(true);
+                    self._checkErrorShown();
+                    self._emit('agent.idle', { reply: self.getLastBotText().text });
+                }, 1000);
+            }
+
+            if (self._checkMessages(false)) self._checkErrorShown();
+
+            var pending = self.getPendingActions();
+            var known = watch.pendingIds;
+            watch.pendingIds = pending.map(function(p) { return p.id; });
+            for (var i = 0; i < pending.length; i++) {
+                if (known.indexOf(pending[i].id) === -1) self._emit('approval.requested', { action: pending[i] });
+            }
+        },
+
+        /** 推送新增消息，返回是否有新增（force 为 true 时忽略节点数量签名） */
+        _checkMessages: function(force) {
+            var watch = this._stateWatch;
+            var signature = this._messageSignature();
+            if (!force && signature === watch.signature) return false;
+            watch.signature = signature;
+
+            var messages = this.getMessages();
+            var known = watch.messageIds;
+            var ids = messages.map(function(m) { return m.id; });
+            watch.messageIds = ids;
+            var added = messages.filter(function(m) { return known.indexOf(m.id) === -1; });
+            // 旧消息全部消失说明切换了对话，不把整段历史当作新增
+            var switched = known.length > 0 && added.length === messages.length;
+            if (switched) return false;
+            for (var i = 0; i < added.length; i++) this._emit('message.added', { message: added[i] });
+            return added.length > 0;
+        },
+
+        _checkErrorShown: function() {
+            var watch = this._stateWatch;
+            var err = this.checkError();
+            if (err.hasError && !watch.error) this._emit('error.shown', { errorText: err.errorText });
+            watch.error = err.hasError;
+        },
+
+        /** 监听最后一条 bot 回复，变化时推送 reply.progress 事件 */
+        watchReply: function() {
+            var self = this;
+            self._replyWatchers++;
+            if (self._replyObserver) return { success: true, watchers: self._replyWatchers };
+
+            var root = self._find('conversation') || document.body;
+            self._lastReplyText = self.getLastBotText().text;
+            self._replyObserver = new MutationObserver(function() {
+                if (self._replyTimer) return;
+                // 合并短时间内的多次变更，避免逐字符推送
+                self._replyTimer = setTimeout(function() {
+                    self._replyTimer = null;
+                    var data = self.getLastBotText();
+                    if (data.text === self._lastReplyText) return;
+                    self._lastReplyText = data.text;
+                    self._emit('reply.progress', data);
+                }, 100);
+            });
+            self._replyObserver.observe(root, { childList: true, subtree: true, characterData: true });
+            return { success: true, watchers: self._replyWatchers };
+        },
+
+        /** 取消监听（force 为 true 时忽略引用计数） */
+        unwatchReply: function(force) {
+            this._replyWatchers = force ? 0 : Math.max(0, this._replyWatchers - 1);
+            if (this._replyWatchers > 0 || !this._replyObserver) {
+                return { success: true, watchers: this._replyWatchers };
+            }
+            this._replyObserver.disconnect();
+            this._replyObserver = null;
+            if (this._replyTimer) {
+                clearTimeout(this._replyTimer);
+                this._replyTimer = null;
+            }
+            return { success: true, watchers: 0 };
         }
     };
 
-    return JSON.stringify({ injected: true, version: 2 });
-})()
+    return JSON.stringify({ injected: true, version: ${BRIDGE_VERSION}, profile: profile.name });
+})
 `;
 
 /**
- * 注入控制层到目标页面
+ * 注入控制层到目标页面（实际注入时在 cdp 上发出 'bridge.injected' { version, profile }）
  * @param {import('./cdp-controller').CDPController} cdp
+ * @param {import('./selector-profile').SelectorProfile} [profile]  选择器配置，默认为内置配置
  * @returns {Promise<{injected: boolean}>}
  */
-async function injectBridge(cdp) {
-    const result = await cdp.evaluate(BRIDGE_SCRIPT);
+async function injectBridge(cdp, profile = getDefaultProfile()) {
+    // binding 在页面刷新后依然有效，重复注册无副作用
+    await cdp.send('Runtime.enable');
+    await cdp.send('Runtime.addBinding', { name: BINDING_NAME });
+
+    const result = await cdp.evaluate(`${BRIDGE_SCRIPT}(${JSON.stringify(profile)})`);
     const data = JSON.parse(result?.result?.value || '{}');
     if (data.injected) {
-        console.log('[Bridge] 控制层注入成功 (v2)');
+        console.log(`[Bridge] 控制层注入成功 (v${BRIDGE_VERSION}, 配置: ${profile.name})`);
+        cdp.emit('bridge.injected', { version: BRIDGE_VERSION, profile: profile.name });
     } else {
-        console.log('[Bridge] 控制层已存在，跳过注入');
+        console.log(`[Bridge] 控制层已存在，跳过注入 (配置: ${profile.name})`);
     }
     return data;
 }
@@ -193,7 +1058,7 @@ async function injectBridge(cdp) {
 async function isBridgeAlive(cdp) {
     try {
         const result = await cdp.evaluate(
-            'JSON.stringify({ alive: !!(window.__remoteBridge && window.__remoteBridge._version === 2) })'
+            `JSON.stringify({ alive: !!(window.__remoteBridge && window.__remoteBridge._version === ${BRIDGE_VERSION}) })`
         );
         const data = JSON.parse(result?.result?.value || '{}');
         return !!data.alive;
@@ -207,7 +1072,8 @@ async function isBridgeAlive(cdp) {
  */
 async function callBridge(cdp, method, ...args) {
     const argsStr = args.map(a => JSON.stringify(a)).join(', ');
-    const expr = `JSON.stringify(window.__remoteBridge.${method}(${argsStr}))`;
+    // 方法可以返回 Promise，evaluate 使用 awaitPromise 等待其完成
+    const expr = `Promise.resolve(window.__remoteBridge.${method}(${argsStr})).then(function(r) { return JSON.stringify(r); })`;
     const result = await cdp.evaluate(expr);
     const raw = result?.result?.value;
     if (raw === undefined || raw === null) return null;
@@ -218,4 +1084,28 @@ async function callBridge(cdp, method, ...args) {
     }
 }
 
-module.exports = { injectBridge, isBridgeAlive, callBridge, BRIDGE_SCRIPT };
+/**
+ * 订阅注入层通过 binding 推送的事件
+ * @param {import('./cdp-controller').CDPController} cdp
+ * @param {(event: string, data: any) => void} handler
+ * @returns {() => void} 取消订阅
+ */
+function onBridgeEvent(cdp, handler) {
+    const listener = (params) => {
+        if (params.name !== BINDING_NAME) return;
+        let payload;
+        try {
+            payload = JSON.parse(params.payload);
+        } catch {
+            return;
+        }
+        handler(payload.event, payload.data);
+    };
+    cdp.on('Runtime.bindingCalled', listener);
+    return () => cdp.off('Runtime.bindingCalled', listener);
+}
+
+module.exports = {
+    injectBridge, isBridgeAlive, callBridge, onBridgeEvent,
+    BRIDGE_SCRIPT, BRIDGE_VERSION, BINDING_NAME,
+};
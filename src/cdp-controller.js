@@ -6,11 +6,29 @@
  */
 
 const http = require('http');
+const EventEmitter = require('events');
 const WebSocket = require('ws');
+const { ErrorCodes, LinkError } = require('./errors');
 
-class CDPController {
-    constructor(port = 9000) {
+/** CDP 命令的默认超时（毫秒） */
+const DEFAULT_COMMAND_TIMEOUT = 10000;
+
+/**
+ * 事件:
+ *   - 'disconnected'  连接意外断开（主动调用 disconnect() 不触发）
+ *   - 'command'       { method, duration, error }  每个已发出的命令结束时（duration 为毫秒，error 为出错或超时的信息）
+ *   - 'bridge.injected'  { version, profile }  控制层实际注入（由 injectBridge 发出）
+ *   - '<CDP 方法名>'   CDP 推送事件，如 'Runtime.bindingCalled'，参数为 params
+ */
+class CDPController extends EventEmitter {
+    /**
+     * @param {number} [port]
+     * @param {{ commandTimeout?: number }} [options]  commandTimeout: 未指定超时的命令等待响应的毫秒数
+     */
+    constructor(port = 9000, options = {}) {
+        super();
         this.port = port;
+        this.commandTimeout = options.commandTimeout || DEFAULT_COMMAND_TIMEOUT;
         this.ws = null;
         this.messageId = 1;
         /** @type {Map<number, {resolve: Function, reject: Function}>} */
@@ -31,20 +49,7 @@ class CDPController {
      * HTTP 获取 /json/list 页面列表
      */
     async getPages() {
-        return new Promise((resolve) => {
-            const url = `http://localhost:${this.port}/json/list`;
-            http.get(url, (res) => {
-                let data = '';
-                res.on('data', (chunk) => (data += chunk));
-                res.on('end', () => {
-                    try {
-                        resolve(JSON.parse(data));
-                    } catch {
-                        resolve([]);
-                    }
-                });
-            }).on('error', () => resolve([]));
-        });
+        return fetchPages(this.port);
     }
 
     /**
@@ -60,16 +65,19 @@ class CDPController {
 
         return new Promise((resolve, reject) => {
             const wsUrl = page.webSocketDebuggerUrl;
-            this.ws = new WebSocket(wsUrl);
+            const ws = new WebSocket(wsUrl);
+            this.ws = ws;
+            let opened = false;
 
-            this.ws.on('open', () => {
+            ws.on('open', () => {
+                opened = true;
                 this._connected = true;
                 this._page = page;
                 console.log(`[CDP] 已连接 -> ${page.title || page.url}`);
                 resolve();
             });
 
-            this.ws.on('message', (raw) => {
+            ws.on('message', (raw) => {
                 try {
                     const msg = JSON.parse(raw.toString());
                     if (msg.id && this.pending.has(msg.id)) {
@@ -80,19 +88,26 @@ class CDPController {
                         } else {
                             resolve(msg.result);
                         }
+                    } else if (msg.method) {
+                        this.emit(msg.method, msg.params || {});
                     }
                 } catch { /* ignore parse errors */ }
             });
 
-            this.ws.on('close', () => {
+            ws.on('close', () => {
+                // 已被 disconnect() 或新连接替换，不视为意外断开
+                if (this.ws !== ws) return;
+                const page = this._page;
+                this.ws = null;
                 this._connected = false;
-                for (const [, { reject }] of this.pending) {
-                    reject(new Error('连接已断开'));
-                }
-                this.pending.clear();
+                this._rejectPending();
+                if (!opened) return;
+                console.log(`[CDP] 连接断开 -> ${page ? page.title || page.url : '未知页面'}`);
+                this.emit('disconnected', page);
             });
 
-            this.ws.on('error', (err) => {
+            ws.on('error', (err) => {
+                if (this.ws !== ws) return;
                 this._connected = false;
                 reject(err);
             });
@@ -116,7 +131,7 @@ class CDPController {
     /**
      * 执行 Runtime.evaluate
      */
-    evaluate(expression, timeout = 10000) {
+    evaluate(expression, timeout = this.commandTimeout) {
         return this.send('Runtime.evaluate', {
             expression,
             returnByValue: true,
@@ -127,23 +142,29 @@ class CDPController {
     /**
      * 发送任意 CDP 方法调用
      */
-    send(method, params = {}, timeout = 10000) {
+    send(method, params = {}, timeout = this.commandTimeout) {
         if (!this.connected) {
-            return Promise.reject(new Error('CDP 未连接'));
+            return Promise.reject(new LinkError(ErrorCodes.CDP_DISCONNECTED, 'CDP 未连接'));
         }
 
         return new Promise((resolve, reject) => {
             const id = this.messageId++;
+            const startedAt = Date.now();
+            const settled = (err) => {
+                this.emit('command', { method, duration: Date.now() - startedAt, error: err ? err.message : null });
+            };
             const timer = setTimeout(() => {
                 if (this.pending.has(id)) {
                     this.pending.delete(id);
-                    reject(new Error(`${method} 超时 (${timeout}ms)`));
+                    const err = new LinkError(ErrorCodes.TIMEOUT, `${method} 超时 (${timeout}ms)`);
+                    settled(err);
+                    reject(err);
                 }
             }, timeout);
 
             this.pending.set(id, {
-                resolve: (result) => { clearTimeout(timer); resolve(result); },
-                reject: (err) => { clearTimeout(timer); reject(err); },
+                resolve: (result) => { clearTimeout(timer); settled(null); resolve(result); },
+                reject: (err) => { clearTimeout(timer); settled(err); reject(err); },
             });
 
             this.ws.send(JSON.stringify({ id, method, params }));
@@ -152,13 +173,43 @@ class CDPController {
 
     disconnect() {
         if (this.ws) {
-            this.ws.close();
+            const ws = this.ws;
             this.ws = null;
+            ws.close();
         }
         this._connected = false;
         this._page = null;
+        this._rejectPending();
+    }
+
+    _rejectPending() {
+        for (const [, { reject }] of this.pending) {
+            reject(new LinkError(ErrorCodes.CDP_DISCONNECTED, '连接已断开'));
+        }
         this.pending.clear();
     }
 }
 
-module.exports = { CDPController };
+/**
+ * HTTP 获取 /json/list 页面列表（失败时返回空数组）
+ * @param {number} port
+ * @returns {Promise<Array<{id: string, type: string, title: string, url: string, webSocketDebuggerUrl?: string}>>}
+ */
+function fetchPages(port) {
+    return new Promise((resolve) => {
+        const url = `http://localhost:${port}/json/list`;
+        http.get(url, (res) => {
+            let data = '';
+            res.on('data', (chunk) => (data += chunk));
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(data));
+                } catch {
+                    resolve([]);
+                }
+            });
+        }).on('error', () => resolve([]));
+    });
+}
+
+module.exports = { CDPController, fetchPages, DEFAULT_COMMAND_TIMEOUT };
@@ -0,0 +1,144 @@
+/**
+ * CDP 连接守护
+ *
+ * 监听 CDPController 的意外断开（Antigravity 重启、调试端口关闭等），
+ * 以指数退避轮询 /json/list，重新连接到同一个目标页面并重新注入控制层。
+ *
+ * 目标匹配顺序：
+ *   1. URL 完全一致
+ *   2. 标题完全一致
+ *   3. 启动时使用的过滤函数（未提供则取第一个页面）
+ *
+ * 事件:
+ *   - 'state'  { state: 'connected'|'disconnected'|'reconnecting', page?, attempt?, nextDelay?, error? }
+ */
+
+const EventEmitter = require('events');
+const { injectBridge } = require('./bridge-injector');
+
+class CDPSupervisor extends EventEmitter {
+    /**
+     * @param {import('./cdp-controller').CDPController} cdp
+     * @param {{ minDelay?: number, maxDelay?: number, filter?: Function, profile?: object }} [options]
+     *        profile: 重新注入时使用的选择器配置
+     */
+    constructor(cdp, options = {}) {
+        super();
+        this.cdp = cdp;
+        this.minDelay = options.minDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+        this.filter = options.filter || null;
+        this.profile = options.profile;
+        this.state = cdp.connected ? 'connected' : 'disconnected';
+        this._target = null;
+        this._running = false;
+        this._reconnecting = false;
+        this._timer = null;
+        this._wake = null;
+        this._onDisconnected = (page) => this._handleDisconnect(page);
+    }
+
+    start() {
+        if (this._running) return;
+        this._running = true;
+        this._remember(this.cdp.currentPage);
+        this.cdp.on('disconnected', this._onDisconnected);
+        if (!this.cdp.connected) this._reconnectLoop();
+    }
+
+    stop() {
+        this._running = false;
+        this.cdp.off('disconnected', this._onDisconnected);
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        if (this._wake) this._wake();
+    }
+
+    _remember(page) {
+        if (page) this._target = { url: page.url, title: page.title };
+    }
+
+    _handleDisconnect(page) {
+        this._remember(page);
+        this._setState('disconnected', { page: _describe(page) });
+        this._reconnectLoop();
+    }
+
+    async _reconnectLoop() {
+        if (this._reconnecting) return;
+        this._reconnecting = true;
+        let delay = this.minDelay;
+        let attempt = 0;
+
+        try {
+            while (this._running && !this.cdp.connected) {
+                attempt++;
+                let error = null;
+                const page = this._matchPage(await this.cdp.getPages());
+
+                if (page) {
+                    try {
+                        await this.cdp.connect(page);
+                        this._remember(page);
+                        try {
+                            await injectBridge(this.cdp, this.profile);
+                        } catch (err) {
+                            // 页面可能仍在加载，InputInjector.ensureBridge 会在下次调用时补注入
+                            console.error(`[Supervisor] 控制层注入失败: ${err.message}`);
+                        }
+                        console.log(`[Supervisor] 第 ${attempt} 次尝试重连成功`);
+                        this._setState('connected', { page: _describe(page), attempt });
+                        return;
+                    } catch (err) {
+                        error = err.message;
+                    }
+                } else {
+                    error = '没有匹配的页面';
+                }
+
+                if (!this._running) return;
+                console.log(`[Supervisor] 重连失败 (${error})，${delay}ms 后重试`);
+                this._setState('reconnecting', { attempt, nextDelay: delay, error });
+                await this._sleep(delay);
+                delay = Math.min(delay * 2, this.maxDelay);
+            }
+        } finally {
+            this._reconnecting = false;
+        }
+    }
+
+    _matchPage(pages) {
+        if (!pages || pages.length === 0) return null;
+        const target = this._target;
+        if (target) {
+            const byUrl = pages.find((p) => p.url && p.url === target.url);
+            if (byUrl) return byUrl;
+            const byTitle = pages.find((p) => p.title && p.title === target.title);
+            if (byTitle) return byTitle;
+        }
+        return (this.filter ? pages.find(this.filter) : pages[0]) || null;
+    }
+
+    _setState(state, info = {}) {
+        this.state = state;
+        this.emit('state', { state, ...info });
+    }
+
+    _sleep(ms) {
+        return new Promise((resolve) => {
+            this._wake = resolve;
+            this._timer = setTimeout(resolve, ms);
+        }).then(() => {
+            this._wake = null;
+            this._timer = null;
+        });
+    }
+}
+
+function _describe(page) {
+    return page ? { title: page.title, url: page.url } : null;
+}
+
+module.exports = { CDPSupervisor };
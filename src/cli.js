@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * Antigravity-Link 命令行客户端
+ *
+ * 通过 /ws（JSON-RPC 模式）连接正在运行的 LinkServer，供终端和脚本使用：
+ *   agl send "写个 hello world"            发送并流式输出回复
+ *   echo "解释这段代码" | agl send          从标准输入读取提示词
+ *   agl send --file=prompt.md --json       从文件读取，输出完整结果 JSON
+ *   agl messages --format=md               导出当前对话
+ *   agl status | agl watch [EVENT...] | agl repl | agl stop
+ *   agl call METHOD ['{"json":"params"}']  调用任意方法（见 rpc.discover）
+ *
+ * 退出码: 0 成功；1 请求失败（连接、参数、超时、取消等）；2 IDE 界面显示了错误（checkError）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { LinkClient, DEFAULT_URL } = require('./link-client');
+const { ErrorCodes } = require('./errors');
+
+const EXIT_FAILED = 1;
+const EXIT_AGENT_ERROR = 2;
+
+const USAGE = `
+Antigravity-Link 命令行客户端
+
+用法: agl <命令> [参数] [选项]
+
+命令:
+  send [PROMPT...]     发送提示词并流式输出回复；省略 PROMPT 或为 "-" 时从标准输入读取
+  messages             输出当前对话 (--format=md|text|json，默认 md)
+  status               查看连接状态
+  watch [EVENT...]     持续输出状态事件 (默认全部，可用 "agent.*" 这样的前缀)
+  repl                 交互模式：逐行发送；/stop 停止生成，/new 新建对话，/exit 退出
+  stop                 停止当前生成
+  call METHOD [JSON]   调用任意方法，参数为 JSON 对象 (方法列表: agl call rpc.discover)
+
+选项:
+  --url=URL            服务端地址 (默认: 环境变量 AGL_URL 或 ${DEFAULT_URL})
+  --token=TOKEN        访问令牌 (默认: 环境变量 AGL_TOKEN)
+  --target=REGEX       目标窗口：页面 id 或匹配标题/URL 的正则 (默认: 活动窗口)
+  --file=PATH          send: 从文件读取提示词
+  --attach=PATH        send: 附加本机的文件或图片 (读取后以 base64 上传)，可重复
+  --model=NAME         send: 发送前切换模型 (标题精确匹配优先，其次包含)
+  --mode=NAME          send: 发送前切换模式 (如 Planning / Fast)
+  --timeout=MS         send: 等待回复的超时 (默认: 服务端配置的 replyTimeout)
+  --format=FORMAT      messages: md / text / json
+  --json               输出 JSON (send 输出完整结果，watch 每行一个事件)
+
+退出码: 0 成功，1 请求失败，2 IDE 界面显示了错误
+`;
+
+function parseArgs(argv) {
+    const opts = {
+        url: process.env.AGL_URL || DEFAULT_URL,
+        token: process.env.AGL_TOKEN || null,
+        target: undefined,
+        file: null,
+        attachments: [],
+        model: undefined,
+        mode: undefined,
+        timeout: undefined,
+        format: 'md',
+        json: false,
+    };
+    const positional = [];
+
+    for (const arg of argv) {
+        const value = arg.slice(arg.indexOf('=') + 1);
+        if (arg.startsWith('--url=')) {
+            opts.url = value;
+        } else if (arg.startsWith('--token=')) {
+            opts.token = value;
+        } else if (arg.startsWith('--target=')) {
+            opts.target = value;
+        } else if (arg.startsWith('--file=')) {
+            opts.file = value;
+        } else if (arg.startsWith('--attach=')) {
+            opts.attachments.push(value);
+        } else if (arg.startsWith('--model=')) {
+            opts.model = value;
+        } else if (arg.startsWith('--mode=')) {
+            opts.mode = value;
+        } else if (arg.startsWith('--timeout=')) {
+            opts.timeout = parseInt(value, 10);
+        } else if (arg.startsWith('--format=')) {
+            opts.format = value;
+        } else if (arg === '--json') {
+            opts.json = true;
+        } else if (arg === '--help' || arg === '-h') {
+            opts.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`未知选项: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { command: positional[0], args: positional.slice(1), opts };
+}
+
+// ── 命令 ──
+
+const COMMANDS = {
+    async send(client, args, opts) {
+        const text = await readPrompt(args, opts);
+        if (!text && opts.attachments.length === 0) throw new Error('提示词为空');
+        const result = await sendPrompt(client, text, opts, !opts.json);
+        if (opts.json) printJson(result);
+        return result.checkError?.hasError ? EXIT_AGENT_ERROR : 0;
+    },
+
+    async messages(client, args, opts) {
+        const format = opts.json ? 'json' : opts.format;
+        if (!['md', 'text', 'json'].includes(format)) throw new Error(`format 无效: ${format}（可选 md / text / json）`);
+        const messages = await client.call('messages', withTarget({}, opts));
+        if (format === 'json') {
+            printJson(messages);
+        } else {
+            process.stdout.write(formatMessages(messages, format));
+        }
+        return 0;
+    },
+
+    async status(client, args, opts) {
+        const status = await client.call('status', withTarget({}, opts));
+        if (opts.json) {
+            printJson(status);
+        } else {
+            console.log(`CDP:     ${status.cdpConnected ? '已连接' : '未连接'}`);
+            console.log(`窗口:    ${status.page ? `${status.page.title} (${status.target})` : '无'}`);
+            console.log(`队列:    ${status.queue} 个任务`);
+            console.log(`窗口数:  ${status.targets}，WS 客户端: ${status.wsClients}`);
+        }
+        return 0;
+    },
+
+    async watch(client, args, opts) {
+        const events = args.length > 0 ? args : ['*'];
+        client.on('notification', (method, params) => {
+            if (method !== 'event') return;
+            if (opts.json) {
+                console.log(JSON.stringify(params));
+            } else {
+                const time = new Date(params.ts).toLocaleTimeString();
+                console.log(`${time}  ${params.event.padEnd(18)} ${params.target}  ${JSON.stringify(params.data)}`);
+            }
+        });
+        await client.call('subscribe', { events });
+        if (!opts.json) console.error(`[CLI] 已订阅 ${events.join(', ')}，Ctrl+C 退出`);
+        // 直到连接断开或被中断
+        await new Promise((resolve) => client.once('close', resolve));
+        return EXIT_FAILED;
+    },
+
+    async repl(client, args, opts) {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+        let busy = false;
+
+        // 生成中 Ctrl+C 停止生成，空闲时退出
+        rl.on('SIGINT', () => {
+            if (!busy) return rl.close();
+            client.call('stop', withTarget({}, opts)).catch(() => {});
+        });
+
+        console.error('[CLI] 交互模式：/stop 停止生成，/new 新建对话，/exit 退出');
+        rl.prompt();
+        for await (const line of rl) {
+            const input = line.trim();
+            try {
+                if (input === '/exit') break;
+                if (input === '/new') {
+                    await client.call('newConversation', withTarget({}, opts));
+                    console.error('[CLI] 已新建对话');
+                } else if (input === '/stop') {
+                    await client.call('stop', withTarget({}, opts));
+                } else if (input) {
+                    busy = true;
+                    await sendPrompt(client, input, { ...opts, attachments: [] }, true);
+                }
+            } catch (err) {
+                console.error(`[CLI] ${err.message}`);
+            }
+            busy = false;
+            rl.prompt();
+        }
+        rl.close();
+        return 0;
+    },
+
+    async stop(client, args, opts) {
+        const result = await client.call('stop', withTarget({}, opts));
+        if (opts.json) printJson(result);
+        else console.error(`[CLI] ${result.clicked ? '已停止生成' : '当前没有进行中的生成'}，取消 ${result.cancelledWaits} 个等待`);
+        return 0;
+    },
+
+    async call(client, args, opts) {
+        const [method, raw] = args;
+        if (!method) throw new Error('缺少方法名');
+        let params;
+        try {
+            params = raw ? JSON.parse(raw) : {};
+        } catch {
+            throw new Error('参数必须是 JSON 对象');
+        }
+        printJson(await client.call(method, withTarget(params, opts)));
+        return 0;
+    },
+};
+
+/**
+ * 读取本机文件作为附件：服务端可能在另一台机器上，不能只传路径
+ */
+function readAttachment(file) {
+    let data;
+    try {
+        data = fs.readFileSync(path.resolve(file));
+    } catch (err) {
+        throw new Error(`无法读取附件 ${file}: ${err.message}`);
+    }
+    return { type: 'file', name: path.basename(file), data: data.toString('base64') };
+}
+
+/**
+ * 发送并等待回复；stream 为 true 时把回复增量写到标准输出
+ */
+async function sendPrompt(client, text, opts, stream) {
+    const params = withTarget({ text, stream: true }, opts);
+    if (opts.attachments.length > 0) params.attachments = opts.attachments.map(readAttachment);
+    if (opts.model) params.model = opts.model;
+    if (opts.mode) params.mode = opts.mode;
+    if (opts.timeout) params.timeout = opts.timeout;
+
+    let printed = '';
+    const onDelta = (p) => {
+        if (!stream) return;
+        // 按全文比对输出，内容被整体替换时另起一行输出全文
+        if (!p.reset && p.text.startsWith(printed)) {
+            process.stdout.write(p.text.slice(printed.length));
+        } else {
+            process.stdout.write(`${printed ? '\n' : ''}${p.text}`);
+        }
+        printed = p.text;
+    };
+    const onQueued = (p) => console.error(`[CLI] 排队中，前面还有 ${p.position} 个任务`);
+
+    let result;
+    try {
+        result = await client.call('send', params, { onDelta, onQueued });
+    } catch (err) {
+        if (printed) process.stdout.write('\n');
+        throw err;
+    }
+    if (stream) {
+        // 补齐最后一次增量之后生成的内容
+        if (result.reply && result.reply.startsWith(printed)) process.stdout.write(result.reply.slice(printed.length));
+        else if (result.reply !== printed) process.stdout.write(`\n${result.reply || ''}`);
+        process.stdout.write('\n');
+        if (result.checkError?.hasError) console.error(`[CLI] IDE 显示错误: ${result.checkError.errorText || ''}`);
+    }
+    return result;
+}
+
+async function readPrompt(args, opts) {
+    if (opts.file) return fs.readFileSync(opts.file, 'utf-8').trim();
+    if (args.length > 0 && !(args.length === 1 && args[0] === '-')) return args.join(' ');
+    if (process.stdin.isTTY && args[0] !== '-') return '';
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf-8').trim();
+}
+
+function formatMessages(messages, format) {
+    return messages.map((m) => {
+        const isUser = m.role === 'user';
+        if (format === 'text') return `[${isUser ? 'user' : 'assistant'}] ${m.text}\n`;
+        return `## ${isUser ? '用户' : '助手'}\n\n${m.markdown || m.text}\n`;
+    }).join('\n');
+}
+
+function withTarget(params, opts) {
+    return opts.target ? { ...params, target: opts.target } : params;
+}
+
+function printJson(data) {
+    console.log(JSON.stringify(data, null, 2));
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`[CLI] ${err.message}`);
+        return EXIT_FAILED;
+    }
+    const { command, args, opts } = parsed;
+    if (opts.help || !command) {
+        console.log(USAGE);
+        return opts.help ? 0 : EXIT_FAILED;
+    }
+    if (!Object.hasOwn(COMMANDS, command)) {
+        console.error(`[CLI] 未知命令: ${command}（agl --help 查看用法）`);
+        return EXIT_FAILED;
+    }
+
+    const client = new LinkClient(opts.url, { token: opts.token });
+    try {
+        await client.connect();
+        return await COMMANDS[command](client, args, opts);
+    } catch (err) {
+        if (opts.json && err.data !== undefined) printJson({ error: { code: err.code, message: err.message, data: err.data } });
+        console.error(`[CLI] ${err.message}`);
+        return err.code === ErrorCodes.AGENT_ERROR ? EXIT_AGENT_ERROR : EXIT_FAILED;
+    } finally {
+        client.close();
+    }
+}
+
+main().then((code) => {
+    process.exitCode = code;
+});
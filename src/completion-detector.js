@@ -0,0 +1,106 @@
+/**
+ * 回复完成检测
+ *
+ * 综合多个界面信号判断 agent 是否已完成本轮回复，而不只看 Send 按钮：
+ *   - 忙碌信号: Send 按钮隐藏、停止按钮出现、加载 / 思考指示出现（选择器 busyIndicator）
+ *   - 内容信号: 最后一条 bot 回复的文本与 bot 消息数量（getLastBotText）
+ *
+ * 判定规则（每次轮询调用 update()）：
+ *   1. 任一忙碌信号出现，或 bot 消息数量 / 最后一条回复与等待开始时不同，视为已开始
+ *   2. 已开始后，无忙碌信号且回复文本与消息数量持续 settleTime 毫秒不变，视为完成；
+ *      期间再次出现忙碌信号（多步执行中的短暂空闲）则重新计时
+ *   3. startTimeout 毫秒内没有任何活动时结束等待（waitForReply 返回 no_activity，不返回上一轮的回复）
+ *
+ * 完成时返回 { signal, startedBy, reason }，由 waitForReply 作为结果的 completion 字段返回：
+ *   signal:    idle-stable（观察到忙碌后恢复空闲且回复稳定）/ fast-reply（未观察到忙碌，
+ *              新回复在首次轮询前已生成完毕）/ no-activity（未观察到任何活动）
+ *   startedBy: send-hidden / stop-button / busy-indicator / new-reply，最先观察到的开始信号
+ */
+
+const DEFAULTS = {
+    /** 空闲且回复不变多久视为完成（毫秒） */
+    settleTime: 1500,
+    /** 多久没有任何活动即结束等待（毫秒） */
+    startTimeout: 5000,
+};
+
+class CompletionDetector {
+    /**
+     * @param {{ text?: string, count?: number }|null} before  等待开始前的 getLastBotText 结果
+     * @param {{ settleTime?: number, startTimeout?: number }} [options]
+     */
+    constructor(before, options = {}) {
+        this.before = { text: before?.text || '', count: before?.count || 0 };
+        this.settleTime = options.settleTime ?? DEFAULTS.settleTime;
+        this.startTimeout = options.startTimeout ?? DEFAULTS.startTimeout;
+        this.startedAt = null;
+        this.startedBy = null;
+        this._idleSince = null;
+        this._lastText = this.before.text;
+        this._lastCount = this.before.count;
+        this._lastChange = null;
+    }
+
+    /**
+     * 输入一次界面状态
+     * @param {{ send: boolean, stop: boolean, thinking: boolean, count: number, text: string }} state
+     *        注入层 getCompletionState() 的结果
+     * @param {number} [now]
+     * @returns {{ signal: string, startedBy: string|null, reason: string }|null} 完成时返回判定依据，否则为 null
+     */
+    update(state, now = Date.now()) {
+        if (this.startedAt === null) {
+            this.startedAt = now;
+            this._lastChange = now;
+        }
+
+        if (!this.startedBy) this.startedBy = this._startSignal(state);
+
+        const text = state.text || '';
+        if (text !== this._lastText || state.count !== this._lastCount) {
+            this._lastText = text;
+            this._lastCount = state.count;
+            this._lastChange = now;
+        }
+
+        if (!state.send || state.stop || state.thinking) {
+            this._idleSince = null;
+            return null;
+        }
+        if (this._idleSince === null) this._idleSince = now;
+
+        if (!this.startedBy) {
+            if (now - this.startedAt < this.startTimeout) return null;
+            return {
+                signal: 'no-activity',
+                startedBy: null,
+                reason: `${this.startTimeout}ms 内未观察到忙碌信号或新回复`,
+            };
+        }
+
+        const stableFor = now - Math.max(this._idleSince, this._lastChange);
+        if (stableFor < this.settleTime) return null;
+        if (this.startedBy === 'new-reply') {
+            return {
+                signal: 'fast-reply',
+                startedBy: this.startedBy,
+                reason: `未观察到忙碌信号，新回复已出现且 ${this.settleTime}ms 内无变化`,
+            };
+        }
+        return {
+            signal: 'idle-stable',
+            startedBy: this.startedBy,
+            reason: `Send 按钮已出现、无停止按钮与加载指示，回复 ${this.settleTime}ms 内无变化`,
+        };
+    }
+
+    _startSignal(state) {
+        if (state.stop) return 'stop-button';
+        if (state.thinking) return 'busy-indicator';
+        if (!state.send) return 'send-hidden';
+        if (state.count > this.before.count || (state.text && state.text !== this.before.text)) return 'new-reply';
+        return null;
+    }
+}
+
+module.exports = { CompletionDetector, COMPLETION_DEFAULTS: DEFAULTS };
@@ -0,0 +1,247 @@
+/**
+ * 启动配置
+ *
+ * 按以下顺序逐层覆盖（后者优先）:
+ *   默认值 < 配置文件 < 环境变量 < 命令行参数
+ *
+ * 配置文件: --config=PATH 或环境变量 AGL_CONFIG 指定；未指定时读取当前目录下的 antigravity-link.json（不存在则跳过）。
+ *           键名与下方 OPTIONS 相同，未知键视为错误。
+ * 环境变量: AGL_ 加命令行参数名的大写形式，如 --cdp-port → AGL_CDP_PORT，--no-auth → AGL_AUTH=false。
+ *           列表用逗号分隔；字符串项设为空值表示清除（如 AGL_HISTORY_FILE= 不记录历史）。
+ *
+ * 所有层的值都经过同一套类型与范围校验，错误汇总后一次抛出。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FORMATS: TRANSCRIPT_FORMATS } = require('./transcript');
+const { COMPLETION_DEFAULTS } = require('./completion-detector');
+const { TIMING_DEFAULTS } = require('./input-injector');
+const { DEFAULT_COMMAND_TIMEOUT } = require('./cdp-controller');
+
+const CONFIG_FILE = 'antigravity-link.json';
+
+/** 日志级别，由低到高输出越多 */
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info'];
+
+/**
+ * 配置项
+ *   type:    string / integer / port / boolean / list / enum
+ *   flag:    命令行参数（--flag=VALUE，boolean 为 --flag）；negate: 把值设为 false / null 的参数
+ */
+const OPTIONS = {
+    host: { type: 'string', default: '127.0.0.1', flag: '--host' },
+    cdpPort: { type: 'port', default: 9000, flag: '--cdp-port' },
+    serverPort: { type: 'port', default: 9999, flag: '--server-port' },
+    token: { type: 'string', default: null, flag: '--token' },
+    auth: { type: 'boolean', default: true, negate: '--no-auth' },
+    allowedOrigins: { type: 'list', default: [], flag: '--cors-origin' },
+    profile: { type: 'string', default: null, flag: '--profile' },
+    target: { type: 'string', default: null, flag: '--target' },
+    approvalPolicy: { type: 'string', default: null, flag: '--approval-policy' },
+    openaiReplay: { type: 'boolean', default: false, flag: '--openai-replay' },
+    allowEvaluate: { type: 'boolean', default: true, negate: '--no-evaluate' },
+    scriptsDir: { type: 'string', default: null, flag: '--scripts-dir' },
+    attachmentDir: { type: 'string', default: null, flag: '--attachment-dir' },
+    batchDir: { type: 'string', default: null, flag: '--batch-dir' },
+    transcriptDir: { type: 'string', default: null, flag: '--transcript-dir' },
+    transcriptFormat: { type: 'enum', values: TRANSCRIPT_FORMATS, default: 'md', flag: '--transcript-format' },
+    historyFile: {
+        type: 'string',
+        default: path.join(os.homedir(), '.antigravity-link', 'history.jsonl'),
+        flag: '--history-file',
+        negate: '--no-history',
+    },
+    historyRetention: { type: 'integer', min: 0, default: 30, flag: '--history-retention' },
+    replyTimeout: { type: 'integer', min: 1, default: TIMING_DEFAULTS.replyTimeout, flag: '--reply-timeout' },
+    idleTimeout: { type: 'integer', min: 1, default: TIMING_DEFAULTS.idleTimeout, flag: '--idle-timeout' },
+    pollInterval: { type: 'integer', min: 50, default: TIMING_DEFAULTS.pollInterval, flag: '--poll-interval' },
+    settleTime: { type: 'integer', min: 0, default: COMPLETION_DEFAULTS.settleTime, flag: '--settle-time' },
+    startTimeout: { type: 'integer', min: 0, default: COMPLETION_DEFAULTS.startTimeout, flag: '--start-timeout' },
+    clickRetries: { type: 'integer', min: 1, default: TIMING_DEFAULTS.clickRetries, flag: '--click-retries' },
+    cdpTimeout: { type: 'integer', min: 1, default: DEFAULT_COMMAND_TIMEOUT, flag: '--cdp-timeout' },
+    connectRetries: { type: 'integer', min: 1, default: 5, flag: '--connect-retries' },
+    connectRetryDelay: { type: 'integer', min: 0, default: 2000, flag: '--connect-retry-delay' },
+    logLevel: { type: 'enum', values: LOG_LEVELS, default: 'info', flag: '--log-level' },
+    logTimestamps: { type: 'boolean', default: false, flag: '--log-timestamps' },
+};
+
+/**
+ * 识别一个命令行参数并写入 cli（列表参数可重复，值累加）
+ * @param {object} cli  命令行层的原始值
+ * @param {string} arg
+ * @returns {boolean} 是否为配置项参数
+ */
+function applyFlag(cli, arg) {
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    const value = eq === -1 ? undefined : arg.slice(eq + 1);
+
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        if (name === option.negate && value === undefined) {
+            cli[key] = option.type === 'boolean' ? false : null;
+            return true;
+        }
+        if (name !== option.flag) continue;
+        if (option.type === 'boolean') {
+            cli[key] = value === undefined ? true : value;
+        } else if (option.type === 'list') {
+            cli[key] = [...(cli[key] || []), ...(value || '').split(',')];
+        } else {
+            cli[key] = value;
+        }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * 合并各层配置
+ * @param {{ cli?: object, env?: object, file?: string|null, cwd?: string }} [layers]
+ *        cli: applyFlag() 收集的命令行值；env: 默认 process.env；file: 配置文件路径（默认见文件头）
+ * @returns {{ config: object, sources: Record<string, 'default'|'file'|'env'|'cli'>, file: string|null }}
+ * @throws {Error} 配置文件无法读取或任一值无效
+ */
+function loadConfig(layers = {}) {
+    const env = layers.env || process.env;
+    const cli = layers.cli || {};
+    const errors = [];
+    const config = {};
+    const sources = {};
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        config[key] = Array.isArray(option.default) ? [...option.default] : option.default;
+        sources[key] = 'default';
+    }
+
+    const set = (key, raw, source, label) => {
+        const result = _coerce(OPTIONS[key], raw);
+        if (result.error) {
+            errors.push(`${label}: ${result.error}`);
+        } else {
+            config[key] = result.value;
+            sources[key] = source;
+        }
+    };
+
+    // 配置文件
+    const file = _configFile(layers.file ?? env.AGL_CONFIG ?? null, layers.cwd || process.cwd());
+    if (file) {
+        const data = _readConfigFile(file);
+        for (const [key, raw] of Object.entries(data)) {
+            if (key === '$schema') continue;
+            if (!Object.hasOwn(OPTIONS, key)) {
+                errors.push(`${file}: 未知配置项 ${key}`);
+                continue;
+            }
+            set(key, raw, 'file', `${file} 中的 ${key}`);
+        }
+    }
+
+    // 环境变量
+    for (const key of Object.keys(OPTIONS)) {
+        const name = envName(key);
+        if (env[name] !== undefined) set(key, env[name], 'env', `环境变量 ${name}`);
+    }
+
+    // 命令行
+    for (const [key, raw] of Object.entries(cli)) {
+        const option = OPTIONS[key];
+        set(key, raw, 'cli', raw === null || raw === false ? option.negate || option.flag : option.flag);
+    }
+
+    if (errors.length > 0) throw new Error(`配置无效:\n  - ${errors.join('\n  - ')}`);
+    return { config, sources, file };
+}
+
+/**
+ * 配置项对应的环境变量名
+ * @param {string} key
+ */
+function envName(key) {
+    const option = OPTIONS[key];
+    const name = option.flag
+        ? option.flag.slice(2)
+        : key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+    return `AGL_${name.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * --print-config 的输出：隐去令牌
+ */
+function describeConfig({ config, sources, file }) {
+    return {
+        file,
+        config: { ...config, token: config.token ? '***' : null },
+        sources,
+    };
+}
+
+function _configFile(explicit, cwd) {
+    if (explicit) return path.resolve(cwd, explicit);
+    const candidate = path.join(cwd, CONFIG_FILE);
+    return fs.existsSync(candidate) ? candidate : null;
+}
+
+function _readConfigFile(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new Error(`无法读取配置文件 ${file}: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`配置文件 ${file} 必须是 JSON 对象`);
+    }
+    return data;
+}
+
+/**
+ * 把配置文件中的值或环境变量 / 命令行的字符串转换为配置项的类型
+ * @returns {{ value?: any, error?: string }}
+ */
+function _coerce(option, raw) {
+    switch (option.type) {
+        case 'string':
+            if (raw === null || raw === '') return { value: null };
+            if (typeof raw !== 'string') return { error: '必须是字符串' };
+            return { value: raw };
+
+        case 'integer':
+        case 'port': {
+            const value = typeof raw === 'string' && /^\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+            if (!Number.isInteger(value)) return { error: `必须是整数，实际为 ${JSON.stringify(raw)}` };
+            const min = option.type === 'port' ? 1 : option.min ?? 0;
+            const max = option.type === 'port' ? 65535 : Infinity;
+            if (value < min || value > max) {
+                return { error: max === Infinity ? `不能小于 ${min}` : `必须在 ${min}-${max} 之间` };
+            }
+            return { value };
+        }
+
+        case 'boolean':
+            if (typeof raw === 'boolean') return { value: raw };
+            if (typeof raw === 'string' && /^(true|1|yes|on)$/i.test(raw)) return { value: true };
+            if (typeof raw === 'string' && /^(false|0|no|off)$/i.test(raw)) return { value: false };
+            return { error: `必须是 true 或 false，实际为 ${JSON.stringify(raw)}` };
+
+        case 'list': {
+            const items = typeof raw === 'string' ? raw.split(',') : raw;
+            if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+                return { error: '必须是字符串数组或逗号分隔的字符串' };
+            }
+            return { value: items.map((item) => item.trim()).filter(Boolean) };
+        }
+
+        case 'enum':
+            if (!option.values.includes(raw)) {
+                return { error: `无效值 ${JSON.stringify(raw)}（可选 ${option.values.join(' / ')}）` };
+            }
+            return { value: raw };
+
+        default:
+            return { error: `未知类型 ${option.type}` };
+    }
+}
+
+module.exports = { OPTIONS, LOG_LEVELS, CONFIG_FILE, applyFlag, loadConfig, envName, describeConfig };
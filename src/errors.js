@@ -0,0 +1,57 @@
+/**
+ * 错误码
+ *
+ * JSON-RPC 模式下作为 error.code 返回给客户端。-32700 ~ -32600 为 JSON-RPC 2.0 规范保留码，
+ * -32001 起为本服务自定义码。HTTP 与旧版 WS 格式仍只返回 error 文本，错误文本不随错误码改变。
+ */
+
+const ErrorCodes = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+
+    /** CDP 未连接或连接中途断开 */
+    CDP_DISCONNECTED: -32001,
+    /** 页面控制层不存在且无法注入 */
+    BRIDGE_MISSING: -32002,
+    /** 等待回复或 CDP 调用超时 */
+    TIMEOUT: -32003,
+    /** agent 持续忙碌，无法开始新的操作 */
+    BUSY: -32004,
+    /** 任务被取消或生成被停止 */
+    CANCELLED: -32005,
+    /** 找不到目标窗口 */
+    TARGET_NOT_FOUND: -32006,
+    /** IDE 界面显示了错误 */
+    AGENT_ERROR: -32007,
+    /** agent 正在等待操作审批 */
+    APPROVAL_REQUIRED: -32008,
+    /** 其他操作失败（如找不到按钮） */
+    OPERATION_FAILED: -32009,
+    /** 操作已被服务端配置禁用（如 --no-evaluate） */
+    FORBIDDEN: -32010,
+    /** 脚本库中没有该脚本 */
+    SCRIPT_NOT_FOUND: -32011,
+    /** 客户端与服务端的 WebSocket 连接未建立或已断开（由 LinkClient 在本地产生，服务端不返回） */
+    CONNECTION_CLOSED: -32012,
+};
+
+/**
+ * 带错误码的异常
+ */
+class LinkError extends Error {
+    /**
+     * @param {number} code  ErrorCodes 之一
+     * @param {string} message
+     * @param {any} [data]  附加信息，JSON-RPC 模式下作为 error.data 返回
+     */
+    constructor(code, message, data) {
+        super(message);
+        this.code = code;
+        if (data !== undefined) this.data = data;
+    }
+}
+
+module.exports = { ErrorCodes, LinkError };
@@ -0,0 +1,165 @@
+/**
+ * 历史记录
+ *
+ * 把经本服务执行的 send 任务、evaluate 与脚本调用追加写入本地 JSONL 文件（每行一条记录），
+ * IDE 中的对话被清空后仍可查询，同时作为 evaluate 与脚本的审计日志。
+ *
+ * 记录字段:
+ *   send:     { id, ts, type, target, page, client, requestId, jobId, prompt, reply, elapsed, success, status, error }
+ *   evaluate: { id, ts, type, target, page, client, requestId, expression, success, error }
+ *   script:   { id, ts, type, target, page, client, requestId, script, args, success, error }
+ *
+ * 保留期限: retentionDays 大于 0 时，启动时及之后每天清理一次过期记录（重写文件）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { ErrorCodes, LinkError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** 单页最大条数 */
+const MAX_LIMIT = 500;
+
+class HistoryStore {
+    /**
+     * @param {string} file  JSONL 文件路径（目录不存在时自动创建）
+     * @param {{ retentionDays?: number }} [options]  retentionDays: 保留天数，0 表示永久保留
+     */
+    constructor(file, options = {}) {
+        this.file = path.resolve(file);
+        this.retentionDays = options.retentionDays || 0;
+        /** 写入与清理串行执行，避免清理重写文件时丢失新追加的记录 */
+        this._chain = Promise.resolve();
+        this._timer = null;
+    }
+
+    start() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        if (this.retentionDays > 0) {
+            this.prune();
+            this._timer = setInterval(() => this.prune(), DAY);
+            this._timer.unref();
+        }
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * 追加一条记录
+     * @param {object} record  不含 id / ts，由此处补全
+     * @returns {Promise<object>} 写入的记录
+     */
+    append(record) {
+        const entry = { id: crypto.randomUUID(), ts: new Date().toISOString(), ...record };
+        return this._serial(async () => {
+            await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`, 'utf-8');
+            return entry;
+        }).catch((err) => {
+            console.error(`[History] 写入失败: ${err.message}`);
+            return entry;
+        });
+    }
+
+    /**
+     * 查询，按时间倒序分页
+     * @param {{ q?: string, type?: string, target?: string, from?: string|number, to?: string|number,
+     *           limit?: number, offset?: number }} [filter]
+     *        q: 在提示词、回复、表达式、脚本名与错误中全文搜索（不区分大小写）；from / to: ISO 时间或毫秒时间戳
+     * @returns {Promise<{ total: number, offset: number, limit: number, items: object[] }>}
+     */
+    async query(filter = {}) {
+        const limit = Math.min(Math.max(parseInt(filter.limit, 10) || 50, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(filter.offset, 10) || 0, 0);
+        const from = _parseTime(filter.from, 'from');
+        const to = _parseTime(filter.to, 'to');
+        const q = filter.q ? String(filter.q).toLowerCase() : null;
+
+        // 只保留最新的 offset + limit 条匹配记录
+        const window = [];
+        let total = 0;
+        await this._scan((entry) => {
+            const ts = Date.parse(entry.ts);
+            if (from !== null && ts < from) return;
+            if (to !== null && ts > to) return;
+            if (filter.type && entry.type !== filter.type) return;
+            if (filter.target && entry.target !== filter.target) return;
+            if (q && !_searchText(entry).includes(q)) return;
+            total++;
+            window.push(entry);
+            if (window.length > offset + limit) window.shift();
+        });
+
+        const items = window.reverse().slice(offset, offset + limit);
+        return { total, offset, limit, items };
+    }
+
+    /**
+     * 删除超过保留期限的记录
+     * @returns {Promise<number>} 删除的条数
+     */
+    prune() {
+        if (!(this.retentionDays > 0)) return Promise.resolve(0);
+        const cutoff = Date.now() - this.retentionDays * DAY;
+        return this._serial(async () => {
+            const kept = [];
+            let removed = 0;
+            await this._scan((entry, line) => {
+                if (Date.parse(entry.ts) < cutoff) removed++;
+                else kept.push(line);
+            });
+            if (removed === 0) return 0;
+            const tmp = `${this.file}.tmp`;
+            await fs.promises.writeFile(tmp, kept.length ? `${kept.join('\n')}\n` : '', 'utf-8');
+            await fs.promises.rename(tmp, this.file);
+            console.log(`[History] 已清理 ${removed} 条过期记录（保留 ${this.retentionDays} 天）`);
+            return removed;
+        }).catch((err) => {
+            console.error(`[History] 清理失败: ${err.message}`);
+            return 0;
+        });
+    }
+
+    _serial(fn) {
+        const next = this._chain.then(fn);
+        this._chain = next.catch(() => {});
+        return next;
+    }
+
+    /** 逐行读取，跳过损坏的行（如写入中断留下的半行） */
+    async _scan(onEntry) {
+        if (!fs.existsSync(this.file)) return;
+        const rl = readline.createInterface({ input: fs.createReadStream(this.file, 'utf-8'), crlfDelay: Infinity });
+        for await (const line of rl) {
+            if (!line) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            onEntry(entry, line);
+        }
+    }
+}
+
+function _parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(ms)) throw new LinkError(ErrorCodes.INVALID_PARAMS, `${name} 不是有效的时间: ${value}`);
+    return ms;
+}
+
+function _searchText(entry) {
+    return [entry.prompt, entry.reply, entry.expression, entry.script, entry.error]
+        .filter((v) => typeof v === 'string')
+        .join('\n')
+        .toLowerCase();
+}
+
+module.exports = { HistoryStore };
@@ -2,8 +2,8 @@
  * Antigravity-Link 入口文件
  *
  * 启动流程:
- *   1. 通过 CDP 连接到 Antigravity IDE
- *   2. 注入页面控制层 (window.__remoteBridge)
+ *   1. 通过 CDP 连接到 Antigravity IDE（按 --target 选择窗口）
+ *   2. 注入页面控制层 (window.__remoteBridge)，启动连接守护（断线自动重连并重新注入）
  *   3. 启动 HTTP + WebSocket 服务器，等待外部客户端
  *
  * 架构:
@@ -11,25 +11,34 @@
  *                                         └─> __remoteBridge (注入层)
  *
  * 用法:
- *   node src/index.js [--cdp-port=9000] [--server-port=9999]
+ *   node src/index.js [--config=PATH] [--print-config] [--cdp-port=9000] [--server-port=9999] [--host=127.0.0.1]
+ *                     [--token=TOKEN | --no-auth] [--cors-origin=ORIGIN,...]
+ *                     [--profile=NAME|PATH] [--target=REGEX] [--approval-policy=PATH] [--openai-replay]
+ *                     [--scripts-dir=PATH] [--no-evaluate] [--attachment-dir=PATH] [--batch-dir=PATH]
+ *                     [--transcript-dir=PATH] [--transcript-format=md|json|html]
+ *                     [--history-file=PATH | --no-history] [--history-retention=DAYS] [--settle-time=MS]
+ *                     [--start-timeout=MS] [--reply-timeout=MS] [--idle-timeout=MS] [--poll-interval=MS]
+ *                     [--click-retries=N] [--cdp-timeout=MS] [--connect-retries=N] [--connect-retry-delay=MS]
+ *                     [--log-level=silent|error|warn|info] [--log-timestamps]
+ *   以上选项也可写在 antigravity-link.json 或 AGL_* 环境变量中（见 config.js）
+ *   node src/index.js --batch=PROMPTS.jsonl [--batch-output=PATH] [--batch-var=NAME=VALUE ...]
+ *                     [--batch-new-conversation] [--batch-retries=N]   批量发送后退出，不启动服务器
  */
 
-const { CDPController } = require('./cdp-controller');
-const { injectBridge } = require('./bridge-injector');
-const { InputInjector } = require('./input-injector');
+const { TargetManager } = require('./target-manager');
 const { LinkServer } = require('./link-server');
+const { generateToken } = require('./auth');
+const { loadProfile } = require('./selector-profile');
+const { loadApprovalPolicy } = require('./approval-policy');
+const { COMPLETION_DEFAULTS } = require('./completion-detector');
+const { TIMING_DEFAULTS } = require('./input-injector');
+const { DEFAULT_COMMAND_TIMEOUT } = require('./cdp-controller');
+const { applyFlag, loadConfig, describeConfig, LOG_LEVELS } = require('./config');
+const { BatchRunner, loadBatchFile } = require('./batch-runner');
+const { HistoryStore } = require('./history-store');
+const { ScriptRegistry } = require('./script-registry');
 
-function parseArgs() {
-    const args = process.argv.slice(2);
-    const config = { cdpPort: 9000, serverPort: 9999 };
-
-    for (const arg of args) {
-        if (arg.startsWith('--cdp-port=')) {
-            config.cdpPort = parseInt(arg.split('=')[1], 10);
-        } else if (arg.startsWith('--server-port=')) {
-            config.serverPort = parseInt(arg.split('=')[1], 10);
-        } else if (arg === '--help' || arg === '-h') {
-            console.log(`
+const USAGE = `
 Antigravity-Link - CDP 远程控制桥接服务
 
 用法: node src/index.js [选项]
@@ -37,52 +46,250 @@ Antigravity-Link - CDP 远程控制桥接服务
 选项:
   --cdp-port=PORT      Antigravity 调试端口 (默认: 9000)
   --server-port=PORT   服务器端口 (默认: 9999)
+  --host=ADDR          监听地址 (默认: 127.0.0.1，0.0.0.0 表示所有网卡)
+  --token=TOKEN        访问令牌 (默认: 环境变量 AGL_TOKEN，都未设置则启动时随机生成)
+  --no-auth            关闭令牌鉴权 (仅限可信环境)
+  --cors-origin=LIST   允许跨域访问的来源，逗号分隔，可重复 (默认: 不允许任何浏览器来源)
+  --profile=NAME|PATH  选择器配置：src/profiles/ 下的配置名或 JSON 文件路径 (默认: default)
+  --target=REGEX       启动时连接的窗口：页面 id 或匹配标题/URL 的正则 (默认: 第一个 page 类型页面)
+  --approval-policy=PATH  操作审批策略 JSON，等待回复时自动批准/拒绝匹配的命令 (默认: 全部交给客户端)
+  --openai-replay      /v1/chat/completions 每次新建对话并重放 messages 上下文 (默认: 只发最后一条 user 消息)
+  --scripts-dir=PATH   自定义脚本目录，其中的 .js 脚本经 /api/scripts/:name 调用，同名覆盖内置脚本
+  --no-evaluate        禁用任意 JS 表达式 (/api/evaluate 与 WS evaluate)，只允许调用脚本库
+  --attachment-dir=PATH   附件目录，{ type: "file", path } 只能引用其中的文件 (默认: 不接受路径，只接受 base64 内容)
+  --batch-dir=PATH     /api/batch 的 file 与 output 只能位于该目录内 (默认: 不接受路径，只接受 items)
+  --transcript-dir=PATH   每轮回复结束后自动保存对话记录到该目录，一个对话一个文件 (默认: 不保存)
+  --transcript-format=FMT 自动保存格式: md / json / html (默认: md)
+  --history-file=PATH  send、evaluate 与脚本调用的历史记录文件 (JSONL，默认: ~/.antigravity-link/history.jsonl)
+  --no-history         不记录历史
+  --history-retention=DAYS  历史记录保留天数，0 表示永久保留 (默认: 30)
+  --settle-time=MS     判定回复完成：空闲后回复保持不变的时间，可被请求的 settleTime 覆盖 (默认: ${COMPLETION_DEFAULTS.settleTime})
+  --start-timeout=MS   多久未观察到任何活动即结束等待 (默认: ${COMPLETION_DEFAULTS.startTimeout})
+  --reply-timeout=MS   等待回复的默认超时，可被请求的 timeout 覆盖 (默认: ${TIMING_DEFAULTS.replyTimeout})
+  --idle-timeout=MS    发送前等待 agent 空闲的超时 (默认: ${TIMING_DEFAULTS.idleTimeout})
+  --poll-interval=MS   等待回复时的轮询间隔 (默认: ${TIMING_DEFAULTS.pollInterval})
+  --click-retries=N    点击 Send 按钮的重试次数 (默认: ${TIMING_DEFAULTS.clickRetries})
+  --cdp-timeout=MS     单个 CDP 命令的超时 (默认: ${DEFAULT_COMMAND_TIMEOUT})
+  --connect-retries=N  启动时连接 IDE 的尝试次数 (默认: 5)
+  --connect-retry-delay=MS  启动连接重试间隔 (默认: 2000)
+  --log-level=LEVEL    日志级别: silent / error / warn / info (默认: info，启动信息总是输出)
+  --log-timestamps     日志行前加 ISO 时间
+  --config=PATH        配置文件 (默认: 当前目录下的 antigravity-link.json，不存在则跳过)
+  --print-config       输出合并后的配置及每项来源后退出
+
+配置优先级: 默认值 < 配置文件 < 环境变量 < 命令行参数
+  配置文件的键名为 camelCase（如 cdpPort、replyTimeout），环境变量为 AGL_ 加参数名大写
+  (如 AGL_CDP_PORT、AGL_REPLY_TIMEOUT、AGL_AUTH=false)，详见 README
+
+批量发送 (发送完毕后退出，不启动服务器):
+  --batch=PATH         JSONL 条目文件，每行一个提示词字符串或 { id?, prompt, vars? }
+  --batch-output=PATH  结果 JSONL 文件 (默认: 条目文件名加 .results.jsonl)
+  --batch-var=NAME=VALUE  {{NAME}} 模板变量，可重复
+  --batch-new-conversation  每条之前新建对话
+  --batch-retries=N    IDE 显示错误时的重试次数，间隔从 2 秒起翻倍 (默认: 2)
 
 HTTP API:
-  POST /api/send          发送文本并等待回复  { text, timeout? }
-  POST /api/setText       仅设置文本          { text }
+  POST /api/send          发送文本并等待回复  { text, attachments?, model?, mode?, timeout?, settleTime?, stream?, cancelOnDisconnect? }
+  POST /api/stop          停止当前生成        {}
+  POST /api/setText       仅设置文本          { text, attachments? }
   POST /api/pressEnter    仅点击发送          {}
-  POST /api/evaluate      执行 JS 表达式      { expression }
-  POST /api/waitForReply  等待 AI 回复        { timeout? }
+  POST /api/evaluate      执行 JS 表达式      { expression }  (--no-evaluate 时返回 403)
+  GET  /api/scripts       列出脚本库
+  POST /api/scripts/:name 执行具名脚本        { args?, timeout? }
+  POST /api/waitForReply  等待 AI 回复        { timeout?, settleTime? }
+  POST /api/queue/cancel  取消任务            { jobId }
+  POST /api/batch         批量发送            { items | file, vars?, newConversation?, retries?, output?, ... }
+  GET  /api/batch/:id     批次进度与结果      (POST /api/batch/:id/cancel 取消)
+  GET  /api/queue         查看任务队列
   GET  /api/status        查询连接状态
+  GET  /healthz           存活探针 (无需令牌)
+  GET  /readyz            就绪探针 (无需令牌) ?target=会话id  CDP 已连接且控制层存在时 200，否则 503
+  GET  /metrics           Prometheus 指标
   GET  /api/messages      获取全部对话
+  GET  /api/export        导出对话记录        ?format=md|json|html
+  GET  /api/history       查询历史记录        ?q=&type=send|evaluate|script&target=&from=&to=&limit=&offset=
   GET  /api/lastReply     获取最后一条 AI 回复
-  GET  /api/diagnose      诊断输入框
+  GET  /api/diagnose      诊断页面 (选择器命中情况)
+  GET  /api/screenshot    截图 (PNG / JPEG)    ?format=png|jpeg&quality=&clip=panel|<CSS 选择器>
+  GET  /api/snapshot      对话区 HTML 快照     ?format=json|html&maxLength=
+  GET  /api/targets       列出全部窗口
+  POST /api/targets/select 切换活动窗口       { target }
+  GET  /api/conversations 列出历史对话
+  POST /api/conversations/new    新建对话     {}
+  POST /api/conversations/select 切换对话     { id }
+  GET  /api/model         当前模型与可选模型  (GET /api/mode 为模式)
+  POST /api/model         切换模型            { model }  (POST /api/mode { mode })
+  GET  /api/pending       列出等待审批的操作
+  POST /api/pending/:id/accept|reject 批准/拒绝操作
 
-WebSocket: ws://localhost:PORT/ws
+  所有操作可带 target 参数指定窗口 (GET 用 ?target=，POST/WS 用字段)
+
+OpenAI 兼容接口 (API Key 即访问令牌):
+  POST /v1/chat/completions  { model, messages, stream?, replay? }
+  GET  /v1/models
+
+WebSocket: ws://localhost:PORT/ws?token=TOKEN
   发送 JSON: { action: "send|setText|pressEnter|...", ... }
+  订阅事件: { action: "subscribe", events: ["agent.idle", "message.added", ...] }
+  JSON-RPC 2.0: 以子协议 jsonrpc-2.0 连接，{ jsonrpc: "2.0", id, method, params }，
+               支持批量请求，rpc.discover 列出方法与参数模式
+
+鉴权:
+  请求头 Authorization: Bearer TOKEN，或查询参数 ?token=TOKEN
+
+命令行客户端: agl --help (src/cli.js)
 
 示例:
-  curl http://localhost:9999/api/status
-  curl -X POST http://localhost:9999/api/send -d '{"text":"你好"}'
-`);
-            process.exit(0);
+  curl -H "Authorization: Bearer TOKEN" http://localhost:9999/api/status
+  curl -X POST -H "Authorization: Bearer TOKEN" http://localhost:9999/api/send -d '{"text":"你好"}'
+`;
+
+/**
+ * 解析命令行：配置项（见 config.js）收集到 cli，其余为只在命令行使用的参数
+ */
+function parseArgs(args = process.argv.slice(2)) {
+    const cli = {};
+    const run = {
+        help: false,
+        printConfig: false,
+        configFile: null,
+        batch: null,
+        batchOutput: null,
+        batchVars: {},
+        batchNewConversation: false,
+        batchRetries: undefined,
+    };
+
+    for (const arg of args) {
+        const value = arg.slice(arg.indexOf('=') + 1);
+        if (applyFlag(cli, arg)) continue;
+        if (arg.startsWith('--config=')) {
+            run.configFile = value;
+        } else if (arg === '--print-config') {
+            run.printConfig = true;
+        } else if (arg.startsWith('--batch=')) {
+            run.batch = value;
+        } else if (arg.startsWith('--batch-output=')) {
+            run.batchOutput = value;
+        } else if (arg.startsWith('--batch-var=')) {
+            const eq = value.indexOf('=');
+            if (eq <= 0) throw new Error(`--batch-var 格式应为 NAME=VALUE: ${value}`);
+            run.batchVars[value.slice(0, eq)] = value.slice(eq + 1);
+        } else if (arg === '--batch-new-conversation') {
+            run.batchNewConversation = true;
+        } else if (arg.startsWith('--batch-retries=')) {
+            run.batchRetries = parseInt(value, 10);
+        } else if (arg === '--help' || arg === '-h') {
+            run.help = true;
+        } else {
+            throw new Error(`未知选项: ${arg}（--help 查看用法）`);
+        }
+    }
+    return { cli, run };
+}
+
+/**
+ * 按 logLevel 屏蔽低级别日志，logTimestamps 时在每行前加时间
+ */
+function setupLogging({ logLevel, logTimestamps }) {
+    const rank = LOG_LEVELS.indexOf(logLevel);
+    const methods = { error: 'error', warn: 'warn', log: 'info', info: 'info' };
+    for (const [method, level] of Object.entries(methods)) {
+        const original = console[method].bind(console);
+        if (rank < LOG_LEVELS.indexOf(level)) {
+            console[method] = () => {};
+        } else if (logTimestamps) {
+            console[method] = (...args) => {
+                if (args.length === 0) return original();
+                // 以换行开头的消息把换行移到时间之前
+                const lead = typeof args[0] === 'string' ? args[0].match(/^\n*/)[0] : '';
+                if (lead) args[0] = args[0].slice(lead.length);
+                original(`${lead}${new Date().toISOString()}`, ...args);
+            };
         }
     }
-    return config;
 }
 
 async function main() {
-    const config = parseArgs();
+    const { cli, run } = parseArgs();
+    if (run.help) {
+        console.log(USAGE);
+        return;
+    }
+    const loaded = loadConfig({ cli, file: run.configFile });
+    if (run.printConfig) {
+        console.log(JSON.stringify(describeConfig(loaded), null, 2));
+        return;
+    }
+    const config = { ...loaded.config, ...run };
+
+    const profile = loadProfile(config.profile);
+    const approvalPolicy = config.approvalPolicy ? loadApprovalPolicy(config.approvalPolicy) : null;
+    const scripts = new ScriptRegistry(config.scriptsDir).load();
+    let generatedToken = false;
+    if (!config.auth) {
+        config.token = null;
+    } else if (!config.token) {
+        config.token = generateToken();
+        generatedToken = true;
+    }
 
     console.log('╔═══════════════════════════════════════╗');
     console.log('║     Antigravity-Link 桥接服务         ║');
     console.log('╚═══════════════════════════════════════╝');
     console.log(`  CDP 端口:     ${config.cdpPort}`);
-    console.log(`  服务器端口:   ${config.serverPort}`);
+    console.log(`  服务器地址:   ${config.host}:${config.serverPort}`);
+    if (!config.token) {
+        console.log('  访问令牌:     未启用 (--no-auth)');
+    } else if (generatedToken) {
+        console.log(`  访问令牌:     ${config.token}  (随机生成，可通过 --token 或 AGL_TOKEN 固定)`);
+    } else {
+        console.log('  访问令牌:     已设置');
+    }
+    console.log(`  选择器配置:   ${profile.name}${profile.version ? ` (${profile.version})` : ''}`);
+    if (loaded.file) console.log(`  配置文件:     ${loaded.file}`);
+    if (config.target) console.log(`  目标窗口:     ${config.target}`);
+    if (config.historyFile) {
+        console.log(`  历史记录:     ${config.historyFile} (${config.historyRetention > 0 ? `保留 ${config.historyRetention} 天` : '永久保留'})`);
+    }
+    console.log(`  脚本库:       ${scripts.scripts.size} 个脚本${config.scriptsDir ? ` (${config.scriptsDir})` : ''}`);
+    if (!config.allowEvaluate) console.log('  evaluate:     已禁用 (--no-evaluate)，只能调用脚本库');
+    if (config.transcriptDir) console.log(`  对话记录:     ${config.transcriptDir} (${config.transcriptFormat})`);
+    if (config.attachmentDir) console.log(`  附件目录:     ${config.attachmentDir}`);
+    if (config.batchDir) console.log(`  批量目录:     ${config.batchDir}`);
+    if (approvalPolicy) {
+        console.log(`  审批策略:     ${config.approvalPolicy} (${approvalPolicy.rules.length} 条规则，默认 ${approvalPolicy.defaultDecision})`);
+    }
     console.log();
+    // 启动信息总是输出，之后的日志按 logLevel 过滤
+    setupLogging(config);
 
-    // 1. CDP 连接
-    const cdp = new CDPController(config.cdpPort);
+    // 1. CDP 连接 + 2. 注入控制层（每个窗口自带连接守护）
+    const targets = new TargetManager(config.cdpPort, {
+        profile,
+        filter: config.target,
+        approvalPolicy,
+        transcriptDir: config.transcriptDir,
+        transcriptFormat: config.transcriptFormat,
+        completion: { settleTime: config.settleTime, startTimeout: config.startTimeout },
+        timing: {
+            replyTimeout: config.replyTimeout,
+            idleTimeout: config.idleTimeout,
+            pollInterval: config.pollInterval,
+            clickRetries: config.clickRetries,
+        },
+        commandTimeout: config.cdpTimeout,
+        attachmentDir: config.attachmentDir,
+    });
     let connected = false;
 
-    for (let i = 0; i < 5 && !connected; i++) {
+    for (let i = 0; i < config.connectRetries && !connected; i++) {
         try {
             if (i > 0) {
                 console.log(`[Main] 第 ${i} 次重试...`);
-                await new Promise((r) => setTimeout(r, 2000));
+                await new Promise((r) => setTimeout(r, config.connectRetryDelay));
             }
-            await cdp.autoConnect();
+            await targets.connectInitial();
             connected = true;
         } catch (err) {
             console.error(`[Main] 连接失败: ${err.message}`);
@@ -94,27 +301,87 @@ async function main() {
         process.exit(1);
     }
 
-    // 2. 注入控制层
-    await injectBridge(cdp);
+    if (config.batch) {
+        const code = await runBatch(targets, config);
+        targets.close();
+        process.exit(code);
+    }
 
     // 3. 启动服务器
-    const injector = new InputInjector(cdp);
-    const server = new LinkServer(cdp, injector, config.serverPort);
+    const history = config.historyFile ? new HistoryStore(config.historyFile, { retentionDays: config.historyRetention }) : null;
+    if (history) history.start();
+    const server = new LinkServer(targets, config.serverPort, {
+        host: config.host,
+        token: config.token,
+        allowedOrigins: config.allowedOrigins,
+        openaiReplay: config.openaiReplay,
+        history,
+        scripts,
+        allowEvaluate: config.allowEvaluate,
+        batchDir: config.batchDir,
+    });
     await server.start();
 
+    // 连接状态变化通知 WS 客户端
+    targets.on('state', (info) => {
+        server.broadcast({ type: 'connection', ...info });
+    });
+    targets.on('selected', (info) => {
+        server.broadcast({ type: 'targetSelected', ...info });
+    });
+    // IDE 状态事件推送给订阅的客户端
+    targets.on('event', ({ target, event, data }) => {
+        server.publish(event, target, data);
+    });
+
     console.log('\n[Main] 系统就绪');
 
     // 优雅退出
     const shutdown = () => {
         console.log('\n[Main] 正在关闭...');
         server.stop();
-        cdp.disconnect();
+        if (history) history.stop();
+        targets.close();
         process.exit(0);
     };
     process.on('SIGINT', shutdown);
     process.on('SIGTERM', shutdown);
 }
 
+/**
+ * 命令行批量发送：逐条发送并输出进度，全部成功时退出码为 0
+ */
+async function runBatch(targets, config) {
+    const output = config.batchOutput || `${config.batch.replace(/\.jsonl?$/i, '')}.results.jsonl`;
+    const session = await targets.acquire();
+    const batch = new BatchRunner(session, loadBatchFile(config.batch), {
+        vars: config.batchVars,
+        newConversation: config.batchNewConversation,
+        retries: config.batchRetries,
+        settleTime: config.settleTime,
+        output,
+    });
+    batch.on('event', (event, data) => {
+        if (event !== 'batch.item') return;
+        const label = data.id ? `${data.index + 1} (${data.id})` : `${data.index + 1}`;
+        const detail = data.success ? `${data.elapsed}s` : `${data.status}: ${data.error}`;
+        console.log(`[Batch] ${data.done}/${data.total} 第 ${label} 条 ${data.success ? '完成' : '失败'}，${detail}`);
+    });
+    process.once('SIGINT', () => {
+        console.log('\n[Batch] 正在取消...');
+        batch.cancel();
+    });
+
+    console.log(`[Batch] ${batch.items.length} 条，结果写入 ${batch.output}`);
+    const info = await batch.run();
+    if (info.state === 'error') {
+        console.error(`[Batch] 出错结束: ${info.error}（成功 ${info.succeeded}，失败 ${info.failed}）`);
+    } else {
+        console.log(`[Batch] ${info.state === 'cancelled' ? '已取消' : '完成'}: 成功 ${info.succeeded}，失败 ${info.failed}`);
+    }
+    return info.state === 'completed' && info.failed === 0 ? 0 : 1;
+}
+
 main().catch((err) => {
     console.error('[Main] 启动失败:', err);
     process.exit(1);
@@ -7,23 +7,72 @@
  * 设计原则：
  *   - DOM 查询/点击等操作通过 callBridge() 调用页面内注入层
  *   - 文本输入通过 CDP Input.insertText（Lexical 编辑器要求）
+ *   - 附件：base64 内容由注入层以粘贴事件放入，本地文件经 CDP Input.dispatchDragEvent 拖放，
+ *     @ 提及通过输入 @ 后在 IDE 的候选列表中选择
  *   - 键盘事件通过 CDP Input.dispatchKeyEvent
- *   - Send 按钮可见性作为 AI 空闲/忙碌的判据
+ *   - 回复完成由 CompletionDetector 综合 Send / 停止按钮、加载指示与回复文本稳定性判断
+ *   - 流式回复由注入层 MutationObserver 经 binding 推送，不额外轮询
+ *   - agent 等待操作审批时，按审批策略自动处理，无法处理的立即返回 awaiting_approval
+ *
+ * 事件:
+ *   - 'sent'   { attempt }              点击 Send 成功（sendText / pressEnter），attempt 为第几次尝试
+ *   - 'reply'  (result, { startedAt })  每次 waitForReply 结束（对话记录据此记录每轮的耗时与错误）
  */
 
-const { callBridge, isBridgeAlive, injectBridge } = require('./bridge-injector');
-
-class InputInjector {
-    constructor(cdp) {
+const EventEmitter = require('events');
+const { callBridge, isBridgeAlive, injectBridge, onBridgeEvent } = require('./bridge-injector');
+const { normalizeAttachments } = require('./attachments');
+const { ErrorCodes, LinkError } = require('./errors');
+const { CompletionDetector } = require('./completion-detector');
+
+/** 未指定时使用的超时、轮询间隔与重试次数 */
+const TIMING_DEFAULTS = {
+    /** waitForReply 超时（毫秒） */
+    replyTimeout: 120000,
+    /** 发送前等待 agent 空闲的超时（毫秒） */
+    idleTimeout: 120000,
+    /** waitForReply 轮询间隔（毫秒） */
+    pollInterval: 500,
+    /** 点击 Send 按钮的重试次数（间隔 1 秒） */
+    clickRetries: 10,
+};
+
+/** 可经下拉菜单切换的选项：model 模型，mode 模式（如 Planning / Fast） */
+const SELECTION_KINDS = ['model', 'mode'];
+
+class InputInjector extends EventEmitter {
+    /**
+     * @param {import('./cdp-controller').CDPController} cdp
+     * @param {{ profile?: import('./selector-profile').SelectorProfile,
+     *           approvalPolicy?: import('./approval-policy').ApprovalPolicy|null,
+     *           completion?: { settleTime?: number, startTimeout?: number },
+     *           timing?: Partial<typeof TIMING_DEFAULTS>, attachmentDir?: string|null }} [options]
+     *        profile: 注入层使用的选择器配置，默认为内置配置
+     *        approvalPolicy: 等待回复期间自动处理操作审批的策略，为空则全部交给客户端
+     *        completion: 回复完成检测的默认参数（见 completion-detector.js）
+     *        timing: 超时、轮询间隔与重试次数，见 TIMING_DEFAULTS
+     *        attachmentDir: 按路径附加的文件所在目录，为空则只接受 base64 内容（见 attachments.js）
+     */
+    constructor(cdp, options = {}) {
+        super();
         this.cdp = cdp;
+        this.profile = options.profile;
+        this.approvalPolicy = options.approvalPolicy || null;
+        this.completion = options.completion || {};
+        this.timing = { ...TIMING_DEFAULTS, ...options.timing };
+        this.attachmentDir = options.attachmentDir || null;
+        /** @type {Set<AbortController>} 进行中的 waitForReply，stop() 时统一中止 */
+        this._waits = new Set();
     }
 
     /**
      * 确保注入层存在（页面刷新后需要重新注入）
      */
     async ensureBridge() {
+        if (await isBridgeAlive(this.cdp)) return;
+        await injectBridge(this.cdp, this.profile);
         if (!(await isBridgeAlive(this.cdp))) {
-            await injectBridge(this.cdp);
+            throw new LinkError(ErrorCodes.BRIDGE_MISSING, '控制层注入失败，页面可能仍在加载');
         }
     }
 
@@ -52,7 +101,13 @@ class InputInjector {
         });
     }
 
-    async setText(text) {
+    /**
+     * @param {string} text
+     * @param {{ attachments?: Array<string|object> }} [options]  附件格式见 attachments.js，参数无效时抛出异常
+     */
+    async setText(text, options = {}) {
+        // 先校验附件，避免清空输入框后才发现参数错误
+        const attachments = normalizeAttachments(options.attachments, { dir: this.attachmentDir });
         await this.ensureBridge();
         await this.clearInput();
         await _sleep(50);
@@ -66,37 +121,165 @@ class InputInjector {
         await this.cdp.send('Input.insertText', { text });
         await _sleep(100);
 
+        if (attachments.length > 0) {
+            const delivered = await this._deliverAttachments(attachments);
+            const actual = await callBridge(this.cdp, 'getInputText');
+            return { success: delivered.success, text: actual, attachments: delivered.results, error: delivered.error };
+        }
+
         // 验证
         const actual = await callBridge(this.cdp, 'getInputText');
         return { success: true, text: actual };
     }
 
+    /**
+     * 在输入框现有内容之后添加附件
+     * @param {Array<string|object>} attachments
+     */
+    async addAttachments(attachments) {
+        const list = normalizeAttachments(attachments, { dir: this.attachmentDir });
+        await this.ensureBridge();
+        return await this._deliverAttachments(list);
+    }
+
+    /**
+     * @param {import('./attachments').NormalizedAttachment[]} list
+     * @returns {Promise<{ success: boolean, results: object[], error?: string }>}
+     */
+    async _deliverAttachments(list) {
+        const results = [];
+
+        // 提及紧跟在文本之后，按顺序逐个插入
+        for (const item of list.filter((a) => a.kind === 'mention')) {
+            results.push(await this._insertMention(item.query));
+        }
+
+        const pasted = list.filter((a) => a.kind === 'paste');
+        if (pasted.length > 0) {
+            const files = pasted.map(({ name, mimeType, data }) => ({ name, mimeType, data }));
+            const r = await callBridge(this.cdp, 'pasteFiles', files) || {};
+            for (const a of pasted) {
+                results.push({ kind: 'paste', name: a.name, success: !!r.success, method: r.method, error: r.error });
+            }
+            // 等 IDE 生成附件预览
+            await _sleep(300);
+        }
+
+        const dropped = list.filter((a) => a.kind === 'drop');
+        if (dropped.length > 0) {
+            const r = await this._dropFiles(dropped.map((a) => a.path));
+            for (const a of dropped) {
+                results.push({ kind: 'drop', name: a.name, success: r.success, error: r.error });
+            }
+            await _sleep(300);
+        }
+
+        const failed = results.find((r) => !r.success);
+        return { success: !failed, results, error: failed ? failed.error : undefined };
+    }
+
+    /**
+     * 经 CDP 拖放本地文件到输入框中心
+     * @param {string[]} paths
+     */
+    async _dropFiles(paths) {
+        const input = await callBridge(this.cdp, 'findInput');
+        if (!input?.found) return { success: false, error: '未找到 Lexical 编辑器' };
+        const data = { items: [], files: paths, dragOperationsMask: 1 };
+        try {
+            for (const type of ['dragEnter', 'dragOver', 'drop']) {
+                await this.cdp.send('Input.dispatchDragEvent', { type, x: input.x, y: input.y, data });
+            }
+        } catch (err) {
+            return { success: false, error: `拖放文件失败: ${err.message}` };
+        }
+        return { success: true };
+    }
+
+    /**
+     * 输入 @query 并在 IDE 的提及候选列表中选择
+     */
+    async _insertMention(query) {
+        await this.focusInput();
+        const current = await callBridge(this.cdp, 'getInputText');
+        const prefix = current && !/\s$/.test(current) ? ' ' : '';
+        await this.cdp.send('Input.insertText', { text: `${prefix}@${query}` });
+
+        const picked = await callBridge(this.cdp, 'pickMention', query) || {};
+        if (!picked.success) return { kind: 'mention', query, success: false, error: picked.error };
+        if (!picked.closed) {
+            // 点击未关闭候选列表时，用回车确认当前高亮项
+            await this.cdp.send('Input.dispatchKeyEvent', { type: 'keyDown', key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13 });
+            await this.cdp.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13 });
+        }
+        return { kind: 'mention', query, success: true, label: picked.label };
+    }
+
     // ── 发送操作 ──
 
-    async clickSend(retries = 10) {
+    async clickSend(retries = this.timing.clickRetries, signal = null) {
         await this.ensureBridge();
         for (let attempt = 0; attempt < retries; attempt++) {
+            if (signal?.aborted) return _cancelled();
             const result = await callBridge(this.cdp, 'clickSend');
-            if (result?.success) return result;
-            if (attempt < retries - 1) await _sleep(1000);
+            if (result?.success) {
+                this.emit('sent', { attempt: attempt + 1 });
+                return result;
+            }
+            if (attempt < retries - 1) await _sleep(1000, signal);
         }
         return { success: false, error: '多次重试后未找到 Send 按钮' };
     }
 
-    async pressEnter() {
-        return await this.clickSend();
+    async pressEnter(options = {}) {
+        return await this.clickSend(this.timing.clickRetries, options.signal);
     }
 
-    async sendText(text, delay = 300) {
-        // 先等 AI 空闲
-        await this.waitForIdle();
+    /**
+     * @param {string} text
+     * @param {number} [delay]  设置文本与点击发送之间的间隔
+     * @param {{ signal?: AbortSignal, attachments?: Array<string|object>, model?: string, mode?: string }} [options]
+     *        signal: 中止时尽快返回 cancelled 结果；attachments: 随文本发送的附件
+     *        model / mode: 发送前切换到的模型与模式，切换失败时不发送
+     * timing.idleTimeout 内 agent 未空闲时不发送，返回 waitForIdle 的 { success: false, status: 'busy' }
+     */
+    async sendText(text, delay = 300, options = {}) {
+        const { signal } = options;
+
+        // 先等 AI 空闲；仍在忙碌（或已取消）时不打断 agent
+        const idle = await this.waitForIdle(this.timing.idleTimeout, { signal });
+        if (!idle.success) return idle;
+
+        for (const kind of SELECTION_KINDS) {
+            if (!options[kind]) continue;
+            const selected = await this.selectOption(kind, options[kind]);
+            if (!selected?.success) return { success: false, error: selected?.error || `切换 ${kind} 失败` };
+        }
 
-        const setResult = await this.setText(text);
+        const setResult = await this.setText(text, { attachments: options.attachments });
         if (!setResult.success) return setResult;
-        await _sleep(delay);
+        await _sleep(delay, signal);
+        if (signal?.aborted) return _cancelled();
+
+        const sendResult = await this.clickSend(this.timing.clickRetries, signal);
+        return {
+            success: sendResult.success, text, error: sendResult.error, cancelled: sendResult.cancelled,
+            attachments: setResult.attachments,
+        };
+    }
 
-        const sendResult = await this.clickSend();
-        return { success: sendResult.success, text, error: sendResult.error };
+    /**
+     * 停止当前生成：点击 IDE 的停止按钮，并让进行中的 waitForReply 以 cancelled 返回（附已生成的部分回复）
+     */
+    async stop() {
+        await this.ensureBridge();
+        const clicked = await callBridge(this.cdp, 'clickStop') || {};
+        const waits = this._waits.size;
+        for (const controller of this._waits) controller.abort();
+        if (!clicked.success && waits === 0) {
+            return { success: false, error: clicked.error || '未找到停止按钮' };
+        }
+        return { success: true, clicked: !!clicked.success, cancelledWaits: waits };
     }
 
     // ── 等待操作 ──
@@ -106,56 +289,265 @@ class InputInjector {
         return await callBridge(this.cdp, 'isSendVisible');
     }
 
-    async waitForIdle(timeout = 120000) {
+    async waitForIdle(timeout = this.timing.idleTimeout, options = {}) {
+        const { signal } = options;
         const start = Date.now();
         while (Date.now() - start < timeout) {
+            if (signal?.aborted) return _cancelled();
             if (await this.isSendVisible()) return { success: true };
-            await _sleep(1000);
+            await _sleep(1000, signal);
         }
-        return { success: false, error: `waitForIdle 超时 (${timeout}ms)` };
+        return { success: false, status: 'busy', error: `waitForIdle 超时 (${timeout}ms)` };
     }
 
-    async waitForReply(timeout = 120000, pollInterval = 2000) {
+    /**
+     * 读取当前最后一条回复与 bot 消息数量，发送前调用并作为 waitForReply 的 options.before，
+     * 这样在首次轮询前就已生成完毕的短回复也能识别为新回复
+     * @returns {Promise<{ text: string, count: number }>}
+     */
+    async snapshotReply() {
         await this.ensureBridge();
-        const start = Date.now();
+        return (await callBridge(this.cdp, 'getLastBotText')) || { text: '', count: 0 };
+    }
 
-        // 记录发送前的 bot 消息数量
-        const beforeBot = await callBridge(this.cdp, 'getLastBotText');
-        const beforeCount = beforeBot?.count || 0;
+    /**
+     * 等待 AI 回复完成
+     *
+     * 结果的 status: completed / error / timeout / no_activity / cancelled / awaiting_approval。
+     * no_activity 表示 startTimeout 内未观察到任何活动（提示词可能未送达），reply 为空，
+     * 不返回页面上已有的上一轮回复。agent 完成但最后一条回复没有文本时返回 completed，reply 为空字符串。
+     * awaiting_approval 表示 agent 在等待审批且审批策略未能处理，pending 为待审批的操作，
+     * 客户端调用 respondPending() 后可再次 waitForReply。自动处理过的审批记录在 approvals 中。
+     *
+     * 完成时结果带 completion: { signal, startedBy, reason }，说明是哪个信号结束了等待。
+     *
+     * @param {number} [timeout]  省略或为 0 时使用 timing.replyTimeout
+     * @param {number} [pollInterval]  省略时使用 timing.pollInterval
+     * @param {{ onProgress?: (p: {text: string, delta: string, reset: boolean}) => void, signal?: AbortSignal,
+     *           before?: { text: string, count: number }, settleTime?: number }} [options]
+     *        onProgress: 回复增长时回调增量（reset 为 true 表示内容被替换，delta 即全文）
+     *        signal: 中止时返回 { success: false, cancelled: true, reply }（reply 为当前已生成的部分），
+     *                stop() 同样以此结果结束等待
+     *        before: 发送前 snapshotReply() 的结果；省略时以调用时的最后一条回复为准，
+     *                此时在调用前已生成完毕的回复无法识别为新回复
+     *        settleTime: 空闲且回复不变多久视为完成，覆盖默认值
+     */
+    async waitForReply(timeout, pollInterval, options = {}) {
+        timeout = timeout || this.timing.replyTimeout;
+        pollInterval = pollInterval || this.timing.pollInterval;
+        await this.ensureBridge();
 
-        // 阶段 1：等 Send 按钮消失（AI 开始处理）
-        const phase1Limit = 5000;
-        while (Date.now() - start < phase1Limit) {
-            if (!(await this.isSendVisible())) break;
-            await _sleep(500);
+        // 发送前的最后一条回复与 bot 消息数量
+        const beforeBot = options.before || (await this.snapshotReply());
+
+        // 外部 signal 与 stop() 任一触发都结束等待
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (options.signal?.aborted) controller.abort();
+        options.signal?.addEventListener('abort', onAbort);
+        this._waits.add(controller);
+
+        let unwatch = null;
+        const startedAt = Date.now();
+        try {
+            // 订阅失败（如 CDP 断开）时同样经 finally 清理 controller 与 signal 监听
+            if (options.onProgress) unwatch = await this._watchReply(beforeBot, options.onProgress);
+            const detector = new CompletionDetector(beforeBot, {
+                ...this.completion,
+                ...(options.settleTime !== undefined ? { settleTime: options.settleTime } : {}),
+            });
+            const result = await this._waitForReply(detector, timeout, pollInterval, controller.signal);
+            this.emit('reply', result, { startedAt });
+            return result;
+        } finally {
+            this._waits.delete(controller);
+            options.signal?.removeEventListener('abort', onAbort);
+            if (unwatch) await unwatch();
         }
+    }
+
+    /**
+     * 订阅 reply.progress 事件并换算为增量
+     * @returns {Promise<() => Promise<void>>} 取消订阅
+     */
+    async _watchReply(beforeBot, onProgress) {
+        const beforeCount = beforeBot?.count || 0;
+        let lastText = beforeBot?.text || '';
+        let lastCount = beforeCount;
+
+        const off = onBridgeEvent(this.cdp, (event, data) => {
+            if (event !== 'reply.progress' || !data) return;
+            const text = data.text || '';
+            // 新消息从空文本开始计算增量
+            const prev = data.count > lastCount ? '' : lastText;
+            lastCount = Math.max(lastCount, data.count || 0);
+            if (text === prev) return;
+            lastText = text;
+            if (text.startsWith(prev)) {
+                onProgress({ text, delta: text.slice(prev.length), reset: false });
+            } else {
+                onProgress({ text, delta: text, reset: true });
+            }
+        });
+        await callBridge(this.cdp, 'watchReply');
+
+        return async () => {
+            off();
+            try {
+                await callBridge(this.cdp, 'unwatchReply');
+            } catch { /* 连接已断开时忽略 */ }
+        };
+    }
+
+    async _waitForReply(detector, timeout, pollInterval, signal) {
+        const start = Date.now();
+        /** 本次等待中由审批策略自动处理的操作 */
+        const approvals = [];
+        const finish = (result) => (approvals.length ? { ...result, approvals } : result);
+        const elapsedSec = () => Math.round((Date.now() - start) / 1000);
 
-        // 阶段 2：等 Send 按钮重新出现（AI 完成）
         while (Date.now() - start < timeout) {
-            await _sleep(pollInterval);
-            const elapsed = Math.round((Date.now() - start) / 1000);
+            if (signal?.aborted) {
+                const { text } = (await callBridge(this.cdp, 'getLastBotText')) || {};
+                return finish({ ..._cancelled(), reply: text || null, elapsed: elapsedSec() });
+            }
 
-            if (await this.isSendVisible()) {
-                // 确认不是闪现：等 1.5s 再检查
-                await _sleep(1500);
-                if (!(await this.isSendVisible())) continue;
+            const pending = await this._resolvePending(approvals);
+            if (pending.length) {
+                const { text } = (await callBridge(this.cdp, 'getLastBotText')) || {};
+                return finish({
+                    success: false, status: 'awaiting_approval', error: 'agent 正在等待操作审批',
+                    pending, reply: text || null, elapsed: elapsedSec(),
+                });
+            }
 
-                // 检查服务端错误
+            const state = await callBridge(this.cdp, 'getCompletionState');
+            const completion = state && detector.update(state);
+            if (completion) {
+                // 检查服务端错误（出错时界面可能没有任何忙碌信号或新回复）
                 const errData = await callBridge(this.cdp, 'checkError');
                 if (errData?.hasError) {
-                    return { success: false, error: errData.errorText, elapsed };
+                    return finish({ success: false, status: 'error', error: errData.errorText, elapsed: elapsedSec(), completion });
                 }
-
-                // 读取回复
-                const afterBot = await callBridge(this.cdp, 'getLastBotText');
-                if ((afterBot?.count > beforeCount && afterBot?.text) || afterBot?.text) {
-                    return { success: true, reply: afterBot.text, elapsed };
+                // 没有任何活动：界面上的回复属于上一轮，不能作为本轮回复返回
+                if (completion.signal === 'no-activity') {
+                    return finish({
+                        success: false, status: 'no_activity', error: completion.reason, reply: '', elapsed: elapsedSec(), completion,
+                    });
                 }
+                // 最后一个 bot 节点可能没有文本（如本轮只调用了工具），同样视为完成
+                return finish({ success: true, status: 'completed', reply: state.text || '', elapsed: elapsedSec(), completion });
             }
+
+            await _sleep(pollInterval, signal);
         }
 
         const { text } = (await callBridge(this.cdp, 'getLastBotText')) || {};
-        return { success: false, error: `等待超时 (${timeout}ms)`, reply: text || null };
+        return finish({
+            success: false, status: 'timeout', error: `等待超时 (${timeout}ms)`, reply: text || null, elapsed: elapsedSec(),
+            completion: { signal: 'timeout', startedBy: detector.startedBy, reason: `${timeout}ms 内未判定完成` },
+        });
+    }
+
+    /**
+     * 读取待审批操作并按策略处理
+     * @param {object[]} approvals  自动处理记录，追加 { id, kind, command, decision, rule }
+     * @returns {Promise<object[]>} 仍需客户端处理的操作
+     */
+    async _resolvePending(approvals) {
+        const pending = (await callBridge(this.cdp, 'getPendingActions')) || [];
+        if (pending.length === 0 || !this.approvalPolicy) return pending;
+
+        const remaining = [];
+        for (const action of pending) {
+            const { decision, rule } = this.approvalPolicy.decide(action);
+            if (decision === 'ask') {
+                remaining.push(action);
+                continue;
+            }
+            const result = await callBridge(this.cdp, 'respondPending', action.id, decision);
+            if (!result?.success) {
+                remaining.push(action);
+                continue;
+            }
+            console.log(`[Approval] 自动${decision === 'accept' ? '批准' : '拒绝'}: ${action.command || action.title}`);
+            approvals.push({ id: action.id, kind: action.kind, command: action.command, decision, rule });
+        }
+        return remaining;
+    }
+
+    async checkError() {
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'checkError') || { hasError: false };
+    }
+
+    // ── 操作审批 ──
+
+    async getPendingActions() {
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'getPendingActions') || [];
+    }
+
+    /**
+     * @param {string} id  getPendingActions() 返回的操作 id
+     * @param {'accept'|'reject'} decision
+     */
+    async respondPending(id, decision) {
+        if (decision !== 'accept' && decision !== 'reject') {
+            return { success: false, error: `无效的审批操作: ${decision}` };
+        }
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'respondPending', id, decision);
+    }
+
+    // ── 对话管理 ──
+
+    async newConversation() {
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'newConversation');
+    }
+
+    async listConversations() {
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'listConversations');
+    }
+
+    /**
+     * @param {string} query  对话 id 或标题（精确匹配优先，其次包含）
+     */
+    async selectConversation(query) {
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'selectConversation', query);
+    }
+
+    // ── 模型与模式 ──
+
+    /**
+     * 当前选择与可选项（会短暂展开下拉菜单）
+     * @param {'model'|'mode'} kind
+     * @returns {Promise<{ success: boolean, current: string|null, options: Array<{ index: number, label: string, selected: boolean }>, error?: string }>}
+     */
+    async listOptions(kind) {
+        _assertKind(kind);
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'listOptions', kind);
+    }
+
+    /**
+     * 切换模型 / 模式，标题精确匹配优先，其次包含（不区分大小写）
+     * @param {'model'|'mode'} kind
+     * @param {string} query
+     * @returns {Promise<{ success: boolean, changed?: boolean, previous?: string|null, current?: string|null, error?: string }>}
+     */
+    async selectOption(kind, query) {
+        _assertKind(kind);
+        if (typeof query !== 'string' || !query.trim()) {
+            throw new LinkError(ErrorCodes.INVALID_PARAMS, `${kind} 必须是非空字符串`);
+        }
+        await this.ensureBridge();
+        const result = await callBridge(this.cdp, 'selectOption', kind, query.trim());
+        if (result?.changed) console.log(`[Input] ${kind}: ${result.previous} -> ${result.current}`);
+        return result;
     }
 
     // ── 消息读取 ──
@@ -171,14 +563,46 @@ class InputInjector {
         return data?.text || null;
     }
 
+    /**
+     * 对话区的 HTML 快照（已清理）
+     * @param {number} [maxLength]  超出时截断，0 为不限
+     * @returns {Promise<{ found: boolean, html: string, length: number, truncated: boolean }>}
+     */
+    async getSnapshot(maxLength = 0) {
+        await this.ensureBridge();
+        return await callBridge(this.cdp, 'getSnapshot', maxLength) || { found: false, html: '', length: 0, truncated: false };
+    }
+
     async diagnose() {
         await this.ensureBridge();
-        return await callBridge(this.cdp, 'diagnose') || [];
+        return await callBridge(this.cdp, 'diagnose') || {};
+    }
+}
+
+/**
+ * 可被 AbortSignal 提前唤醒的 sleep
+ */
+function _sleep(ms, signal = null) {
+    return new Promise((r) => {
+        if (signal?.aborted) return r();
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            r();
+        }
+        signal?.addEventListener('abort', done);
+    });
+}
+
+function _assertKind(kind) {
+    if (!SELECTION_KINDS.includes(kind)) {
+        throw new LinkError(ErrorCodes.INVALID_PARAMS, `无效的类型: ${kind}（可选 ${SELECTION_KINDS.join(' / ')}）`);
     }
 }
 
-function _sleep(ms) {
-    return new Promise((r) => setTimeout(r, ms));
+function _cancelled() {
+    return { success: false, status: 'cancelled', cancelled: true, error: '任务已取消' };
 }
 
-module.exports = { InputInjector };
+module.exports = { InputInjector, TIMING_DEFAULTS, SELECTION_KINDS };
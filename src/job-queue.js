@@ -0,0 +1,146 @@
+/**
+ * 串行任务队列
+ *
+ * 所有会修改 IDE 界面的操作（send / setText / pressEnter）都经由此队列逐个执行，
+ * 避免多个客户端同时操作 Lexical 编辑器导致文本互相覆盖。只读操作不进入队列。
+ *
+ * 取消:
+ *   - 排队中的任务直接移出队列，promise 以 cancelled 错误拒绝
+ *   - 执行中的任务通过 AbortSignal 通知，由任务自身尽快结束
+ */
+
+const { ErrorCodes, LinkError } = require('./errors');
+
+/** 任务 id 在所有队列间全局唯一（每个目标窗口各有一个队列） */
+let _nextJobId = 1;
+
+class JobQueue {
+    constructor() {
+        /** @type {Job[]} */
+        this.pending = [];
+        /** @type {Job|null} */
+        this.running = null;
+    }
+
+    /**
+     * 加入队列
+     * @param {string} type  任务类型（send / setText / pressEnter）
+     * @param {(signal: AbortSignal) => Promise<any>} run
+     * @param {{ meta?: object, onStart?: (job: Job) => void }} [options]
+     * @returns {Job}
+     */
+    enqueue(type, run, options = {}) {
+        const job = {
+            id: `job-${_nextJobId++}`,
+            type,
+            state: 'pending',
+            meta: options.meta || {},
+            createdAt: Date.now(),
+            startedAt: null,
+            controller: new AbortController(),
+            run,
+            onStart: options.onStart || null,
+            promise: null,
+            _resolve: null,
+            _reject: null,
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job._resolve = resolve;
+            job._reject = reject;
+        });
+        this.pending.push(job);
+        this._next();
+        return job;
+    }
+
+    /**
+     * 任务在队列中的位置：0 表示执行中，1 起为排队序号，-1 表示不存在
+     */
+    position(id) {
+        if (this.running && this.running.id === id) return 0;
+        const index = this.pending.findIndex((j) => j.id === id);
+        return index === -1 ? -1 : index + 1;
+    }
+
+    /**
+     * 取消任务
+     * @returns {{ success: boolean, state?: string, error?: string }}
+     */
+    cancel(id) {
+        if (this.running && this.running.id === id) {
+            this.running.controller.abort();
+            return { success: true, state: 'running' };
+        }
+        const index = this.pending.findIndex((j) => j.id === id);
+        if (index === -1) return { success: false, error: `任务不存在: ${id}` };
+
+        const [job] = this.pending.splice(index, 1);
+        job.state = 'cancelled';
+        job.controller.abort();
+        job._reject(_cancelledError());
+        return { success: true, state: 'pending' };
+    }
+
+    list() {
+        return {
+            running: this.running ? _describe(this.running, 0) : null,
+            pending: this.pending.map((job, i) => _describe(job, i + 1)),
+        };
+    }
+
+    get size() {
+        return this.pending.length + (this.running ? 1 : 0);
+    }
+
+    async _next() {
+        if (this.running || this.pending.length === 0) return;
+        const job = this.pending.shift();
+        this.running = job;
+        job.state = 'running';
+        job.startedAt = Date.now();
+
+        try {
+            if (job.onStart) job.onStart(job);
+            job._resolve(await job.run(job.controller.signal));
+            job.state = 'done';
+        } catch (err) {
+            job.state = 'failed';
+            job._reject(err);
+        } finally {
+            this.running = null;
+            this._next();
+        }
+    }
+}
+
+function _describe(job, position) {
+    return {
+        id: job.id,
+        type: job.type,
+        state: job.state,
+        position,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        ...job.meta,
+    };
+}
+
+function _cancelledError() {
+    const err = new LinkError(ErrorCodes.CANCELLED, '任务已取消');
+    err.cancelled = true;
+    return err;
+}
+
+/**
+ * @typedef {object} Job
+ * @property {string} id
+ * @property {string} type
+ * @property {'pending'|'running'|'done'|'failed'|'cancelled'} state
+ * @property {object} meta
+ * @property {number} createdAt
+ * @property {number|null} startedAt
+ * @property {AbortController} controller
+ * @property {Promise<any>} promise
+ */
+
+module.exports = { JobQueue };
@@ -0,0 +1,120 @@
+/**
+ * JSON-RPC 2.0 协议辅助
+ *
+ * 客户端以子协议 "jsonrpc-2.0" 连接 /ws 时启用（new WebSocket(url, 'jsonrpc-2.0')）：
+ *   - 请求:   { jsonrpc: "2.0", id, method, params? }，params 仅支持按名称传参（对象）
+ *   - 通知:   省略 id 的请求，执行但不响应
+ *   - 批量:   请求数组，响应数组（不含通知）
+ *   - 服务端推送以通知形式发送: job.queued / reply.delta / event / connection / targetSelected
+ *
+ * 指令返回 { success: false, ... } 的结果转换为错误，错误码见 errors.js，完整结果放在 error.data。
+ */
+
+const { ErrorCodes } = require('./errors');
+
+const SUBPROTOCOL = 'jsonrpc-2.0';
+
+/** 等待结果的 status → 错误码 */
+const STATUS_CODES = {
+    timeout: ErrorCodes.TIMEOUT,
+    no_activity: ErrorCodes.TIMEOUT,
+    cancelled: ErrorCodes.CANCELLED,
+    error: ErrorCodes.AGENT_ERROR,
+    awaiting_approval: ErrorCodes.APPROVAL_REQUIRED,
+    busy: ErrorCodes.BUSY,
+};
+
+/**
+ * 校验请求对象结构，合法时返回 null，否则返回错误说明
+ */
+function checkRequest(req) {
+    if (!req || typeof req !== 'object' || Array.isArray(req)) return '请求必须是对象';
+    if (req.jsonrpc !== '2.0') return 'jsonrpc 必须为 "2.0"';
+    if (typeof req.method !== 'string' || !req.method) return '缺少 method';
+    if ('id' in req && !['string', 'number'].includes(typeof req.id) && req.id !== null) {
+        return 'id 必须是字符串、数字或 null';
+    }
+    if (req.params !== undefined && (typeof req.params !== 'object' || req.params === null || Array.isArray(req.params))) {
+        return 'params 必须是对象（仅支持按名称传参）';
+    }
+    return null;
+}
+
+/**
+ * 按指令的参数模式校验参数，合法时返回 null，否则返回错误说明
+ * 模式为 JSON Schema 的子集：properties[].type（可为数组）/ enum / items.type，以及 required
+ * @param {object} params
+ * @param {{ properties?: object, required?: string[] }} schema
+ */
+function checkParams(params, schema) {
+    for (const key of schema.required || []) {
+        if (params[key] === undefined || params[key] === null) return `缺少参数 ${key}`;
+    }
+    for (const [key, prop] of Object.entries(schema.properties || {})) {
+        const value = params[key];
+        if (value === undefined || value === null) continue;
+        if (prop.type && !_typeMatches(value, prop.type)) {
+            return `参数 ${key} 应为 ${[].concat(prop.type).join(' 或 ')}`;
+        }
+        if (prop.enum && !prop.enum.includes(value)) {
+            return `参数 ${key} 无效: ${value}（可选 ${prop.enum.join(' / ')}）`;
+        }
+        if (Array.isArray(value) && prop.items?.type && !value.every((v) => _typeMatches(v, prop.items.type))) {
+            return `参数 ${key} 的元素应为 ${[].concat(prop.items.type).join(' 或 ')}`;
+        }
+    }
+    return null;
+}
+
+function result(id, value) {
+    return { jsonrpc: '2.0', id, result: value === undefined ? null : value };
+}
+
+function error(id, code, message, data) {
+    const err = { code, message };
+    if (data !== undefined) err.data = data;
+    return { jsonrpc: '2.0', id: id === undefined ? null : id, error: err };
+}
+
+function notification(method, params) {
+    return { jsonrpc: '2.0', method, params };
+}
+
+/**
+ * 把指令的返回值转换为响应：{ success: false } 的结果转为错误
+ * @param {string|number|null} id
+ * @param {any} value
+ * @param {string} [jobId]  经任务队列执行时附加到结果中
+ */
+function fromResult(id, value, jobId) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    if (isObject && value.success === false) {
+        const code = STATUS_CODES[value.status] || (value.cancelled ? ErrorCodes.CANCELLED : ErrorCodes.OPERATION_FAILED);
+        return error(id, code, value.error || '操作失败', jobId ? { ...value, jobId } : value);
+    }
+    return result(id, isObject && jobId ? { ...value, jobId } : value);
+}
+
+/**
+ * 把异常转换为错误响应（LinkError 带错误码，其余视为内部错误）
+ */
+function fromException(id, err, jobId) {
+    let code = typeof err.code === 'number' ? err.code : ErrorCodes.INTERNAL_ERROR;
+    if (err.cancelled) code = ErrorCodes.CANCELLED;
+    let data = err.data;
+    if (jobId) data = { ...(data || {}), jobId };
+    return error(id, code, err.message, data);
+}
+
+function _typeMatches(value, type) {
+    return [].concat(type).some((t) => {
+        switch (t) {
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            default: return typeof value === t;
+        }
+    });
+}
+
+module.exports = { SUBPROTOCOL, checkRequest, checkParams, result, error, notification, fromResult, fromException };
@@ -0,0 +1,118 @@
+/**
+ * LinkServer 客户端（JSON-RPC 2.0 over WebSocket）
+ *
+ * 供命令行工具和脚本使用：
+ *   const client = new LinkClient('ws://127.0.0.1:9999/ws', { token });
+ *   await client.connect();
+ *   const result = await client.call('send', { text: '你好', stream: true }, { onDelta: (p) => ... });
+ *
+ * 调用失败时抛出 LinkError（code 见 errors.js，data 为服务端返回的完整结果）；
+ * 与服务端的连接断开时，进行中的调用以 CONNECTION_CLOSED 失败。
+ * 服务端推送的通知（event / connection / targetSelected）以 'notification' (method, params) 事件发出。
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { ErrorCodes, LinkError } = require('./errors');
+const { SUBPROTOCOL } = require('./json-rpc');
+
+const DEFAULT_URL = 'ws://127.0.0.1:9999/ws';
+
+class LinkClient extends EventEmitter {
+    /**
+     * @param {string} [url]
+     * @param {{ token?: string|null }} [options]
+     */
+    constructor(url = DEFAULT_URL, options = {}) {
+        super();
+        this.url = url;
+        this.token = options.token || null;
+        this.ws = null;
+        this._nextId = 1;
+        /** @type {Map<number, { resolve: Function, reject: Function, onDelta?: Function, onQueued?: Function }>} */
+        this._calls = new Map();
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+            const ws = new WebSocket(this.url, SUBPROTOCOL, { headers });
+
+            ws.once('open', () => {
+                this.ws = ws;
+                resolve();
+            });
+            ws.once('unexpected-response', (req, res) => {
+                const reason = res.statusCode === 401 ? '访问令牌无效或缺失' : `HTTP ${res.statusCode}`;
+                reject(new Error(`连接被拒绝: ${reason}`));
+                res.resume();
+            });
+            ws.on('error', (err) => {
+                if (!this.ws) reject(new Error(`无法连接 ${this.url}: ${err.message}`));
+            });
+            ws.on('message', (raw) => this._handleMessage(raw));
+            ws.on('close', () => {
+                this.ws = null;
+                for (const call of this._calls.values()) {
+                    call.reject(new LinkError(ErrorCodes.CONNECTION_CLOSED, '与服务端的连接已断开'));
+                }
+                this._calls.clear();
+                this.emit('close');
+            });
+        });
+    }
+
+    /**
+     * 调用服务端方法
+     * @param {string} method
+     * @param {object} [params]
+     * @param {{ onDelta?: (p: object) => void, onQueued?: (p: object) => void }} [handlers]
+     *        onDelta: 流式 send 的 reply.delta；onQueued: 需要排队时的 job.queued
+     */
+    call(method, params = {}, handlers = {}) {
+        if (!this.ws) return Promise.reject(new LinkError(ErrorCodes.CONNECTION_CLOSED, '未连接'));
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._calls.set(id, { resolve, reject, ...handlers });
+            this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+        });
+    }
+
+    close() {
+        if (this.ws) this.ws.close();
+    }
+
+    _handleMessage(raw) {
+        let msg;
+        try {
+            msg = JSON.parse(raw.toString());
+        } catch {
+            return;
+        }
+        for (const item of [].concat(msg)) {
+            if ('id' in item && item.id !== null && this._calls.has(item.id)) {
+                const call = this._calls.get(item.id);
+                this._calls.delete(item.id);
+                if (item.error) call.reject(new LinkError(item.error.code, item.error.message, item.error.data));
+                else call.resolve(item.result);
+            } else if (item.method) {
+                this._handleNotification(item.method, item.params || {});
+            }
+        }
+    }
+
+    _handleNotification(method, params) {
+        const call = this._calls.get(params.requestId);
+        if (call && method === 'reply.delta') {
+            if (call.onDelta) call.onDelta(params);
+            return;
+        }
+        if (call && method === 'job.queued') {
+            if (call.onQueued) call.onQueued(params);
+            return;
+        }
+        this.emit('notification', method, params);
+    }
+}
+
+module.exports = { LinkClient, DEFAULT_URL };
@@ -2,33 +2,181 @@
  * 外部通信接口（HTTP + WebSocket 双模式）
  *
  * HTTP API:
- *   POST /api/send          { text, timeout? }   → 发送文本并等待回复
- *   POST /api/setText       { text }             → 仅设置文本
+ *   POST /api/send          { text, attachments?, model?, mode?, timeout?, settleTime?, stream?, cancelOnDisconnect? } → 发送文本并等待回复
+ *                           model / mode 非空时先切换模型与模式，切换失败则不发送
+ *                           stream 为 true（或 Accept: text/event-stream）时以 SSE 推送 delta/done 事件
+ *                           cancelOnDisconnect 为 true 时，客户端中途断开会取消任务并停止生成
+ *   POST /api/stop          {}                   → 停止当前生成，进行中的等待以 cancelled 返回（不经过任务队列）
+ *   POST /api/setText       { text, attachments? } → 仅设置文本（附件见 attachments.js：图片 / 文件 / @ 提及）
  *   POST /api/pressEnter    {}                   → 仅点击发送
- *   POST /api/evaluate      { expression }       → 执行 JS 表达式
- *   POST /api/waitForReply  { timeout? }         → 等待 AI 回复
+ *   POST /api/evaluate      { expression }       → 执行 JS 表达式（allowEvaluate 为 false 时返回 403，每次调用都写入日志）
+ *   GET  /api/scripts                            → 列出脚本库（见 script-registry.js）
+ *   POST /api/scripts/:name { args?, timeout? }  → 在页面中执行具名脚本，args 为 JSON 参数对象
+ *   POST /api/waitForReply  { timeout?, settleTime? } → 等待 AI 回复
+ *   POST /api/queue/cancel  { jobId }            → 取消排队中或执行中的任务
+ *   POST /api/batch         { items | file, vars?, newConversation?, retries?, retryDelay?, timeout?, settleTime?, output? }
+ *                                                → 批量发送（见 batch-runner.js），立即返回 202 与批次信息；
+ *                                                  file / output 只能位于批量目录（batchDir）内，未配置时返回 403
+ *   GET  /api/batch                              → 列出批次
+ *   GET  /api/batch/:id                          → 批次进度与每条结果
+ *   POST /api/batch/:id/cancel                   → 取消批次
+ *   POST /api/targets/select { target }          → 切换活动窗口
+ *   POST /api/conversations/new    {}            → 新建对话
+ *   POST /api/conversations/select { id }        → 切换对话（id 或标题）
+ *   GET  /api/conversations                      → 列出历史对话
+ *   GET  /api/model | /api/mode                  → 当前模型 / 模式与可选项 { current, options }（会短暂展开下拉菜单）
+ *   POST /api/model { model } | /api/mode { mode } → 切换模型 / 模式（标题精确匹配优先，其次包含，经任务队列）
+ *   GET  /api/pending                            → 列出等待审批的操作（运行命令 / 应用修改）
+ *   POST /api/pending/:id/accept|reject          → 批准 / 拒绝操作（不经过任务队列）
+ *   GET  /api/queue                              → 查看任务队列
+ *   GET  /api/targets                            → 列出全部页面（类型/标题/URL/是否已注入）
  *   GET  /api/status                             → CDP 连接状态
+ *   GET  /healthz                                → 存活探针（进程在运行即 200）
+ *   GET  /readyz?target=                         → 就绪探针（CDP 已连接且控制层存在时 200，否则 503；target 仅接受会话 id）
+ *   GET  /metrics                                → Prometheus 文本格式的运行指标（见 metrics.js）
  *   GET  /api/messages                           → 获取全部对话
+ *   GET  /api/export?format=md|json|html         → 导出对话记录（服务端记录的时间、每轮耗时与错误，见 transcript.js）
  *   GET  /api/lastReply                          → 获取最后一条 AI 回复
- *   GET  /api/diagnose                           → 诊断输入框状态
+ *   GET  /api/diagnose                           → 诊断页面（选择器回退链命中情况 + 输入框）
+ *   GET  /api/screenshot?format=png|jpeg&quality=&clip=
+ *                                                → 截图（图片二进制），clip 为选择器配置中的元素名（如 panel）或 CSS 选择器，
+ *                                                  省略时截取整个窗口（见 screen-capture.js）
+ *   GET  /api/snapshot?format=json|html&maxLength= → 对话区的 HTML 快照（已去掉脚本、事件属性与危险链接）
+ *   GET  /api/history?q=&type=&target=&from=&to=&limit=&offset=
+ *                                                → 查询历史记录（send 任务、evaluate 与脚本调用，见 history-store.js）
+ *
+ * OpenAI 兼容接口（见 openai-compat.js）:
+ *   POST /v1/chat/completions  { model, messages, stream? }  → chat.completion，stream 时以 SSE 推送 chunk
+ *   GET  /v1/models                                        → 模型列表
  *
  * WebSocket: ws://localhost:{port}/ws
  *   发送: { action, ...params }
  *   接收: { success, data?, error? }
+ *   流式: { action: "send", stream: true, ... }
+ *         → { type: "delta", id, delta, text, reset } ...
+ *         → { type: "done", id, success, reply, elapsed, error?, checkError }
+ *
+ * 实时画面: { action: "screencast", format?, quality?, maxWidth?, maxHeight?, everyNthFrame? } / { action: "screencastStop" }
+ *         → { type: "screencast.frame", target, format, data, metadata } ...（data 为 base64，客户端积压时丢帧）
+ *         → { type: "screencast.stopped", target, reason }（CDP 断开等原因被动停止时）
+ *         同一窗口的订阅者共用一路画面，首个订阅者的参数生效，连接关闭时自动退出订阅
+ *
+ * 事件订阅: { action: "subscribe", events: ["agent.idle", "message.*"] } / { action: "unsubscribe", events? }
+ *         → { type: "event", event, target, data, ts }
+ *         事件: agent.busy / agent.idle / message.added / error.shown / approval.requested /
+ *               cdp.disconnected / cdp.reconnected / page.reloaded /
+ *               batch.started / batch.item / batch.retry / batch.completed（"*" 表示全部，"agent.*" 表示同前缀）
+ *
+ * JSON-RPC 2.0: 以子协议 "jsonrpc-2.0" 连接 /ws 时启用（见 json-rpc.js），方法与 action 相同，
+ *         参数放在 params 中；支持批量请求与通知，rpc.discover 返回参数模式，错误码见 errors.js。
+ *         服务端推送为通知: job.queued / reply.delta / event / connection / targetSelected /
+ *         screencast.frame / screencast.stopped
+ *
+ * 等待回复的结果带 status: completed / error / timeout / no_activity / cancelled / awaiting_approval，
+ * awaiting_approval 时附带 pending（待审批操作），处理后可再次 waitForReply。
+ * completion 说明结束等待的信号（见 completion-detector.js），settleTime 为空闲后回复需保持不变的毫秒数。
+ *
+ * 任务队列: send / setText / pressEnter / 新建与切换对话 / 切换模型与模式会修改界面，经 JobQueue 串行执行，结果附带 jobId；
+ *           需要排队时 WS 先推送 { type: "queued", id, jobId, position }。只读操作不排队。
+ *
+ * 多窗口: 所有操作可带 target 参数（GET 为查询参数 ?target=，POST / WS 为字段），
+ *         值为页面 id 或匹配标题 / URL 的正则；省略时作用于活动窗口。每个窗口有独立队列。
+ *
+ * 请求关联: HTTP 响应带 X-Request-Id（沿用请求头或自动生成），与 WS 请求的 id 一同写入任务信息和错误日志。
+ *
+ * 鉴权: 启用令牌后，HTTP 与 /ws 升级均需 Authorization: Bearer <token> 或 ?token=<token>，
+ *       否则返回 401 { success: false, error }。浏览器来源需在 allowedOrigins 白名单内。
+ *       /healthz 与 /readyz 不需要令牌（供进程管理器与负载均衡探测，不返回页面内容）。
  */
 
 const http = require('http');
+const crypto = require('crypto');
 const WebSocket = require('ws');
+const { UNAUTHORIZED_BODY, checkToken, isOriginAllowed } = require('./auth');
+const { describePage } = require('./target-manager');
+const { isBridgeAlive } = require('./bridge-injector');
+const { Metrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const openai = require('./openai-compat');
+const { normalizeAttachments } = require('./attachments');
+const { STATE_EVENTS } = require('./state-watcher');
+const { BatchRunner, BATCH_EVENTS, loadBatchFile, resolveBatchPath } = require('./batch-runner');
+const { ScriptRegistry } = require('./script-registry');
+const { SELECTION_KINDS, TIMING_DEFAULTS } = require('./input-injector');
+const { captureScreenshot, Screencast, IMAGE_FORMATS, IMAGE_CONTENT_TYPES } = require('./screen-capture');
+const { FORMATS: EXPORT_FORMATS, CONTENT_TYPES } = require('./transcript');
+const { ErrorCodes, LinkError } = require('./errors');
+const rpc = require('./json-rpc');
+const { SUBPROTOCOL, checkParams } = rpc;
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+/** 可订阅的事件：窗口状态事件与批量发送进度 */
+const EVENTS = [...STATE_EVENTS, ...BATCH_EVENTS];
+
+/** 保留的已结束批次数 */
+const MAX_FINISHED_BATCHES = 20;
+
+/** 批次路由: /api/batch/:id 与 /api/batch/:id/cancel */
+const BATCH_ROUTE = /^\/api\/batch\/([^/]+)(\/cancel)?$/;
+
+/** 脚本路由: /api/scripts/:name */
+const SCRIPT_ROUTE = /^\/api\/scripts\/([^/]+)$/;
+
+/** evaluate 日志中表达式的最大长度 */
+const MAX_LOGGED_EXPRESSION = 200;
+
+/** 客户端未发出的数据超过此字节数时丢弃画面帧 */
+const MAX_SCREENCAST_BUFFER = 4 * 1024 * 1024;
+
+/** 模型与模式路由: /api/model 与 /api/mode */
+const SELECTION_ROUTE = /^\/api\/(model|mode)$/;
+
+/** 审批路由: /api/pending/:id/accept|reject */
+const PENDING_ROUTE = /^\/api\/pending\/([^/]+)\/(accept|reject)$/;
+
+/** 作用于目标窗口的 POST 路由 */
+const TARGET_POST_ROUTES = new Set([
+    '/api/send', '/api/stop', '/api/setText', '/api/pressEnter', '/api/evaluate', '/api/waitForReply',
+    '/api/conversations/new', '/api/conversations/select',
+]);
 
 class LinkServer {
-    constructor(cdp, injector, port = 9999) {
-        this.cdp = cdp;
-        this.injector = injector;
+    /**
+     * @param {import('./target-manager').TargetManager} targets
+     * @param {number} [port]
+     * @param {{ host?: string, token?: string|null, allowedOrigins?: string[], openaiReplay?: boolean,
+     *           history?: import('./history-store').HistoryStore|null,
+     *           scripts?: ScriptRegistry, allowEvaluate?: boolean, batchDir?: string|null }} [options]
+     *        host: 监听地址，默认仅本机；token: 访问令牌，为空则不鉴权；allowedOrigins: CORS 白名单
+     *        openaiReplay: /v1/chat/completions 默认新建对话并重放上下文
+     *        history: 记录 send 任务、evaluate 与脚本调用的历史存储，为空则不记录
+     *        scripts: 脚本库，默认只含内置脚本；allowEvaluate: 为 false 时拒绝任意 JS 表达式，只能调用脚本
+     *        batchDir: 批量发送的条目文件与结果文件所在目录，为空则只接受 items
+     */
+    constructor(targets, port = 9999, options = {}) {
+        this.targets = targets;
         this.port = port;
+        this.host = options.host || '127.0.0.1';
+        this.token = options.token || null;
+        this.allowedOrigins = options.allowedOrigins || [];
+        this.openaiReplay = !!options.openaiReplay;
+        this.history = options.history || null;
+        this.scripts = options.scripts || new ScriptRegistry().load();
+        this.allowEvaluate = options.allowEvaluate !== false;
+        this.batchDir = options.batchDir || null;
+        /** @type {Map<string, BatchRunner>} 批量发送任务 */
+        this.batches = new Map();
         this.httpServer = null;
         this.wss = null;
         /** @type {Set<WebSocket>} */
         this.clients = new Set();
+        /** @type {Map<WebSocket, Set<string>>} 各客户端订阅的事件模式 */
+        this.subscriptions = new Map();
+        /** @type {Map<string, Screencast>} 各窗口的实时画面（按会话 id） */
+        this.screencasts = new Map();
+        /** WS 指令表（旧版格式与 JSON-RPC 共用） */
+        this.methods = this._wsMethods();
+        this.metrics = new Metrics({ clients: () => this.clients.size }).watch(targets);
+        this.startedAt = Date.now();
     }
 
     start() {
@@ -38,38 +186,45 @@ class LinkServer {
                 this._handleHttp(req, res);
             });
 
-            // WebSocket 服务器（挂载在同一个 HTTP 服务器上）
-            this.wss = new WebSocket.Server({ server: this.httpServer, path: '/ws' });
+            // WebSocket 服务器（挂载在同一个 HTTP 服务器上，升级前先鉴权）
+            this.wss = new WebSocket.Server({
+                noServer: true,
+                // 客户端提供 jsonrpc-2.0 子协议时启用 JSON-RPC 模式
+                handleProtocols: (protocols) => (protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false),
+            });
+            this.httpServer.on('upgrade', (req, socket, head) => {
+                this._handleUpgrade(req, socket, head);
+            });
 
             this.wss.on('connection', (ws, req) => {
                 const addr = req.socket.remoteAddress;
-                console.log(`[Server] WS 客户端连接: ${addr}`);
+                const isRpc = ws.protocol === SUBPROTOCOL;
+                console.log(`[Server] WS 客户端连接: ${addr}${isRpc ? '（JSON-RPC）' : ''}`);
                 this.clients.add(ws);
 
-                ws.send(JSON.stringify({
-                    type: 'welcome',
-                    cdpConnected: this.cdp.connected,
-                    actions: ['send', 'setText', 'pressEnter', 'evaluate', 'waitForReply',
-                              'status', 'messages', 'lastReply', 'diagnose'],
-                }));
+                // JSON-RPC 客户端通过 rpc.discover 获取方法列表
+                if (!isRpc) {
+                    ws.send(JSON.stringify({
+                        type: 'welcome',
+                        cdpConnected: !!this.targets.active?.cdp.connected,
+                        actions: Object.keys(this.methods).filter((name) => !name.startsWith('rpc.')),
+                        events: EVENTS,
+                    }));
+                }
 
                 ws.on('message', async (raw) => {
-                    await this._handleWsMessage(ws, raw);
-                });
-
-                ws.on('close', () => {
-                    this.clients.delete(ws);
+                    await this._handleWsMessage(ws, raw, addr);
                 });
 
-                ws.on('error', () => {
-                    this.clients.delete(ws);
-                });
+                ws.on('close', () => this._dropClient(ws));
+                ws.on('error', () => this._dropClient(ws));
             });
 
-            this.httpServer.listen(this.port, () => {
-                console.log(`[Server] 已启动，端口: ${this.port}`);
-                console.log(`[Server]   HTTP API: http://localhost:${this.port}/api/*`);
-                console.log(`[Server]   WebSocket: ws://localhost:${this.port}/ws`);
+            this.httpServer.listen(this.port, this.host, () => {
+                console.log(`[Server] 已启动，地址: ${this.host}:${this.port}`);
+                console.log(`[Server]   HTTP API: http://${this.host}:${this.port}/api/*`);
+                console.log(`[Server]   WebSocket: ws://${this.host}:${this.port}/ws`);
+                console.log(`[Server]   鉴权: ${this.token ? 'Bearer 令牌' : '未启用'}`);
                 resolve();
             });
 
@@ -77,13 +232,66 @@ class LinkServer {
         });
     }
 
+    _dropClient(ws) {
+        this.clients.delete(ws);
+        this.subscriptions.delete(ws);
+        for (const cast of this.screencasts.values()) cast.unsubscribe(ws).catch(() => {});
+    }
+
+    // ── 访问控制 ──
+
+    _handleUpgrade(req, socket, head) {
+        const url = req.url.split('?')[0];
+        if (url !== '/ws') {
+            socket.destroy();
+            return;
+        }
+
+        const origin = req.headers.origin;
+        if (!isOriginAllowed(origin, this.allowedOrigins)) {
+            this._rejectUpgrade(socket, 403, { success: false, error: `来源不允许: ${origin}` });
+            return;
+        }
+        if (!checkToken(req, this.token)) {
+            this._rejectUpgrade(socket, 401, UNAUTHORIZED_BODY);
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.wss.emit('connection', ws, req);
+        });
+    }
+
+    _rejectUpgrade(socket, statusCode, data) {
+        const body = JSON.stringify(data);
+        socket.end(
+            `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+            'Content-Type: application/json; charset=utf-8\r\n' +
+            `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+            'Connection: close\r\n\r\n' +
+            body
+        );
+    }
+
     // ── HTTP 处理 ──
 
     async _handleHttp(req, res) {
-        // CORS
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        // 请求关联 ID：沿用客户端提供的 X-Request-Id，否则生成，随响应头返回并写入任务信息与日志
+        const requestId = _requestId(req.headers['x-request-id']);
+        res.setHeader('X-Request-Id', requestId);
+
+        // CORS：仅对白名单内的来源回显
+        const origin = req.headers.origin;
+        if (origin) {
+            if (!isOriginAllowed(origin, this.allowedOrigins)) {
+                return this._json(res, { success: false, error: `来源不允许: ${origin}` }, 403);
+            }
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
+            res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+        }
 
         if (req.method === 'OPTIONS') {
             res.writeHead(204);
@@ -91,72 +299,311 @@ class LinkServer {
             return;
         }
 
-        const url = req.url.split('?')[0];
+        const [url, search] = req.url.split('?');
+        const query = new URLSearchParams(search || '');
+
+        // 存活 / 就绪探针不鉴权
+        if (url === '/healthz' && req.method === 'GET') {
+            return this._json(res, { success: true, data: { status: 'ok', uptime: Math.round((Date.now() - this.startedAt) / 1000) } });
+        }
+        if (url === '/readyz' && req.method === 'GET') {
+            const { statusCode, body } = await this._readiness(query.get('target'));
+            return this._json(res, body, statusCode);
+        }
+
+        if (!checkToken(req, this.token)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return this._json(res, UNAUTHORIZED_BODY, 401);
+        }
+
+        const client = req.socket.remoteAddress;
+        const meta = { client, requestId };
 
         // 路由
         try {
             if (url === '/api/status' && req.method === 'GET') {
-                return this._json(res, {
-                    success: true,
-                    data: {
-                        cdpConnected: this.cdp.connected,
-                        page: this.cdp.currentPage
-                            ? { title: this.cdp.currentPage.title, url: this.cdp.currentPage.url }
-                            : null,
-                        wsClients: this.clients.size,
-                    },
-                });
+                return this._json(res, { success: true, data: this._status(query.get('target')) });
+            }
+
+            if (url === '/api/targets' && req.method === 'GET') {
+                return this._json(res, { success: true, data: await this.targets.list() });
+            }
+
+            if (url === '/metrics' && req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+                res.end(this.metrics.render());
+                return;
             }
 
             if (url === '/api/messages' && req.method === 'GET') {
-                const messages = await this.injector.getMessages();
+                const { injector } = await this.targets.acquire(query.get('target'));
+                const messages = await injector.getMessages();
                 return this._json(res, { success: true, data: messages });
             }
 
+            if (url === '/api/export' && req.method === 'GET') {
+                const format = query.get('format') || 'md';
+                if (!EXPORT_FORMATS.includes(format)) {
+                    return this._json(res, { success: false, error: `format 无效: ${format}（可选 ${EXPORT_FORMATS.join(' / ')}）` }, 400);
+                }
+                const { transcript } = await this.targets.acquire(query.get('target'));
+                const content = await transcript.export(format);
+                res.writeHead(200, { 'Content-Type': CONTENT_TYPES[format] });
+                res.end(format === 'json' ? JSON.stringify(content, null, 2) : content);
+                return;
+            }
+
             if (url === '/api/lastReply' && req.method === 'GET') {
-                const reply = await this.injector.getLastBotReply();
+                const { injector } = await this.targets.acquire(query.get('target'));
+                const reply = await injector.getLastBotReply();
                 return this._json(res, { success: true, data: { reply } });
             }
 
             if (url === '/api/diagnose' && req.method === 'GET') {
-                const diag = await this.injector.diagnose();
+                const { injector } = await this.targets.acquire(query.get('target'));
+                const diag = await injector.diagnose();
                 return this._json(res, { success: true, data: diag });
             }
 
+            if (url === '/api/screenshot' && req.method === 'GET') {
+                try {
+                    const session = await this.targets.acquire(query.get('target'));
+                    const shot = await this._screenshot(session, {
+                        format: query.get('format') || undefined,
+                        quality: query.get('quality') ?? undefined,
+                        clip: query.get('clip'),
+                    });
+                    const image = Buffer.from(shot.data, 'base64');
+                    res.writeHead(200, { 'Content-Type': IMAGE_CONTENT_TYPES[shot.format], 'Content-Length': image.length });
+                    res.end(image);
+                    return;
+                } catch (err) {
+                    if (err.code === ErrorCodes.INVALID_PARAMS) return this._json(res, { success: false, error: err.message }, 400);
+                    if (err.code === ErrorCodes.OPERATION_FAILED) return this._json(res, { success: false, error: err.message }, 404);
+                    throw err;
+                }
+            }
+
+            if (url === '/api/snapshot' && req.method === 'GET') {
+                const format = query.get('format') || 'json';
+                const maxLength = Number(query.get('maxLength') || 0);
+                if (format !== 'json' && format !== 'html') {
+                    return this._json(res, { success: false, error: `format 无效: ${format}（可选 json / html）` }, 400);
+                }
+                if (!Number.isInteger(maxLength) || maxLength < 0) {
+                    return this._json(res, { success: false, error: `maxLength 必须是非负整数: ${query.get('maxLength')}` }, 400);
+                }
+                const { injector } = await this.targets.acquire(query.get('target'));
+                const snapshot = await injector.getSnapshot(maxLength);
+                if (!snapshot.found) return this._json(res, { success: false, error: '未找到对话区' }, 404);
+                if (format === 'html') {
+                    // 快照来自页面内容，浏览器直接打开时也不执行脚本、不加载外部资源
+                    res.writeHead(200, {
+                        'Content-Type': 'text/html; charset=utf-8',
+                        'Content-Security-Policy': "sandbox; default-src 'none'",
+                        'X-Content-Type-Options': 'nosniff',
+                    });
+                    res.end(snapshot.html);
+                    return;
+                }
+                return this._json(res, { success: true, data: snapshot });
+            }
+
+            if (url === '/api/history' && req.method === 'GET') {
+                if (!this.history) return this._json(res, { success: false, error: '历史记录未启用' }, 404);
+                try {
+                    return this._json(res, { success: true, data: await this.history.query(Object.fromEntries(query)) });
+                } catch (err) {
+                    if (err.code === ErrorCodes.INVALID_PARAMS) return this._json(res, { success: false, error: err.message }, 400);
+                    throw err;
+                }
+            }
+
+            if (url === '/api/scripts' && req.method === 'GET') {
+                return this._json(res, { success: true, data: this.scripts.list() });
+            }
+
+            if (url === '/api/batch' && req.method === 'GET') {
+                return this._json(res, { success: true, data: [...this.batches.values()].map((b) => b.info()) });
+            }
+
+            const batchMatch = BATCH_ROUTE.exec(url);
+            if (batchMatch) {
+                const batch = this.batches.get(decodeURIComponent(batchMatch[1]));
+                if (!batch) return this._json(res, { success: false, error: `批次不存在: ${batchMatch[1]}` }, 404);
+                if (batchMatch[2] && req.method === 'POST') {
+                    return this._json(res, { success: batch.cancel(), data: batch.info() });
+                }
+                if (!batchMatch[2] && req.method === 'GET') {
+                    return this._json(res, { success: true, data: batch.info(true) });
+                }
+            }
+
+            if (url === '/api/conversations' && req.method === 'GET') {
+                const { injector } = await this.targets.acquire(query.get('target'));
+                const result = await injector.listConversations();
+                return this._json(res, { success: !!result?.success, data: result?.conversations || [], error: result?.error });
+            }
+
+            const selectionMatch = SELECTION_ROUTE.exec(url);
+            if (selectionMatch && req.method === 'GET') {
+                const { injector } = await this.targets.acquire(query.get('target'));
+                const result = await injector.listOptions(selectionMatch[1]);
+                return this._json(res, {
+                    success: !!result?.success,
+                    data: { current: result?.current ?? null, options: result?.options || [] },
+                    error: result?.error,
+                });
+            }
+
+            if (url === '/api/pending' && req.method === 'GET') {
+                const { injector } = await this.targets.acquire(query.get('target'));
+                return this._json(res, { success: true, data: await injector.getPendingActions() });
+            }
+
+            if (url === '/v1/models' && req.method === 'GET') {
+                return this._json(res, openai.listModels());
+            }
+
+            if (url === '/api/queue' && req.method === 'GET') {
+                const { queue } = await this.targets.acquire(query.get('target'));
+                return this._json(res, { success: true, data: queue.list() });
+            }
+
             // POST 路由需要解析 body
             if (req.method === 'POST') {
                 const body = await this._readBody(req);
 
+                if (url === '/api/targets/select') {
+                    if (!body.target) return this._json(res, { success: false, error: '缺少 target 参数' }, 400);
+                    const session = await this.targets.select(body.target);
+                    return this._json(res, { success: true, data: this._describeSession(session) });
+                }
+
+                if (url === '/api/queue/cancel') {
+                    if (!body.jobId) return this._json(res, { success: false, error: '缺少 jobId 参数' }, 400);
+                    const result = this._cancelJob(body.jobId);
+                    return this._json(res, result, result.success ? 200 : 404);
+                }
+
+                if (url === '/api/batch') {
+                    try {
+                        const session = await this.targets.acquire(body.target);
+                        return this._json(res, { success: true, data: this._startBatch(session, body, meta) }, 202);
+                    } catch (err) {
+                        if (err.code === ErrorCodes.INVALID_PARAMS) return this._json(res, { success: false, error: err.message }, 400);
+                        if (err.code === ErrorCodes.FORBIDDEN) return this._json(res, { success: false, error: err.message }, 403);
+                        throw err;
+                    }
+                }
+
+                if (url === '/v1/chat/completions') {
+                    return await this._handleChatCompletion(res, body, meta);
+                }
+
+                const scriptMatch = SCRIPT_ROUTE.exec(url);
+                if (scriptMatch) {
+                    try {
+                        const session = await this.targets.acquire(body.target);
+                        const result = await this._runScript(session, decodeURIComponent(scriptMatch[1]), body.args, body.timeout, meta);
+                        return this._json(res, { success: true, data: result });
+                    } catch (err) {
+                        if (err.code === ErrorCodes.SCRIPT_NOT_FOUND) return this._json(res, { success: false, error: err.message }, 404);
+                        if (err.code === ErrorCodes.INVALID_PARAMS) return this._json(res, { success: false, error: err.message }, 400);
+                        if (err.code === ErrorCodes.OPERATION_FAILED) return this._json(res, { success: false, error: err.message });
+                        throw err;
+                    }
+                }
+
+                if (selectionMatch) {
+                    const kind = selectionMatch[1];
+                    if (typeof body[kind] !== 'string' || !body[kind].trim()) {
+                        return this._json(res, { success: false, error: `缺少 ${kind} 参数` }, 400);
+                    }
+                    const session = await this.targets.acquire(body.target);
+                    const type = kind === 'model' ? 'selectModel' : 'selectMode';
+                    const job = this._enqueue(session, type, () => session.injector.selectOption(kind, body[kind]), { ...meta, text: body[kind] });
+                    const result = await job.promise;
+                    return this._json(res, { success: !!result?.success, data: result, error: result?.error, jobId: job.id });
+                }
+
+                // 审批不排队：等待中的任务正依赖它继续
+                const pendingMatch = PENDING_ROUTE.exec(url);
+                if (pendingMatch) {
+                    const { injector } = await this.targets.acquire(body.target);
+                    const result = await injector.respondPending(decodeURIComponent(pendingMatch[1]), pendingMatch[2]);
+                    return this._json(res, { success: !!result?.success, data: result?.action, error: result?.error });
+                }
+
+                if (!TARGET_POST_ROUTES.has(url)) {
+                    return this._json(res, { success: false, error: `未知路由: ${req.method} ${url}` }, 404);
+                }
+                const session = await this.targets.acquire(body.target);
+                const { injector } = session;
+
+                const attachmentError = _checkAttachments(body.attachments, this.targets.attachmentDir);
+                if (attachmentError) return this._json(res, { success: false, error: attachmentError }, 400);
+
                 if (url === '/api/send') {
-                    if (!body.text) return this._json(res, { success: false, error: '缺少 text 参数' }, 400);
-                    const sendResult = await this.injector.sendText(body.text, body.delay || 300);
-                    if (!sendResult.success) {
-                        return this._json(res, { success: false, error: sendResult.error });
+                    if (!body.text && !body.attachments?.length) return this._json(res, { success: false, error: '缺少 text 参数' }, 400);
+                    const selectionError = _checkSelection(body);
+                    if (selectionError) return this._json(res, { success: false, error: selectionError }, 400);
+                    const accept = req.headers.accept || '';
+                    if (body.stream || accept.includes('text/event-stream')) {
+                        return await this._handleSse(res, session, body, meta);
                     }
-                    await _sleep(500);
-                    const waitResult = await this.injector.waitForReply(body.timeout || 120000);
-                    return this._json(res, waitResult);
+                    const job = this._enqueue(session, 'send', (signal) => this._send(injector, body, signal), { ...meta, text: body.text });
+                    if (body.cancelOnDisconnect) this._cancelOnDisconnect(res, session, job);
+                    const result = await job.promise;
+                    return this._json(res, { ...result, jobId: job.id });
+                }
+
+                if (url === '/api/stop') {
+                    const result = await injector.stop();
+                    return this._json(res, { success: result.success, data: result, error: result.error });
                 }
 
                 if (url === '/api/setText') {
                     if (!body.text && body.text !== '') return this._json(res, { success: false, error: '缺少 text 参数' }, 400);
-                    const result = await this.injector.setText(body.text);
-                    return this._json(res, { success: true, data: result });
+                    const job = this._enqueue(session, 'setText', () => injector.setText(body.text, { attachments: body.attachments }),
+                        { ...meta, text: body.text });
+                    const result = await job.promise;
+                    return this._json(res, { success: result.success, data: result, error: result.error, jobId: job.id });
                 }
 
                 if (url === '/api/pressEnter') {
-                    const result = await this.injector.pressEnter();
-                    return this._json(res, { success: true, data: result });
+                    const job = this._enqueue(session, 'pressEnter', (signal) => injector.pressEnter({ signal }), meta);
+                    const result = await job.promise;
+                    return this._json(res, { success: true, data: result, jobId: job.id });
+                }
+
+                if (url === '/api/conversations/new') {
+                    const job = this._enqueue(session, 'newConversation', () => injector.newConversation(), meta);
+                    const result = await job.promise;
+                    return this._json(res, { success: !!result?.success, data: result, error: result?.error, jobId: job.id });
+                }
+
+                if (url === '/api/conversations/select') {
+                    const conv = body.id || body.title;
+                    if (!conv) return this._json(res, { success: false, error: '缺少 id 参数' }, 400);
+                    const job = this._enqueue(session, 'selectConversation', () => injector.selectConversation(conv), { ...meta, text: conv });
+                    const result = await job.promise;
+                    return this._json(res, { success: !!result?.success, data: result?.conversation, error: result?.error, jobId: job.id });
                 }
 
                 if (url === '/api/evaluate') {
                     if (!body.expression) return this._json(res, { success: false, error: '缺少 expression 参数' }, 400);
-                    const result = await this.cdp.evaluate(body.expression, body.timeout || 10000);
-                    return this._json(res, { success: true, data: result });
+                    try {
+                        const result = await this._evaluate(session, body.expression, body.timeout, meta);
+                        return this._json(res, { success: true, data: result });
+                    } catch (err) {
+                        if (err.code === ErrorCodes.FORBIDDEN) return this._json(res, { success: false, error: err.message }, 403);
+                        throw err;
+                    }
                 }
 
                 if (url === '/api/waitForReply') {
-                    const result = await this.injector.waitForReply(body.timeout || 120000);
+                    const result = await injector.waitForReply(body.timeout, undefined, { settleTime: body.settleTime });
                     return this._json(res, result);
                 }
             }
@@ -164,11 +611,414 @@ class LinkServer {
             // 404
             this._json(res, { success: false, error: `未知路由: ${req.method} ${url}` }, 404);
         } catch (err) {
-            console.error(`[Server] HTTP 错误 (${url}):`, err.message);
+            if (err.cancelled) {
+                return this._json(res, { success: false, cancelled: true, error: err.message }, 409);
+            }
+            console.error(`[Server] HTTP 错误 (${url}, ${requestId}):`, err.message);
             this._json(res, { success: false, error: err.message }, 500);
         }
     }
 
+    async _handleSse(res, session, body, meta) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        const emit = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        try {
+            const job = this._enqueue(session, 'send', (signal) => this._streamSend(session.injector, body, emit, signal), { ...meta, text: body.text },
+                (queued, position) => emit('queued', { jobId: queued.id, position }));
+            if (body.cancelOnDisconnect) this._cancelOnDisconnect(res, session, job);
+            await job.promise;
+        } catch (err) {
+            emit('done', { success: false, cancelled: err.cancelled, error: err.message });
+        }
+        res.end();
+    }
+
+    // ── OpenAI 兼容接口 ──
+
+    async _handleChatCompletion(res, body, httpMeta) {
+        let chat;
+        let session;
+        try {
+            chat = openai.parseChatRequest(body, {
+                replay: this.openaiReplay,
+                maxTimeout: this.targets.timing?.replyTimeout || TIMING_DEFAULTS.replyTimeout,
+            });
+            session = await this.targets.acquire(body.target);
+        } catch (err) {
+            const status = err instanceof openai.OpenAIError ? err.status : 503;
+            return this._json(res, openai.errorBody(err.message, err.type || 'server_error'), status);
+        }
+        const id = openai.newCompletionId();
+        const meta = { ...httpMeta, text: chat.prompt };
+
+        if (!chat.stream) {
+            try {
+                const job = this._enqueue(session, 'send', (signal) => openai.runChat(session.injector, chat, { signal }), meta);
+                this._cancelOnDisconnect(res, session, job);
+                const result = await job.promise;
+                if (!result.success) {
+                    const { status, body: errBody } = openai.errorFromResult(result);
+                    return this._json(res, errBody, status);
+                }
+                return this._json(res, openai.completion(id, chat.model, result.reply));
+            } catch (err) {
+                return this._json(res, openai.errorBody(err.message, err.cancelled ? 'cancelled' : 'server_error'), err.cancelled ? 409 : 500);
+            }
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        // 客户端断开后任务随之取消，不再写入已关闭的响应
+        let closed = false;
+        res.on('close', () => (closed = true));
+        const write = (data) => {
+            if (!closed) res.write(`data: ${JSON.stringify(data)}\n\n`);
+        };
+        let streamed = '';
+        const onDelta = (p) => {
+            streamed = p.text;
+            if (p.delta) write(openai.chunk(id, chat.model, { content: p.delta }));
+        };
+
+        write(openai.chunk(id, chat.model, { role: 'assistant', content: '' }));
+        try {
+            const job = this._enqueue(session, 'send', (signal) => openai.runChat(session.injector, chat, { onDelta, signal }), meta);
+            this._cancelOnDisconnect(res, session, job);
+            const result = await job.promise;
+            if (result.success) {
+                // 补发最后一次进度事件之后生成的内容
+                if (result.reply && result.reply.startsWith(streamed) && result.reply.length > streamed.length) {
+                    write(openai.chunk(id, chat.model, { content: result.reply.slice(streamed.length) }));
+                }
+                write(openai.chunk(id, chat.model, {}, 'stop'));
+            } else {
+                write(openai.errorFromResult(result).body);
+            }
+        } catch (err) {
+            write(openai.errorBody(err.message, err.cancelled ? 'cancelled' : 'server_error'));
+        }
+        if (closed) return;
+        res.write('data: [DONE]\n\n');
+        res.end();
+    }
+
+    // ── 目标窗口 ──
+
+    _status(target) {
+        const session = this.targets.find(target);
+        const cdp = session?.cdp;
+        return {
+            cdpConnected: !!cdp?.connected,
+            target: session ? session.id : null,
+            page: cdp?.currentPage ? { title: cdp.currentPage.title, url: cdp.currentPage.url } : null,
+            targets: this.targets.sessions.size,
+            queue: session ? session.queue.size : 0,
+            wsClients: this.clients.size,
+        };
+    }
+
+    /**
+     * 就绪检查：窗口的 CDP 已连接且控制层存在
+     *
+     * 探针不鉴权，target 只按会话 id 精确查找：不编译调用方给的正则，也不按标题 / URL 匹配，
+     * 避免未授权的调用方借此探测窗口标题或构造回溯极慢的正则。
+     * @param {string|null} [target]  会话 id，省略时检查活动窗口
+     * @returns {Promise<{ statusCode: number, body: object }>}
+     */
+    async _readiness(target) {
+        const session = target ? this.targets.sessions.get(target) || null : this.targets.active;
+        const cdpConnected = !!session?.cdp.connected;
+        const bridge = cdpConnected && await isBridgeAlive(session.cdp);
+        const data = { ready: cdpConnected && bridge, target: session ? session.id : null, cdpConnected, bridge };
+        if (data.ready) return { statusCode: 200, body: { success: true, data } };
+
+        let error = '控制层未注入';
+        if (!session) error = target ? '未找到该会话 id 的窗口' : '没有活动窗口';
+        else if (!cdpConnected) error = 'CDP 未连接';
+        return { statusCode: 503, body: { success: false, error, data } };
+    }
+
+    _describeSession(session) {
+        return {
+            target: session.id,
+            connected: session.cdp.connected,
+            page: describePage(session.cdp.currentPage),
+        };
+    }
+
+    // ── 任务队列 ──
+
+    /** 按 jobId 在全部窗口的队列中查找并取消 */
+    _cancelJob(jobId) {
+        for (const session of this.targets.sessions.values()) {
+            if (session.queue.position(jobId) !== -1) return session.queue.cancel(jobId);
+        }
+        return { success: false, error: `任务不存在: ${jobId}` };
+    }
+
+    /** @throws {LinkError} INVALID_PARAMS：批次不存在 */
+    _batch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) throw new LinkError(ErrorCodes.INVALID_PARAMS, `批次不存在: ${batchId}`);
+        return batch;
+    }
+
+    /**
+     * 启动批量发送，立即返回批次信息，进度以 batch.* 事件推送给订阅者
+     * @param {import('./target-manager').TargetSession} session
+     * @param {{ items?: Array<string|object>, file?: string, vars?: object, newConversation?: boolean,
+     *           retries?: number, retryDelay?: number, timeout?: number, settleTime?: number, output?: string }} params
+     *        items 与 file（批量目录中的 JSONL 文件）二选一；output 同样只能位于批量目录内
+     * @param {{ client?: string, requestId?: string|number }} meta
+     * @throws {LinkError} INVALID_PARAMS：条目无效、缺少模板变量或路径在批量目录外；
+     *                     FORBIDDEN：未配置批量目录却指定了 file / output；OPERATION_FAILED：结果文件无法写入
+     */
+    _startBatch(session, params, meta) {
+        if (!params.items && !params.file) throw new LinkError(ErrorCodes.INVALID_PARAMS, '缺少 items 或 file 参数');
+        const items = params.items || loadBatchFile(resolveBatchPath(this.batchDir, params.file, 'file'), params.file);
+        const output = params.output ? resolveBatchPath(this.batchDir, params.output, 'output') : null;
+        const batch = new BatchRunner(session, items, {
+            vars: params.vars,
+            newConversation: params.newConversation,
+            retries: params.retries,
+            retryDelay: params.retryDelay,
+            timeout: params.timeout,
+            settleTime: params.settleTime,
+            output,
+            enqueue: (type, run, jobMeta) => this._enqueue(session, type, run, { ...meta, ...jobMeta }),
+        });
+        batch.prepareOutput();
+        batch.on('event', (event, data) => this.publish(event, session.id, data));
+
+        // 只保留最近结束的批次
+        const finished = [...this.batches.values()].filter((b) => b.finished);
+        for (const old of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_BATCHES + 1))) {
+            this.batches.delete(old.id);
+        }
+        this.batches.set(batch.id, batch);
+
+        console.log(`[Batch] ${batch.id} 开始: ${batch.items.length} 条 → ${session.id}${batch.output ? `，结果写入 ${batch.output}` : ''}`);
+        batch.run().then(
+            (info) => {
+                if (info.state === 'error') console.error(`[Batch] ${batch.id} 出错结束: ${info.error}`);
+                else console.log(`[Batch] ${batch.id} ${info.state === 'cancelled' ? '已取消' : '完成'}: 成功 ${info.succeeded}，失败 ${info.failed}`);
+            },
+            (err) => console.error(`[Batch] ${batch.id} 异常结束: ${err.message}`)
+        );
+        return batch.info();
+    }
+
+    /**
+     * 客户端在任务完成前断开时取消任务；任务已在执行则同时停止 IDE 中的生成
+     * @param {import('http').ServerResponse} res
+     * @param {import('./target-manager').TargetSession} session
+     * @param {object} job
+     */
+    _cancelOnDisconnect(res, session, job) {
+        const onClose = () => {
+            if (res.writableFinished) return;
+            const running = session.queue.position(job.id) === 0;
+            if (session.queue.cancel(job.id).success) {
+                console.log(`[Server] 客户端已断开，取消任务 ${job.id}`);
+            }
+            if (running) {
+                session.injector.stop().catch((err) => console.error(`[Server] 停止生成失败: ${err.message}`));
+            }
+        };
+        res.on('close', onClose);
+        const cleanup = () => res.off('close', onClose);
+        job.promise.then(cleanup, cleanup);
+    }
+
+    /**
+     * 将修改界面的操作放入目标窗口的串行队列
+     * @param {import('./target-manager').TargetSession} session
+     * @param {string} type
+     * @param {(signal: AbortSignal) => Promise<any>} run
+     * @param {{ client?: string, requestId?: string|number, text?: string }} meta  requestId: HTTP 的 X-Request-Id 或 WS 请求的 id
+     * @param {(job: object, position: number) => void} [onQueued]  需要排队等待时回调
+     */
+    _enqueue(session, type, run, meta, onQueued) {
+        const info = { client: meta.client, target: session.id };
+        if (meta.requestId !== undefined && meta.requestId !== null) info.requestId = meta.requestId;
+        if (typeof meta.text === 'string') info.text = meta.text.slice(0, 80);
+        if (meta.batchId) info.batchId = meta.batchId;
+        const job = session.queue.enqueue(type, run, { meta: info });
+        if (this.history && type === 'send') this._recordSend(session, job, meta);
+        const position = session.queue.position(job.id);
+        if (position > 0 && onQueued) onQueued(job, position);
+        return job;
+    }
+
+    /**
+     * 发送文本并等待回复
+     * @param {import('./input-injector').InputInjector} injector
+     * @param {{ text: string, delay?: number, timeout?: number, settleTime?: number, model?: string, mode?: string }} params
+     * @param {AbortSignal} [signal]
+     */
+    async _send(injector, params, signal) {
+        const before = await injector.snapshotReply();
+        const sendR = await injector.sendText(params.text || '', params.delay || 300, {
+            signal, attachments: params.attachments, model: params.model, mode: params.mode,
+        });
+        if (!sendR.success) {
+            // stage 标记发送阶段即失败，未进入等待
+            return { success: false, stage: 'send', error: sendR.error, cancelled: sendR.cancelled, attachments: sendR.attachments };
+        }
+        await _sleep(500);
+        return await injector.waitForReply(params.timeout, undefined, { signal, before, settleTime: params.settleTime });
+    }
+
+    /**
+     * 发送文本并以 delta/done 事件流式返回回复（WS 与 SSE 共用）
+     * @param {import('./input-injector').InputInjector} injector
+     * @param {{ text: string, delay?: number, timeout?: number, settleTime?: number, model?: string, mode?: string }} params
+     * @param {(event: 'delta'|'done', data: object) => void} emit
+     * @param {AbortSignal} [signal]
+     */
+    async _streamSend(injector, params, emit, signal) {
+        const before = await injector.snapshotReply();
+        const sendR = await injector.sendText(params.text || '', params.delay || 300, {
+            signal, attachments: params.attachments, model: params.model, mode: params.mode,
+        });
+        if (!sendR.success) {
+            emit('done', { success: false, error: sendR.error, cancelled: sendR.cancelled, attachments: sendR.attachments });
+            return;
+        }
+        await _sleep(500);
+        const result = await injector.waitForReply(params.timeout, undefined, {
+            onProgress: (p) => emit('delta', p),
+            signal,
+            before,
+            settleTime: params.settleTime,
+        });
+        const checkError = await injector.checkError();
+        const done = { ...result, checkError };
+        emit('done', done);
+        return done;
+    }
+
+    // ── 历史记录 ──
+
+    /** 任务结束后记录 send 的提示词与结果 */
+    _recordSend(session, job, meta) {
+        const base = { type: 'send', ..._historyBase(session, meta), jobId: job.id, prompt: meta.text ?? null };
+        job.promise.then(
+            (r) => this.history.append({
+                ...base,
+                reply: r?.reply ?? null,
+                elapsed: r?.elapsed ?? null,
+                success: !!r?.success,
+                status: r?.status || (r?.cancelled ? 'cancelled' : r?.success ? 'completed' : 'error'),
+                error: r?.error || null,
+            }),
+            (err) => this.history.append({
+                ...base, reply: null, elapsed: null, success: false, status: err.cancelled ? 'cancelled' : 'error', error: err.message,
+            }),
+        );
+    }
+
+    /**
+     * 执行 JS 表达式，并写入日志与审计记录
+     * @param {import('./target-manager').TargetSession} session
+     * @param {string} expression
+     * @param {number} [timeout]
+     * @param {{ client?: string, requestId?: string|number }} meta
+     * @throws {LinkError} FORBIDDEN：allowEvaluate 为 false
+     */
+    async _evaluate(session, expression, timeout, meta) {
+        const base = { type: 'evaluate', ..._historyBase(session, meta), expression };
+        const preview = expression.length > MAX_LOGGED_EXPRESSION ? `${expression.slice(0, MAX_LOGGED_EXPRESSION)}…` : expression;
+        const from = `${meta.client || '-'}, ${meta.requestId ?? '-'}`;
+        if (!this.allowEvaluate) {
+            console.warn(`[Server] 已拒绝 evaluate (${from}) -> ${session.id}: ${preview}`);
+            const error = 'evaluate 已禁用（--no-evaluate），请改用脚本库 /api/scripts/:name';
+            if (this.history) this.history.append({ ...base, success: false, error });
+            throw new LinkError(ErrorCodes.FORBIDDEN, error);
+        }
+        console.log(`[Server] evaluate (${from}) -> ${session.id}: ${preview}`);
+        try {
+            const result = await session.cdp.evaluate(expression, timeout || undefined);
+            if (this.history) {
+                // 页面内抛出的异常在 exceptionDetails 中返回
+                const thrown = result?.exceptionDetails;
+                this.history.append({ ...base, success: !thrown, error: thrown ? thrown.exception?.description || thrown.text : null });
+            }
+            return result;
+        } catch (err) {
+            if (this.history) this.history.append({ ...base, success: false, error: err.message });
+            throw err;
+        }
+    }
+
+    /**
+     * 执行脚本库中的脚本，并写入审计记录
+     * @param {import('./target-manager').TargetSession} session
+     * @param {string} name
+     * @param {object} [args]
+     * @param {number} [timeout]
+     * @param {{ client?: string, requestId?: string|number }} meta
+     */
+    async _runScript(session, name, args, timeout, meta) {
+        const base = { type: 'script', ..._historyBase(session, meta), script: name, args: args ?? {} };
+        try {
+            await session.injector.ensureBridge();
+            const result = await this.scripts.run(session.cdp, name, args ?? {}, timeout || undefined);
+            if (this.history) this.history.append({ ...base, success: true, error: null });
+            return result;
+        } catch (err) {
+            if (this.history && err.code !== ErrorCodes.SCRIPT_NOT_FOUND) this.history.append({ ...base, success: false, error: err.message });
+            throw err;
+        }
+    }
+
+    /**
+     * 截图；裁剪到元素时先确保注入层存在
+     * @param {import('./target-manager').TargetSession} session
+     * @param {{ format?: string, quality?: number|string, clip?: string|null, timeout?: number }} options
+     */
+    async _screenshot(session, options) {
+        if (options.clip) await session.injector.ensureBridge();
+        return captureScreenshot(session.cdp, options);
+    }
+
+    /**
+     * 窗口的实时画面，首次使用时创建，画面帧推送给该窗口的全部订阅者
+     * @param {import('./target-manager').TargetSession} session
+     */
+    _screencast(session) {
+        let cast = this.screencasts.get(session.id);
+        if (cast) return cast;
+        cast = new Screencast(session.cdp);
+        cast.on('frame', (frame) => {
+            const payload = { target: session.id, ...frame };
+            const msg = JSON.stringify({ type: 'screencast.frame', ...payload });
+            const rpcMsg = JSON.stringify(rpc.notification('screencast.frame', payload));
+            for (const ws of cast.subscribers) {
+                // 客户端来不及接收时丢帧，而不是在内存中堆积
+                if (ws.readyState !== WebSocket.OPEN || ws.bufferedAmount > MAX_SCREENCAST_BUFFER) continue;
+                ws.send(ws.protocol === SUBPROTOCOL ? rpcMsg : msg);
+            }
+        });
+        cast.on('stopped', ({ reason, subscribers }) => {
+            const payload = { target: session.id, reason };
+            for (const ws of subscribers) {
+                this._wsReply(ws, ws.protocol === SUBPROTOCOL ? rpc.notification('screencast.stopped', payload) : { type: 'screencast.stopped', ...payload });
+            }
+        });
+        this.screencasts.set(session.id, cast);
+        return cast;
+    }
+
     _json(res, data, statusCode = 200) {
         res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
         res.end(JSON.stringify(data));
@@ -190,7 +1040,390 @@ class LinkServer {
 
     // ── WebSocket 处理 ──
 
-    async _handleWsMessage(ws, raw) {
+    /**
+     * WS 指令表，旧版 { action } 格式与 JSON-RPC 共用
+     *   params:     参数模式（JSON Schema 子集），调用前校验，rpc.discover 原样返回
+     *   run:        (params, ctx) => 结果
+     *   legacyFail: 旧版格式下按失败返回的结果（{ success: false, error }）
+     *   legacyData: 旧版格式下 data 字段的取值
+     */
+    _wsMethods() {
+        const text = { type: 'string' };
+        const attachments = { type: 'array', description: '附件，格式见 attachments.js' };
+        const timeout = { type: 'integer', description: '毫秒' };
+        const settleTime = { type: 'integer', minimum: 0, description: '空闲后回复保持不变多久视为完成（毫秒）' };
+        const events = { type: ['array', 'string'], items: { type: 'string' }, description: '事件名、"*" 或 "前缀.*"' };
+        const failed = (r) => !r?.success;
+
+        return {
+            status: {
+                summary: 'CDP 连接状态',
+                params: _schema(),
+                run: (p) => this._status(p.target),
+            },
+            targets: {
+                summary: '列出全部页面',
+                params: _schema(),
+                run: () => this.targets.list(),
+            },
+            selectTarget: {
+                summary: '切换活动窗口',
+                params: _schema({}, ['target']),
+                run: async (p) => this._describeSession(await this.targets.select(p.target)),
+            },
+            setText: {
+                summary: '设置输入框文本（经任务队列）',
+                params: _schema({ text, attachments }, ['text']),
+                run: async (p, ctx) => {
+                    _assertAttachments(p.attachments, this.targets.attachmentDir);
+                    const s = await ctx.session();
+                    return ctx.enqueue(s, 'setText', () => s.injector.setText(p.text, { attachments: p.attachments }), { text: p.text }).promise;
+                },
+            },
+            pressEnter: {
+                summary: '点击发送（经任务队列）',
+                params: _schema(),
+                run: async (p, ctx) => {
+                    const s = await ctx.session();
+                    return ctx.enqueue(s, 'pressEnter', (signal) => s.injector.pressEnter({ signal }), {}).promise;
+                },
+            },
+            send: {
+                summary: '发送文本并等待回复（经任务队列）；stream 为 true 时推送 delta，model / mode 为发送前切换的模型与模式',
+                params: _schema({
+                    text, attachments, timeout, settleTime, delay: { type: 'integer' }, stream: { type: 'boolean' },
+                    model: { type: 'string' }, mode: { type: 'string' },
+                }),
+                run: async (p, ctx) => {
+                    if (!p.text && !p.attachments?.length) throw new LinkError(ErrorCodes.INVALID_PARAMS, '缺少 text 参数');
+                    _assertAttachments(p.attachments, this.targets.attachmentDir);
+                    const s = await ctx.session();
+                    if (!p.stream) {
+                        return ctx.enqueue(s, 'send', (signal) => this._send(s.injector, p, signal), { text: p.text }).promise;
+                    }
+                    let done = null;
+                    const emit = (type, data) => {
+                        if (type === 'done') done = data;
+                        ctx.emit(type, data);
+                    };
+                    ctx.streamed = true;
+                    await ctx.enqueue(s, 'send', (signal) => this._streamSend(s.injector, p, emit, signal), { text: p.text }).promise;
+                    return done;
+                },
+                legacyFail: (r) => r.stage === 'send',
+            },
+            stop: {
+                summary: '停止当前生成（不经过任务队列）',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).injector.stop(),
+                legacyFail: failed,
+            },
+            newConversation: {
+                summary: '新建对话（经任务队列）',
+                params: _schema(),
+                run: async (p, ctx) => {
+                    const s = await ctx.session();
+                    return ctx.enqueue(s, 'newConversation', () => s.injector.newConversation(), {}).promise;
+                },
+            },
+            conversations: {
+                summary: '列出历史对话',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).injector.listConversations(),
+            },
+            selectConversation: {
+                summary: '切换对话（id 或标题，经任务队列）',
+                params: _schema({ conversation: text }, ['conversation']),
+                run: async (p, ctx) => {
+                    const s = await ctx.session();
+                    return ctx.enqueue(s, 'selectConversation', () => s.injector.selectConversation(p.conversation),
+                        { text: p.conversation }).promise;
+                },
+            },
+            model: {
+                summary: '当前模型与可选模型（会短暂展开下拉菜单）',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).injector.listOptions('model'),
+                legacyFail: failed,
+            },
+            selectModel: {
+                summary: '切换模型（标题精确匹配优先，其次包含，经任务队列）',
+                params: _schema({ model: text }, ['model']),
+                run: async (p, ctx) => {
+                    const s = await ctx.session();
+                    return ctx.enqueue(s, 'selectModel', () => s.injector.selectOption('model', p.model), { text: p.model }).promise;
+                },
+                legacyFail: failed,
+            },
+            mode: {
+                summary: '当前模式与可选模式（如 Planning / Fast）',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).injector.listOptions('mode'),
+                legacyFail: failed,
+            },
+            selectMode: {
+                summary: '切换模式（经任务队列）',
+                params: _schema({ mode: text }, ['mode']),
+                run: async (p, ctx) => {
+                    const s = await ctx.session();
+                    return ctx.enqueue(s, 'selectMode', () => s.injector.selectOption('mode', p.mode), { text: p.mode }).promise;
+                },
+                legacyFail: failed,
+            },
+            pending: {
+                summary: '列出等待审批的操作',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).injector.getPendingActions(),
+            },
+            accept: {
+                summary: '批准操作（不经过任务队列）',
+                params: _schema({ pendingId: text }, ['pendingId']),
+                run: async (p, ctx) => (await ctx.session()).injector.respondPending(p.pendingId, 'accept'),
+                legacyFail: failed,
+                legacyData: (r) => r.action,
+            },
+            reject: {
+                summary: '拒绝操作（不经过任务队列）',
+                params: _schema({ pendingId: text }, ['pendingId']),
+                run: async (p, ctx) => (await ctx.session()).injector.respondPending(p.pendingId, 'reject'),
+                legacyFail: failed,
+                legacyData: (r) => r.action,
+            },
+            evaluate: {
+                summary: '执行 JS 表达式（服务端可用 --no-evaluate 禁用）',
+                params: _schema({ expression: text, timeout }, ['expression']),
+                run: async (p, ctx) => this._evaluate(await ctx.session(), p.expression, p.timeout, ctx.meta),
+            },
+            scripts: {
+                summary: '列出脚本库',
+                params: { type: 'object', properties: {} },
+                run: () => this.scripts.list(),
+            },
+            runScript: {
+                summary: '在页面中执行具名脚本',
+                params: _schema({
+                    name: { type: 'string', description: '脚本名（见 scripts）' },
+                    args: { type: 'object', description: '脚本参数' },
+                    timeout,
+                }, ['name']),
+                run: async (p, ctx) => this._runScript(await ctx.session(), p.name, p.args, p.timeout, ctx.meta),
+            },
+            screenshot: {
+                summary: '截图（data 为 base64），clip 为选择器配置中的元素名或 CSS 选择器',
+                params: _schema({
+                    format: { type: 'string', enum: IMAGE_FORMATS },
+                    quality: { type: 'integer', minimum: 0, maximum: 100, description: '仅 jpeg，默认 80' },
+                    clip: { type: 'string', description: '如 panel（agent 面板），省略时截取整个窗口' },
+                    timeout,
+                }),
+                run: async (p, ctx) => this._screenshot(await ctx.session(), p),
+            },
+            snapshot: {
+                summary: '对话区的 HTML 快照（已清理）',
+                params: _schema({ maxLength: { type: 'integer', minimum: 0, description: '超出时截断，0 为不限' } }),
+                run: async (p, ctx) => {
+                    const snapshot = await (await ctx.session()).injector.getSnapshot(p.maxLength || 0);
+                    if (!snapshot.found) throw new LinkError(ErrorCodes.OPERATION_FAILED, '未找到对话区');
+                    return snapshot;
+                },
+            },
+            screencast: {
+                summary: '订阅实时画面（推送 screencast.frame，同一窗口共用一路画面）',
+                params: _schema({
+                    format: { type: 'string', enum: IMAGE_FORMATS },
+                    quality: { type: 'integer', minimum: 0, maximum: 100, description: '仅 jpeg，默认 60' },
+                    maxWidth: { type: 'integer', minimum: 1 },
+                    maxHeight: { type: 'integer', minimum: 1 },
+                    everyNthFrame: { type: 'integer', minimum: 1 },
+                }),
+                run: async (p, ctx) => {
+                    const s = await ctx.session();
+                    const { options, shared } = await this._screencast(s).subscribe(ctx.ws, p);
+                    return { target: s.id, ...options, shared };
+                },
+            },
+            screencastStop: {
+                summary: '退出实时画面订阅（最后一个订阅者退出时停止推送）',
+                params: _schema(),
+                run: async (p, ctx) => {
+                    const s = await ctx.session();
+                    const cast = this.screencasts.get(s.id);
+                    return { target: s.id, stopped: cast ? await cast.unsubscribe(ctx.ws) : false };
+                },
+            },
+            waitForReply: {
+                summary: '等待 AI 回复',
+                params: _schema({ timeout, settleTime }),
+                run: async (p, ctx) => (await ctx.session()).injector.waitForReply(p.timeout, undefined, { settleTime: p.settleTime }),
+            },
+            messages: {
+                summary: '获取全部对话',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).injector.getMessages(),
+            },
+            export: {
+                summary: '导出对话记录（json 为对象，md / html 为文本）',
+                params: _schema({ format: { type: 'string', enum: EXPORT_FORMATS } }),
+                run: async (p, ctx) => {
+                    const format = p.format || 'json';
+                    return { format, content: await (await ctx.session()).transcript.export(format) };
+                },
+            },
+            lastReply: {
+                summary: '获取最后一条 AI 回复',
+                params: _schema(),
+                run: async (p, ctx) => ({ reply: await (await ctx.session()).injector.getLastBotReply() }),
+            },
+            history: {
+                summary: '查询历史记录（按时间倒序分页）',
+                params: {
+                    type: 'object',
+                    properties: {
+                        q: { type: 'string', description: '全文搜索' },
+                        type: { type: 'string', enum: ['send', 'evaluate', 'script'] },
+                        target: { type: 'string', description: '会话 id' },
+                        from: { type: ['string', 'integer'], description: 'ISO 时间或毫秒时间戳' },
+                        to: { type: ['string', 'integer'], description: 'ISO 时间或毫秒时间戳' },
+                        limit: { type: 'integer' },
+                        offset: { type: 'integer' },
+                    },
+                },
+                run: (p) => {
+                    if (!this.history) throw new LinkError(ErrorCodes.OPERATION_FAILED, '历史记录未启用');
+                    return this.history.query(p);
+                },
+            },
+            diagnose: {
+                summary: '诊断页面',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).injector.diagnose(),
+            },
+            queue: {
+                summary: '查看任务队列',
+                params: _schema(),
+                run: async (p, ctx) => (await ctx.session()).queue.list(),
+            },
+            cancel: {
+                summary: '取消排队中或执行中的任务',
+                params: { type: 'object', properties: { jobId: text }, required: ['jobId'] },
+                run: (p) => this._cancelJob(p.jobId),
+                legacyFail: failed,
+            },
+            batch: {
+                summary: '批量发送（立即返回批次信息，进度见 batch.* 事件）',
+                params: _schema({
+                    items: { type: 'array', items: { type: ['string', 'object'] }, description: '提示词或 { id?, prompt, vars? }' },
+                    file: { type: 'string', description: '批量目录中的 JSONL 条目文件，与 items 二选一' },
+                    vars: { type: 'object', description: '{{name}} 模板变量' },
+                    newConversation: { type: 'boolean' },
+                    retries: { type: 'integer', minimum: 0 },
+                    retryDelay: timeout,
+                    timeout,
+                    settleTime,
+                    output: { type: 'string', description: '结果 JSONL 文件（批量目录中的路径）' },
+                }),
+                run: async (p, ctx) => this._startBatch(await ctx.session(), p, ctx.meta),
+            },
+            batchStatus: {
+                summary: '查看批次进度与结果',
+                params: { type: 'object', properties: { batchId: text }, required: ['batchId'] },
+                run: (p) => this._batch(p.batchId).info(true),
+            },
+            batchCancel: {
+                summary: '取消批次（执行中的条目随之取消）',
+                params: { type: 'object', properties: { batchId: text }, required: ['batchId'] },
+                run: (p) => {
+                    const batch = this._batch(p.batchId);
+                    return { cancelled: batch.cancel(), ...batch.info() };
+                },
+            },
+            subscribe: {
+                summary: '订阅状态事件（省略 events 表示全部）',
+                params: { type: 'object', properties: { events } },
+                run: (p, ctx) => ({ events: this._subscribe(ctx.ws, _eventPatterns(p.events), true) }),
+            },
+            unsubscribe: {
+                summary: '取消订阅（省略 events 表示全部）',
+                params: { type: 'object', properties: { events } },
+                run: (p, ctx) => ({ events: this._subscribe(ctx.ws, _eventPatterns(p.events), false) }),
+            },
+            'rpc.discover': {
+                summary: '列出全部方法及参数模式、错误码与通知',
+                params: { type: 'object', properties: {} },
+                run: () => this._discover(),
+            },
+        };
+    }
+
+    /** rpc.discover 的返回值（OpenRPC 风格） */
+    _discover() {
+        return {
+            openrpc: '1.2.6',
+            info: { title: 'antigravity-link', version: PACKAGE_VERSION },
+            methods: Object.entries(this.methods).map(([name, method]) => ({
+                name,
+                summary: method.summary,
+                params: Object.entries(method.params.properties || {}).map(([param, schema]) => ({
+                    name: param,
+                    required: (method.params.required || []).includes(param),
+                    schema,
+                })),
+            })),
+            errors: ErrorCodes,
+            notifications: {
+                'job.queued': '{ requestId, jobId, position } 请求需要排队等待',
+                'reply.delta': '{ requestId, jobId, delta, text, reset } 流式 send 的增量',
+                event: '{ event, target, data, ts } 已订阅的状态事件',
+                connection: '{ connected, target, ... } CDP 连接状态变化',
+                targetSelected: '{ target, ... } 活动窗口切换',
+                'screencast.frame': '{ target, format, data, metadata } 实时画面的一帧（data 为 base64）',
+                'screencast.stopped': '{ target, reason } 实时画面被动停止（如 CDP 断开）',
+            },
+            events: EVENTS,
+        };
+    }
+
+    /**
+     * 校验参数并执行指令，参数无效时抛出 INVALID_PARAMS
+     * @param {object} method  指令表中的一项
+     * @param {object} params
+     * @param {object} ctx
+     */
+    async _invoke(method, params, ctx) {
+        const invalid = checkParams(params, method.params);
+        if (invalid) throw new LinkError(ErrorCodes.INVALID_PARAMS, invalid);
+        return await method.run(params, ctx);
+    }
+
+    /**
+     * 单次请求的上下文
+     * @param {WebSocket} ws
+     * @param {string} client
+     * @param {string|number|null} requestId
+     * @param {string} [target]
+     * @param {(type: string, data: object) => void} emit  推送中间消息（queued / delta / done）
+     */
+    _wsContext(ws, client, requestId, target, emit) {
+        const ctx = {
+            ws,
+            meta: { client, requestId },
+            job: null,
+            streamed: false,
+            emit,
+            // 已连接的窗口同步取得，保证同一连接上的请求按到达顺序入队
+            session: () => this.targets.find(target) || this.targets.acquire(target),
+            enqueue: (session, type, run, meta) => {
+                ctx.job = this._enqueue(session, type, run, { ...meta, client, requestId },
+                    (job, position) => emit('queued', { jobId: job.id, position }));
+                return ctx.job;
+            },
+        };
+        return ctx;
+    }
+
+    async _handleWsMessage(ws, raw, client) {
+        if (ws.protocol === SUBPROTOCOL) return this._handleRpcMessage(ws, raw, client);
+
         let msg;
         try {
             msg = JSON.parse(raw.toString());
@@ -200,47 +1433,84 @@ class LinkServer {
         }
 
         const { action, id } = msg;
+        const method = Object.hasOwn(this.methods, action) ? this.methods[action] : null;
+        if (!method) {
+            this._wsReply(ws, { success: false, error: `未知指令: ${action}`, id });
+            return;
+        }
 
+        const ctx = this._wsContext(ws, client, id, msg.target,
+            (type, data) => this._wsReply(ws, { type, id, jobId: ctx.job?.id, ...data }));
         try {
-            let result;
-            switch (action) {
-                case 'status':
-                    result = { cdpConnected: this.cdp.connected };
-                    break;
-                case 'setText':
-                    result = await this.injector.setText(msg.text);
-                    break;
-                case 'pressEnter':
-                    result = await this.injector.pressEnter();
-                    break;
-                case 'send':
-                    const sendR = await this.injector.sendText(msg.text, msg.delay || 300);
-                    if (!sendR.success) { this._wsReply(ws, { success: false, error: sendR.error, id }); return; }
-                    await _sleep(500);
-                    result = await this.injector.waitForReply(msg.timeout || 120000);
-                    break;
-                case 'evaluate':
-                    result = await this.cdp.evaluate(msg.expression, msg.timeout || 10000);
-                    break;
-                case 'waitForReply':
-                    result = await this.injector.waitForReply(msg.timeout || 120000);
-                    break;
-                case 'messages':
-                    result = await this.injector.getMessages();
-                    break;
-                case 'lastReply':
-                    result = { reply: await this.injector.getLastBotReply() };
-                    break;
-                case 'diagnose':
-                    result = await this.injector.diagnose();
-                    break;
-                default:
-                    this._wsReply(ws, { success: false, error: `未知指令: ${action}`, id });
-                    return;
+            const result = await this._invoke(method, msg, ctx);
+            if (ctx.streamed) return;
+            const jobId = ctx.job?.id;
+            if (method.legacyFail?.(result)) {
+                this._wsReply(ws, {
+                    success: false, error: result?.error, cancelled: result?.cancelled, attachments: result?.attachments, id, jobId,
+                });
+                return;
             }
-            this._wsReply(ws, { success: true, data: result, id });
+            this._wsReply(ws, { success: true, data: method.legacyData ? method.legacyData(result) : result, id, jobId });
+        } catch (err) {
+            this._wsReply(ws, { success: false, error: err.message, cancelled: err.cancelled, id, jobId: ctx.job?.id });
+        }
+    }
+
+    // ── JSON-RPC 2.0 ──
+
+    async _handleRpcMessage(ws, raw, client) {
+        let msg;
+        try {
+            msg = JSON.parse(raw.toString());
+        } catch {
+            this._wsReply(ws, rpc.error(null, ErrorCodes.PARSE_ERROR, '无效的 JSON'));
+            return;
+        }
+
+        if (!Array.isArray(msg)) {
+            const response = await this._rpcCall(ws, msg, client);
+            if (response) this._wsReply(ws, response);
+            return;
+        }
+        if (msg.length === 0) {
+            this._wsReply(ws, rpc.error(null, ErrorCodes.INVALID_REQUEST, '批量请求不能为空'));
+            return;
+        }
+        // 批量请求并发执行，修改界面的指令仍按数组顺序进入任务队列
+        const responses = (await Promise.all(msg.map((req) => this._rpcCall(ws, req, client)))).filter(Boolean);
+        if (responses.length > 0) this._wsReply(ws, responses);
+    }
+
+    /**
+     * 执行单个 JSON-RPC 请求，通知（无 id）返回 null
+     */
+    async _rpcCall(ws, req, client) {
+        const invalid = rpc.checkRequest(req);
+        if (invalid) return rpc.error(req && typeof req === 'object' ? req.id : null, ErrorCodes.INVALID_REQUEST, invalid);
+
+        const isNotification = !('id' in req);
+        const { id, method: name } = req;
+        const params = req.params || {};
+        const method = Object.hasOwn(this.methods, name) ? this.methods[name] : null;
+        if (!method) {
+            return isNotification ? null : rpc.error(id, ErrorCodes.METHOD_NOT_FOUND, `未知方法: ${name}`);
+        }
+
+        const ctx = this._wsContext(ws, client, id, params.target, (type, data) => {
+            if (isNotification) return;
+            // done 的内容即最终结果，不单独推送
+            if (type === 'queued') this._wsReply(ws, rpc.notification('job.queued', { requestId: id, ...data }));
+            else if (type === 'delta') this._wsReply(ws, rpc.notification('reply.delta', { requestId: id, jobId: ctx.job?.id, ...data }));
+        });
+        try {
+            const result = await this._invoke(method, params, ctx);
+            return isNotification ? null : rpc.fromResult(id, result, ctx.job?.id);
         } catch (err) {
-            this._wsReply(ws, { success: false, error: err.message, id });
+            if (!err.cancelled && typeof err.code !== 'number') {
+                console.error(`[Server] RPC 错误 (${name}, id=${id}):`, err.message);
+            }
+            return isNotification ? null : rpc.fromException(id, err, ctx.job?.id);
         }
     }
 
@@ -250,14 +1520,62 @@ class LinkServer {
         }
     }
 
+    // ── 事件订阅 ──
+
+    /**
+     * 更新客户端的订阅（unsubscribe 未指定事件时取消全部）
+     * @returns {string[]} 当前订阅的事件模式
+     */
+    _subscribe(ws, patterns, add) {
+        const current = this.subscriptions.get(ws) || new Set();
+        if (add) {
+            for (const p of patterns) current.add(p);
+        } else if (patterns.includes('*')) {
+            current.clear();
+        } else {
+            for (const p of patterns) current.delete(p);
+        }
+        if (current.size > 0) this.subscriptions.set(ws, current);
+        else this.subscriptions.delete(ws);
+        return [...current];
+    }
+
+    /**
+     * 向订阅了该事件的 WS 客户端推送状态事件
+     * @param {string} event  EVENTS 之一
+     * @param {string} target  会话 id
+     * @param {object} data
+     */
+    publish(event, target, data) {
+        const payload = { event, target, data, ts: Date.now() };
+        const msg = JSON.stringify({ type: 'event', ...payload });
+        const rpcMsg = JSON.stringify(rpc.notification('event', payload));
+        for (const [ws, patterns] of this.subscriptions) {
+            if (ws.readyState !== WebSocket.OPEN) continue;
+            for (const p of patterns) {
+                if (_matchEvent(p, event)) {
+                    ws.send(ws.protocol === SUBPROTOCOL ? rpcMsg : msg);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * 推送给全部 WS 客户端；JSON-RPC 客户端收到以 type 为方法名的通知
+     * @param {{ type: string }} data
+     */
     broadcast(data) {
         const msg = JSON.stringify(data);
+        const { type, ...params } = data;
+        const rpcMsg = JSON.stringify(rpc.notification(type, params));
         for (const ws of this.clients) {
-            if (ws.readyState === WebSocket.OPEN) ws.send(msg);
+            if (ws.readyState === WebSocket.OPEN) ws.send(ws.protocol === SUBPROTOCOL ? rpcMsg : msg);
         }
     }
 
     stop() {
+        for (const cast of this.screencasts.values()) cast.stop('server.stopped').catch(() => {});
         if (this.httpServer) {
             this.httpServer.close();
             this.httpServer = null;
@@ -267,6 +1585,77 @@ class LinkServer {
     }
 }
 
+/** 事件模式：完整事件名、"*" 或 "前缀.*" */
+function _isEventPattern(p) {
+    if (typeof p !== 'string') return false;
+    if (p === '*' || EVENTS.includes(p)) return true;
+    return p.endsWith('.*') && EVENTS.some((e) => e.startsWith(p.slice(0, -1)));
+}
+
+/** 解析订阅参数（省略表示全部），含未知事件时抛出 INVALID_PARAMS */
+function _eventPatterns(events) {
+    const patterns = events === undefined || events === null ? ['*'] : [].concat(events);
+    const invalid = patterns.filter((p) => !_isEventPattern(p));
+    if (invalid.length > 0) {
+        throw new LinkError(ErrorCodes.INVALID_PARAMS, `未知事件: ${invalid.join(', ')}（可选: ${EVENTS.join(', ')}）`);
+    }
+    return patterns;
+}
+
+function _matchEvent(pattern, event) {
+    if (pattern === '*' || pattern === event) return true;
+    return pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1));
+}
+
+/** 历史记录的公共字段 */
+function _historyBase(session, meta) {
+    const page = session.cdp.currentPage;
+    return {
+        target: session.id,
+        page: page ? { title: page.title, url: page.url } : null,
+        client: meta.client || null,
+        requestId: meta.requestId ?? null,
+    };
+}
+
+/** 客户端提供的请求 ID 仅接受可打印 ASCII 且不超过 128 字符，否则重新生成 */
+function _requestId(header) {
+    if (typeof header === 'string' && /^[\x21-\x7e]{1,128}$/.test(header)) return header;
+    return crypto.randomUUID();
+}
+
+/** 校验附件参数（dir 为附件目录），无效时返回错误信息 */
+function _checkAttachments(attachments, dir) {
+    try {
+        normalizeAttachments(attachments, { dir });
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+/** 校验 send 的 model / mode 参数，无效时返回错误信息 */
+function _checkSelection(params) {
+    for (const kind of SELECTION_KINDS) {
+        if (params[kind] !== undefined && params[kind] !== null && typeof params[kind] !== 'string') return `${kind} 必须是字符串`;
+    }
+    return null;
+}
+
+function _assertAttachments(attachments, dir) {
+    const error = _checkAttachments(attachments, dir);
+    if (error) throw new LinkError(ErrorCodes.INVALID_PARAMS, error);
+}
+
+/** 作用于目标窗口的指令的参数模式（均可带 target） */
+function _schema(properties = {}, required = []) {
+    return {
+        type: 'object',
+        properties: { ...properties, target: { type: 'string', description: '页面 id 或匹配标题 / URL 的正则，省略时为活动窗口' } },
+        required,
+    };
+}
+
 function _sleep(ms) {
     return new Promise((r) => setTimeout(r, ms));
 }
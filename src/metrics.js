@@ -0,0 +1,221 @@
+/**
+ * 运行指标（Prometheus 文本格式，GET /metrics）
+ *
+ * 指标:
+ *   agl_build_info{version}                      常量 1
+ *   agl_prompts_sent_total                       已发送的提示词（点击 Send 成功）
+ *   agl_replies_total{status}                    waitForReply 结束次数，status 为 completed / error / timeout / no_activity / cancelled / awaiting_approval
+ *   agl_reply_duration_seconds                   waitForReply 结果中的 elapsed（直方图）
+ *   agl_cdp_reconnects_total                     连接守护重连成功次数
+ *   agl_bridge_injections_total                  会话建立后的控制层重新注入次数（页面刷新、重连后）
+ *   agl_cdp_command_duration_seconds{method}     CDP 命令耗时（直方图，含超时与出错的命令）
+ *   agl_cdp_command_errors_total{method}         CDP 命令出错或超时次数
+ *   agl_targets_connected                        CDP 已连接的窗口数
+ *   agl_ws_clients                               已连接的 WS 客户端数
+ *
+ * 数据来源: 各会话的 InputInjector 'sent' / 'reply' 事件，CDPController 'command' / 'bridge.injected' 事件，
+ * TargetManager 的 cdp.reconnected 事件；状态类指标在抓取时读取。
+ */
+
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** 回复耗时的桶（秒） */
+const REPLY_BUCKETS = [1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+
+/** CDP 命令耗时的桶（秒） */
+const COMMAND_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        /** @type {Map<string, { labels: object, value: number }>} */
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = _key(labels);
+        const series = this.series.get(key) || { labels, value: 0 };
+        series.value += value;
+        this.series.set(key, series);
+    }
+
+    get(labels = {}) {
+        return this.series.get(_key(labels))?.value || 0;
+    }
+
+    lines() {
+        // 无标签的计数器在没有数据时也输出 0
+        if (this.series.size === 0) return [`${this.name} 0`];
+        return [...this.series.values()].map((s) => `${this.name}${_labels(s.labels)} ${_number(s.value)}`);
+    }
+}
+
+class Gauge {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {() => number|Array<{ labels: object, value: number }>} collect  抓取时读取当前值
+     */
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect;
+    }
+
+    lines() {
+        const value = this.collect();
+        const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return series.map((s) => `${this.name}${_labels(s.labels)} ${_number(s.value)}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        /** @type {Map<string, { labels: object, counts: number[], sum: number, count: number }>} */
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = _key(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((le, i) => {
+            if (value <= le) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    get(labels = {}) {
+        return this.series.get(_key(labels)) || null;
+    }
+
+    lines() {
+        const out = [];
+        for (const s of this.series.values()) {
+            this.buckets.forEach((le, i) => {
+                out.push(`${this.name}_bucket${_labels({ ...s.labels, le: String(le) })} ${s.counts[i]}`);
+            });
+            out.push(`${this.name}_bucket${_labels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            out.push(`${this.name}_sum${_labels(s.labels)} ${_number(s.sum)}`);
+            out.push(`${this.name}_count${_labels(s.labels)} ${s.count}`);
+        }
+        return out;
+    }
+}
+
+class Metrics {
+    /**
+     * @param {{ clients?: () => number }} [options]  clients: 读取 WS 客户端数
+     */
+    constructor(options = {}) {
+        this.targets = null;
+        this.promptsSent = new Counter('agl_prompts_sent_total', '已发送的提示词数');
+        this.replies = new Counter('agl_replies_total', 'waitForReply 结束次数（按结果状态）');
+        this.replyDuration = new Histogram('agl_reply_duration_seconds', 'waitForReply 耗时（秒）', REPLY_BUCKETS);
+        this.reconnects = new Counter('agl_cdp_reconnects_total', 'CDP 断开后重连成功次数');
+        this.injections = new Counter('agl_bridge_injections_total', '控制层重新注入次数');
+        this.commandDuration = new Histogram('agl_cdp_command_duration_seconds', 'CDP 命令耗时（秒）', COMMAND_BUCKETS);
+        this.commandErrors = new Counter('agl_cdp_command_errors_total', 'CDP 命令出错或超时次数');
+
+        const clients = options.clients || (() => 0);
+        this.all = [
+            new Gauge('agl_build_info', '版本信息', () => [{ labels: { version: PACKAGE_VERSION }, value: 1 }]),
+            this.promptsSent,
+            this.replies,
+            this.replyDuration,
+            this.reconnects,
+            this.injections,
+            this.commandDuration,
+            this.commandErrors,
+            new Gauge('agl_targets_connected', 'CDP 已连接的窗口数', () => this._connectedTargets()),
+            new Gauge('agl_ws_clients', '已连接的 WS 客户端数', clients),
+        ];
+        /** @type {WeakSet<object>} 已接入的会话 */
+        this._watched = new WeakSet();
+    }
+
+    /**
+     * 接入 TargetManager：已有会话与之后新建的会话
+     * @param {import('./target-manager').TargetManager} targets
+     * @returns {this}
+     */
+    watch(targets) {
+        this.targets = targets;
+        for (const session of targets.sessions.values()) this._watchSession(session);
+        targets.on('session', (session) => this._watchSession(session));
+        targets.on('event', ({ event }) => {
+            if (event === 'cdp.reconnected') this.reconnects.inc();
+        });
+        return this;
+    }
+
+    /** Prometheus 文本格式 */
+    render() {
+        const out = [];
+        for (const metric of this.all) {
+            out.push(`# HELP ${metric.name} ${metric.help}`);
+            out.push(`# TYPE ${metric.name} ${metric.type}`);
+            out.push(...metric.lines());
+        }
+        return `${out.join('\n')}\n`;
+    }
+
+    /**
+     * @param {import('./target-manager').TargetSession} session
+     */
+    _watchSession(session) {
+        if (this._watched.has(session)) return;
+        this._watched.add(session);
+        session.injector.on('sent', () => this.promptsSent.inc());
+        session.injector.on('reply', (result) => {
+            this.replies.inc({ status: result?.status || (result?.success ? 'completed' : 'error') });
+            // 与结果中返回给调用方的耗时一致（秒）
+            if (typeof result?.elapsed === 'number') this.replyDuration.observe({}, result.elapsed);
+        });
+        session.cdp.on('command', ({ method, duration, error }) => {
+            this.commandDuration.observe({ method }, duration / 1000);
+            if (error) this.commandErrors.inc({ method });
+        });
+        session.cdp.on('bridge.injected', () => this.injections.inc());
+    }
+
+    _connectedTargets() {
+        if (!this.targets) return 0;
+        let count = 0;
+        for (const session of this.targets.sessions.values()) if (session.cdp.connected) count++;
+        return count;
+    }
+}
+
+function _key(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function _labels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([k, v]) => `${k}="${_escape(v)}"`).join(',')}}`;
+}
+
+function _escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function _number(value) {
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+}
+
+module.exports = { Metrics, Counter, Gauge, Histogram, CONTENT_TYPE };
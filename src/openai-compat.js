@@ -0,0 +1,191 @@
+/**
+ * OpenAI 兼容接口
+ *
+ * 让已支持 OpenAI API 的工具直接接入：
+ *   POST /v1/chat/completions  { model, messages, stream? }  → chat.completion / chat.completion.chunk (SSE)
+ *   GET  /v1/models                                        → 可用模型列表
+ *
+ * 默认只发送 messages 中最后一条 user 消息，沿用 IDE 当前对话的上下文。
+ * 开启上下文重放（服务端 --openai-replay 或请求字段 replay: true）时，每个请求先新建对话，
+ * 多条消息按对话记录格式合并后一次发送，无状态客户端每次得到可预期的结果。
+ *
+ * 访问令牌即 API Key（Authorization: Bearer <token>）。
+ */
+
+const crypto = require('crypto');
+
+const MODEL_ID = 'antigravity';
+
+/** 等待结果的 status → HTTP 状态码与 OpenAI 错误类型 */
+const ERROR_STATUS = {
+    send: [502, 'bridge_error'],
+    error: [502, 'upstream_error'],
+    timeout: [504, 'timeout'],
+    no_activity: [504, 'no_activity'],
+    cancelled: [409, 'cancelled'],
+    awaiting_approval: [409, 'awaiting_approval'],
+};
+
+/**
+ * 请求参数错误（按 OpenAI 错误格式返回）
+ */
+class OpenAIError extends Error {
+    constructor(message, status = 400, type = 'invalid_request_error') {
+        super(message);
+        this.status = status;
+        this.type = type;
+    }
+}
+
+function listModels() {
+    return {
+        object: 'list',
+        data: [{ id: MODEL_ID, object: 'model', created: 0, owned_by: 'antigravity-link' }],
+    };
+}
+
+/**
+ * 解析 chat.completions 请求
+ * @param {object} body
+ * @param {{ replay?: boolean, maxTimeout?: number }} [defaults]  replay: 服务端默认的上下文重放开关；
+ *        maxTimeout: 请求字段 timeout（毫秒）的上限，省略则不限
+ * @returns {{ model: string, prompt: string, newConversation: boolean, stream: boolean, timeout?: number }}
+ */
+function parseChatRequest(body, defaults = {}) {
+    const messages = body.messages;
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new OpenAIError('messages 必须是非空数组');
+    }
+    const turns = messages.map((m, i) => {
+        if (!m || typeof m.role !== 'string') throw new OpenAIError(`messages[${i}] 缺少 role`);
+        return { role: m.role, content: _contentText(m.content) };
+    });
+
+    let lastUser = -1;
+    for (let i = turns.length - 1; i >= 0; i--) {
+        if (turns[i].role === 'user') { lastUser = i; break; }
+    }
+    if (lastUser === -1 || !turns[lastUser].content) {
+        throw new OpenAIError('messages 中没有可发送的 user 消息');
+    }
+
+    const { timeout } = body;
+    if (timeout !== undefined && (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0)) {
+        throw new OpenAIError('timeout 必须是正数（毫秒）');
+    }
+    if (timeout !== undefined && defaults.maxTimeout && timeout > defaults.maxTimeout) {
+        throw new OpenAIError(`timeout 不能超过 ${defaults.maxTimeout}ms`);
+    }
+
+    const replay = typeof body.replay === 'boolean' ? body.replay : !!defaults.replay;
+    const context = turns.slice(0, lastUser).filter((t) => t.content);
+    const prompt = replay && context.length > 0
+        ? _transcript(context, turns[lastUser].content)
+        : turns[lastUser].content;
+
+    return {
+        model: body.model || MODEL_ID,
+        prompt,
+        newConversation: replay,
+        stream: !!body.stream,
+        timeout,
+    };
+}
+
+/**
+ * 执行一次对话：（可选）新建对话 → 发送 → 等待回复
+ * @param {import('./input-injector').InputInjector} injector
+ * @param {ReturnType<typeof parseChatRequest>} chat
+ * @param {{ onDelta?: (p: {text: string, delta: string, reset: boolean}) => void, signal?: AbortSignal }} [options]
+ * @returns {Promise<object>} waitForReply 的结果；发送阶段失败时 stage 为 'send'
+ */
+async function runChat(injector, chat, options = {}) {
+    const { signal } = options;
+    if (chat.newConversation) {
+        const created = await injector.newConversation();
+        if (!created?.success) return { success: false, stage: 'send', error: created?.error || '新建对话失败' };
+    }
+    const before = await injector.snapshotReply();
+    const sendR = await injector.sendText(chat.prompt, 300, { signal });
+    if (!sendR.success) {
+        return { success: false, stage: 'send', error: sendR.error, cancelled: sendR.cancelled };
+    }
+    await new Promise((r) => setTimeout(r, 500));
+    return await injector.waitForReply(chat.timeout, undefined, { onProgress: options.onDelta, signal, before });
+}
+
+function newCompletionId() {
+    return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * 非流式响应
+ */
+function completion(id, model, content) {
+    return {
+        id,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        // IDE 不提供 token 统计
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    };
+}
+
+/**
+ * 流式响应的单个 chunk
+ * @param {object} delta  { role? , content? }
+ * @param {string|null} [finishReason]
+ */
+function chunk(id, model, delta, finishReason = null) {
+    return {
+        id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+    };
+}
+
+/**
+ * 将失败的等待结果转换为 OpenAI 错误
+ * @returns {{ status: number, body: { error: { message: string, type: string, code: string|null } } }}
+ */
+function errorFromResult(result) {
+    const key = result.stage === 'send' ? 'send' : result.cancelled ? 'cancelled' : result.status || 'error';
+    const [status, type] = ERROR_STATUS[key] || ERROR_STATUS.error;
+    return { status, body: errorBody(result.error || '请求失败', type, key) };
+}
+
+function errorBody(message, type = 'invalid_request_error', code = null) {
+    return { error: { message, type, code } };
+}
+
+/** content 可以是字符串或 [{ type: 'text', text }] 数组（非文本部分忽略） */
+function _contentText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .filter((part) => part && part.type === 'text' && typeof part.text === 'string')
+            .map((part) => part.text)
+            .join('\n');
+    }
+    return '';
+}
+
+/** 将历史消息与最后一条 user 消息合并为一段对话记录 */
+function _transcript(context, last) {
+    const lines = ['以下是之前的对话记录，请在此基础上回复最后一条用户消息。', ''];
+    for (const turn of context) {
+        lines.push(`<${turn.role}>`, turn.content, `</${turn.role}>`, '');
+    }
+    lines.push('<user>', last, '</user>');
+    return lines.join('\n');
+}
+
+module.exports = {
+    MODEL_ID, OpenAIError,
+    listModels, parseChatRequest, runChat,
+    newCompletionId, completion, chunk, errorFromResult, errorBody,
+};
@@ -0,0 +1,21 @@
+/**
+ * 路径限制
+ *
+ * 按配置目录（附件目录、批量目录）限制调用方传入的路径时使用。
+ */
+
+const path = require('path');
+
+/**
+ * target 是否位于 root 之内（不含 root 本身），只按字面路径判断，不解析符号链接
+ *
+ * 以 .. 开头的文件名（如 ..notes.md）仍在目录内，只有 .. 本身或 ../ 开头的相对路径才在目录外。
+ * @param {string} root  已 resolve 的目录
+ * @param {string} target  已 resolve 的路径
+ */
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return !!relative && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+module.exports = { isInside };
@@ -0,0 +1,183 @@
+/**
+ * 截图与实时画面
+ *
+ * captureScreenshot()  Page.captureScreenshot 截取整个窗口，或裁剪到选择器配置中的元素（如 panel 即 agent 面板）
+ *                      或任意 CSS 选择器命中的第一个元素
+ * Screencast           Page.startScreencast 的帧分发：同一窗口的多个订阅者共用一路画面，首个订阅者的参数生效，
+ *                      最后一个订阅者离开或 CDP 连接断开时停止；每帧收到后立即 ack，IDE 才会继续推送
+ *
+ * 对话区的 DOM 快照由注入层 getSnapshot() 生成（见 bridge-injector.js）。
+ */
+
+const EventEmitter = require('events');
+const { callBridge } = require('./bridge-injector');
+const { ErrorCodes, LinkError } = require('./errors');
+
+const IMAGE_FORMATS = ['png', 'jpeg'];
+
+const IMAGE_CONTENT_TYPES = { png: 'image/png', jpeg: 'image/jpeg' };
+
+const SCREENCAST_DEFAULTS = {
+    format: 'jpeg',
+    quality: 60,
+    maxWidth: 1280,
+    maxHeight: 1280,
+    everyNthFrame: 1,
+};
+
+/**
+ * 截图
+ * @param {import('./cdp-controller').CDPController} cdp
+ * @param {{ format?: 'png'|'jpeg', quality?: number, clip?: string|null, timeout?: number }} [options]
+ *        quality: 仅 jpeg，0-100，默认 80；clip: 选择器配置中的元素名或 CSS 选择器，省略时截取整个窗口
+ * @returns {Promise<{ format: string, data: string, clip: object|null }>} data 为 base64
+ * @throws {LinkError} INVALID_PARAMS（参数或选择器无效）/ OPERATION_FAILED（找不到要裁剪的元素或元素不可见）
+ */
+async function captureScreenshot(cdp, options = {}) {
+    const format = _format(options.format || 'png');
+    const params = { format };
+    if (format === 'jpeg') params.quality = _quality(options.quality ?? 80);
+
+    let clip = null;
+    if (options.clip) {
+        const rect = await callBridge(cdp, 'getRect', options.clip);
+        if (!rect?.found) {
+            throw new LinkError(rect?.invalid ? ErrorCodes.INVALID_PARAMS : ErrorCodes.OPERATION_FAILED, rect?.error || `未找到元素: ${options.clip}`);
+        }
+        clip = {
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+        };
+        params.clip = { ...clip, scale: 1 };
+    }
+
+    const result = await cdp.send('Page.captureScreenshot', params, options.timeout || undefined);
+    return { format, data: result.data, clip };
+}
+
+/**
+ * 事件:
+ *   - 'frame'    { format, data, metadata }  data 为 base64，metadata 见 CDP Page.ScreencastFrameMetadata
+ *   - 'stopped'  { reason, subscribers }     因连接断开或 stop() 停止，subscribers 为停止前仍在订阅的标识
+ */
+class Screencast extends EventEmitter {
+    /**
+     * @param {import('./cdp-controller').CDPController} cdp
+     */
+    constructor(cdp) {
+        super();
+        this.cdp = cdp;
+        /** @type {Set<any>} 订阅者标识（如 WebSocket），用于引用计数 */
+        this.subscribers = new Set();
+        this.options = null;
+        this._starting = null;
+        this._onFrame = (params) => this._handleFrame(params);
+        this._onDisconnected = () => this.stop('cdp.disconnected');
+    }
+
+    get running() {
+        return this.options !== null;
+    }
+
+    /**
+     * 加入订阅，首个订阅者启动画面推送
+     * @param {any} key  订阅者标识
+     * @param {{ format?: string, quality?: number, maxWidth?: number, maxHeight?: number, everyNthFrame?: number }} [options]
+     * @returns {Promise<{ options: object, shared: boolean }>} 生效的参数；shared 表示沿用已在推送的画面
+     */
+    async subscribe(key, options = {}) {
+        if (this._starting) await this._starting.catch(() => {});
+        if (this.running) {
+            this.subscribers.add(key);
+            return { options: this.options, shared: true };
+        }
+
+        const normalized = {
+            format: _format(options.format || SCREENCAST_DEFAULTS.format),
+            quality: _quality(options.quality ?? SCREENCAST_DEFAULTS.quality),
+            maxWidth: options.maxWidth || SCREENCAST_DEFAULTS.maxWidth,
+            maxHeight: options.maxHeight || SCREENCAST_DEFAULTS.maxHeight,
+            everyNthFrame: options.everyNthFrame || SCREENCAST_DEFAULTS.everyNthFrame,
+        };
+        this._starting = (async () => {
+            this.cdp.on('Page.screencastFrame', this._onFrame);
+            this.cdp.on('disconnected', this._onDisconnected);
+            try {
+                await this.cdp.send('Page.enable');
+                await this.cdp.send('Page.startScreencast', normalized);
+            } catch (err) {
+                this._detach();
+                throw err;
+            }
+            this.options = normalized;
+        })();
+        try {
+            await this._starting;
+        } finally {
+            this._starting = null;
+        }
+        this.subscribers.add(key);
+        console.log(`[Screencast] 开始推送画面 (${normalized.format}, 最大 ${normalized.maxWidth}x${normalized.maxHeight})`);
+        return { options: this.options, shared: false };
+    }
+
+    /**
+     * 退出订阅，最后一个订阅者离开时停止推送
+     * @returns {Promise<boolean>} 是否曾订阅
+     */
+    async unsubscribe(key) {
+        if (!this.subscribers.delete(key)) return false;
+        if (this.subscribers.size === 0) await this.stop('unsubscribed');
+        return true;
+    }
+
+    /**
+     * 停止推送（'stopped' 事件带上停止前的订阅者，以便通知它们）
+     * @param {string} [reason]
+     */
+    async stop(reason = 'stopped') {
+        if (!this.running) return;
+        const subscribers = [...this.subscribers];
+        this.options = null;
+        this.subscribers.clear();
+        this._detach();
+        if (this.cdp.connected) {
+            try {
+                await this.cdp.send('Page.stopScreencast');
+            } catch { /* 连接已断开时忽略 */ }
+        }
+        console.log(`[Screencast] 停止推送画面 (${reason})`);
+        this.emit('stopped', { reason, subscribers });
+    }
+
+    _handleFrame(params) {
+        // 未 ack 时 IDE 不再推送下一帧
+        this.cdp.send('Page.screencastFrameAck', { sessionId: params.sessionId }).catch(() => {});
+        if (!this.running) return;
+        this.emit('frame', { format: this.options.format, data: params.data, metadata: params.metadata });
+    }
+
+    _detach() {
+        this.cdp.off('Page.screencastFrame', this._onFrame);
+        this.cdp.off('disconnected', this._onDisconnected);
+    }
+}
+
+function _format(format) {
+    if (!IMAGE_FORMATS.includes(format)) {
+        throw new LinkError(ErrorCodes.INVALID_PARAMS, `format 无效: ${format}（可选 ${IMAGE_FORMATS.join(' / ')}）`);
+    }
+    return format;
+}
+
+function _quality(quality) {
+    const value = Number(quality);
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+        throw new LinkError(ErrorCodes.INVALID_PARAMS, `quality 必须是 0-100 的整数: ${quality}`);
+    }
+    return value;
+}
+
+module.exports = { captureScreenshot, Screencast, IMAGE_FORMATS, IMAGE_CONTENT_TYPES, SCREENCAST_DEFAULTS };
@@ -0,0 +1,157 @@
+/**
+ * 脚本库
+ *
+ * 以具名脚本代替任意 JS 表达式：客户端只能选择脚本并传入 JSON 参数，无法提交代码。
+ *
+ * 脚本文件: 目录中的 .js 文件，内容为一个函数表达式 function (args) { ... }，
+ *   在页面中以参数对象调用，可返回 Promise；返回值按 callBridge 的方式经 JSON 序列化后取回。
+ *   文件名（不含 .js）即脚本名，只允许字母、数字、- 与 _。
+ *   开头的文档注释第一段为说明，"@param {类型} args.名称 说明" 声明参数，
+ *   名称写成 [args.名称] 表示可选；缺少必需参数时不执行脚本。
+ *   执行前已确保注入层存在，脚本中可以调用 window.__remoteBridge。
+ *
+ * 内置脚本在 src/scripts/ 下；自定义目录（--scripts-dir）中的同名脚本覆盖内置脚本。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ErrorCodes, LinkError } = require('./errors');
+
+const BUILTIN_DIR = path.join(__dirname, 'scripts');
+
+const SCRIPT_NAME = /^[\w-]+$/;
+
+/** 文档注释中的参数声明: @param {type} args.name / [args.name] / [args.name=默认值] */
+const PARAM_TAG = /^@param\s+(?:\{([^}]+)\}\s+)?(\[)?args\.(\w+)(?:=[^\]\s]*)?\]?\s*(.*)$/;
+
+class ScriptRegistry {
+    /**
+     * @param {string|null} [dir]  自定义脚本目录，为空则只有内置脚本
+     */
+    constructor(dir = null) {
+        this.dir = dir ? path.resolve(dir) : null;
+        /** @type {Map<string, { name: string, description: string, params: object[], builtin: boolean, file: string, source: string }>} */
+        this.scripts = new Map();
+    }
+
+    /**
+     * 读取内置与自定义脚本（重复调用即重新加载）
+     * @returns {this}
+     * @throws {Error} 目录无法读取或脚本无效，错误汇总后一次抛出
+     */
+    load() {
+        const scripts = new Map();
+        const errors = [];
+        for (const [dir, builtin] of [[BUILTIN_DIR, true], [this.dir, false]]) {
+            if (!dir) continue;
+            let files;
+            try {
+                files = fs.readdirSync(dir).filter((f) => f.endsWith('.js')).sort();
+            } catch (err) {
+                errors.push(`无法读取脚本目录 ${dir}: ${err.message}`);
+                continue;
+            }
+            for (const file of files) {
+                try {
+                    const script = parseScript(path.join(dir, file));
+                    scripts.set(script.name, { ...script, builtin });
+                } catch (err) {
+                    errors.push(err.message);
+                }
+            }
+        }
+        if (errors.length > 0) throw new Error(`脚本库无效:\n  - ${errors.join('\n  - ')}`);
+        this.scripts = scripts;
+        return this;
+    }
+
+    /** 脚本列表（不含源码） */
+    list() {
+        return [...this.scripts.values()].map(({ name, description, params, builtin }) => ({ name, description, params, builtin }));
+    }
+
+    /**
+     * @param {string} name
+     * @throws {LinkError} SCRIPT_NOT_FOUND
+     */
+    get(name) {
+        const script = this.scripts.get(name);
+        if (!script) throw new LinkError(ErrorCodes.SCRIPT_NOT_FOUND, `脚本不存在: ${name}`);
+        return script;
+    }
+
+    /**
+     * 在页面中执行脚本
+     * @param {import('./cdp-controller').CDPController} cdp
+     * @param {string} name
+     * @param {object} [args]  JSON 参数对象
+     * @param {number} [timeout]
+     * @returns {Promise<any>} 脚本返回值（JSON 序列化后取回，undefined 为 null）
+     * @throws {LinkError} SCRIPT_NOT_FOUND / INVALID_PARAMS / OPERATION_FAILED（脚本抛出异常）
+     */
+    async run(cdp, name, args = {}, timeout = undefined) {
+        const script = this.get(name);
+        if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+            throw new LinkError(ErrorCodes.INVALID_PARAMS, 'args 必须是 JSON 对象');
+        }
+        const missing = script.params.filter((p) => p.required && args[p.name] === undefined).map((p) => p.name);
+        if (missing.length > 0) {
+            throw new LinkError(ErrorCodes.INVALID_PARAMS, `脚本 ${name} 缺少参数: ${missing.join(', ')}`);
+        }
+
+        const expr = `Promise.resolve((${script.source}\n)(${JSON.stringify(args)})).then(function(r) { return JSON.stringify(r); })`;
+        const result = await cdp.evaluate(expr, timeout);
+        const thrown = result?.exceptionDetails;
+        if (thrown) {
+            throw new LinkError(ErrorCodes.OPERATION_FAILED, `脚本 ${name} 执行出错: ${thrown.exception?.description || thrown.text}`);
+        }
+        const raw = result?.result?.value;
+        return raw === undefined || raw === null ? null : JSON.parse(raw);
+    }
+}
+
+/**
+ * 读取并校验一个脚本文件
+ * @param {string} file
+ */
+function parseScript(file) {
+    const name = path.basename(file, '.js');
+    if (!SCRIPT_NAME.test(name)) throw new Error(`${file}: 脚本名只能包含字母、数字、- 与 _`);
+
+    const source = fs.readFileSync(file, 'utf-8').trim().replace(/;$/, '');
+    let compiled;
+    try {
+        compiled = new vm.Script(`(${source}\n)`, { filename: file });
+    } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+    }
+    // 在空上下文中只求值表达式本身（不调用），确认文件内容是一个函数
+    let fn;
+    try {
+        fn = compiled.runInNewContext({}, { timeout: 100 });
+    } catch {
+        fn = null;
+    }
+    if (typeof fn !== 'function') throw new Error(`${file}: 内容必须是函数表达式 function (args) { ... }`);
+
+    return { name, ..._parseDoc(source), file, source };
+}
+
+function _parseDoc(source) {
+    const doc = /^\/\*\*([\s\S]*?)\*\//.exec(source);
+    const lines = doc ? doc[1].split('\n').map((line) => line.replace(/^\s*\*\s?/, '').trim()) : [];
+    const description = [];
+    const params = [];
+    for (const line of lines) {
+        const param = PARAM_TAG.exec(line);
+        if (param) {
+            params.push({ name: param[3], type: param[1] || null, required: !param[2], description: param[4] });
+        } else if (line && !line.startsWith('@') && params.length === 0) {
+            description.push(line);
+        }
+    }
+    return { description: description.join(' '), params };
+}
+
+module.exports = { ScriptRegistry, parseScript };
@@ -0,0 +1,13 @@
+/**
+ * 页面概况：标题、URL、视口大小、注入层版本与选择器配置名
+ */
+function (args) {
+    var bridge = window.__remoteBridge;
+    return {
+        title: document.title,
+        url: location.href,
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        bridgeVersion: bridge ? bridge._version : null,
+        profile: bridge && bridge._profile ? bridge._profile.name : null
+    };
+}
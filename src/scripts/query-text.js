@@ -0,0 +1,17 @@
+/**
+ * 读取匹配 CSS 选择器的元素文本
+ * @param {string} args.selector  CSS 选择器
+ * @param {number} [args.limit=20]  最多返回的元素数
+ */
+function (args) {
+    var els = document.querySelectorAll(args.selector);
+    var limit = args.limit || 20;
+    var items = [];
+    for (var i = 0; i < els.length && items.length < limit; i++) {
+        items.push({
+            tag: els[i].tagName.toLowerCase(),
+            text: (els[i].innerText || els[i].textContent || '').trim()
+        });
+    }
+    return { total: els.length, items: items };
+}
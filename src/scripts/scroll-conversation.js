@@ -0,0 +1,14 @@
+/**
+ * 把对话区滚动到顶部（加载更早的消息）或底部（回到最新）
+ * @param {string} [args.to=bottom]  top 或 bottom
+ */
+function (args) {
+    var conv = window.__remoteBridge._find('conversation');
+    if (!conv) return { success: false, error: '未找到对话区' };
+    // 对话区本身不一定是滚动容器，向上找第一个可滚动的祖先
+    var el = conv;
+    while (el && el.scrollHeight <= el.clientHeight) el = el.parentElement;
+    el = el || conv;
+    el.scrollTop = args.to === 'top' ? 0 : el.scrollHeight;
+    return { success: true, scrollTop: el.scrollTop, scrollHeight: el.scrollHeight };
+}
@@ -0,0 +1,122 @@
+/**
+ * 选择器配置（Selector Profile）
+ *
+ * 注入层用到的所有 DOM 选择器、按钮文本和错误识别规则都来自配置，
+ * IDE 界面改版或切换语言时只需提供新的配置文件，无需修改代码。
+ *
+ * 配置格式（见 profiles/default.json）：
+ *   {
+ *     name, version, description?,
+ *     selectors: {
+ *       <元素名>: [ 候选1, 候选2, ... ]   // 回退链，按顺序尝试，第一个命中的生效
+ *     },
+ *     errorPatterns: { maxLength, match: [[子串, ...], ...] }
+ *   }
+ *
+ * 候选项可以是 CSS 选择器字符串，或 { selector, text: [...] }：
+ * 匹配 selector 且文本 / aria-label / title 包含任一 text 的元素。
+ *
+ * 自定义配置只需写出要覆盖的元素，其余沿用默认配置。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE_NAME = 'default';
+
+/** 注入层必需的元素名 */
+const REQUIRED_SELECTORS = ['input', 'panel', 'conversation', 'userMessage', 'botMessage', 'sendButton'];
+
+let _defaultProfile = null;
+
+/**
+ * 加载选择器配置
+ * @param {string} [nameOrPath]  内置配置名（profiles/ 下的文件名）或 JSON 文件路径，省略则用默认配置
+ * @returns {SelectorProfile}
+ */
+function loadProfile(nameOrPath) {
+    if (!nameOrPath || nameOrPath === DEFAULT_PROFILE_NAME) return getDefaultProfile();
+
+    // 含路径分隔符或 .json 后缀视为文件路径，否则为内置配置名
+    const isPath = nameOrPath.endsWith('.json') || /[\\/]/.test(nameOrPath);
+    const file = isPath ? path.resolve(nameOrPath) : path.join(PROFILES_DIR, `${nameOrPath}.json`);
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new Error(`无法加载选择器配置 ${nameOrPath}: ${err.message}`);
+    }
+    return mergeProfile(getDefaultProfile(), raw);
+}
+
+function getDefaultProfile() {
+    if (!_defaultProfile) {
+        const file = path.join(PROFILES_DIR, `${DEFAULT_PROFILE_NAME}.json`);
+        _defaultProfile = validateProfile(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    }
+    return _defaultProfile;
+}
+
+/**
+ * 用自定义配置覆盖基础配置（按元素名整体替换回退链）
+ */
+function mergeProfile(base, override) {
+    return validateProfile({
+        ...base,
+        ...override,
+        selectors: { ...base.selectors, ...(override.selectors || {}) },
+        errorPatterns: { ...base.errorPatterns, ...(override.errorPatterns || {}) },
+    });
+}
+
+/**
+ * 校验配置结构，出错时抛出说明具体字段的异常
+ * @returns {SelectorProfile}
+ */
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') throw new Error('选择器配置必须是对象');
+    if (!profile.name) throw new Error('选择器配置缺少 name');
+    if (!profile.selectors || typeof profile.selectors !== 'object') {
+        throw new Error(`选择器配置 ${profile.name} 缺少 selectors`);
+    }
+
+    for (const key of REQUIRED_SELECTORS) {
+        const chain = profile.selectors[key];
+        if (!Array.isArray(chain) || chain.length === 0) {
+            throw new Error(`选择器配置 ${profile.name} 的 selectors.${key} 必须是非空数组`);
+        }
+    }
+    for (const [key, chain] of Object.entries(profile.selectors)) {
+        if (!Array.isArray(chain)) {
+            throw new Error(`选择器配置 ${profile.name} 的 selectors.${key} 必须是数组`);
+        }
+        for (const entry of chain) {
+            const ok = typeof entry === 'string'
+                || (entry && typeof entry.selector === 'string'
+                    && Array.isArray(entry.text) && entry.text.every((t) => typeof t === 'string'));
+            if (!ok) {
+                throw new Error(`选择器配置 ${profile.name} 的 selectors.${key} 含无效候选: ${JSON.stringify(entry)}`);
+            }
+        }
+    }
+
+    const patterns = profile.errorPatterns;
+    if (!patterns || !Array.isArray(patterns.match)
+        || !patterns.match.every((m) => Array.isArray(m) && m.length > 0)) {
+        throw new Error(`选择器配置 ${profile.name} 的 errorPatterns.match 必须是子串数组的数组`);
+    }
+    return profile;
+}
+
+/**
+ * @typedef {object} SelectorProfile
+ * @property {string} name
+ * @property {string} [version]
+ * @property {string} [description]
+ * @property {Object<string, Array<string|{selector: string, text: string[]}>>} selectors
+ * @property {{ maxLength?: number, match: string[][] }} errorPatterns
+ */
+
+module.exports = { loadProfile, getDefaultProfile, mergeProfile, validateProfile, PROFILES_DIR };
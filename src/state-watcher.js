@@ -0,0 +1,81 @@
+/**
+ * IDE 状态监听
+ *
+ * 为一个目标窗口启动注入层的 watchState()，把注入层经 binding 推送的状态事件转发出来，
+ * 并在页面刷新（Runtime.executionContextsCleared）后重新注入、重新开始监听。
+ *
+ * 事件:
+ *   - 'event'  (name, data)  name 为 BRIDGE_EVENTS 之一或 'page.reloaded'
+ *
+ * cdp.disconnected / cdp.reconnected 来自连接守护，由 TargetManager 统一发出。
+ */
+
+const EventEmitter = require('events');
+const { injectBridge, isBridgeAlive, callBridge, onBridgeEvent } = require('./bridge-injector');
+
+/** 注入层推送的状态事件 */
+const BRIDGE_EVENTS = ['agent.busy', 'agent.idle', 'message.added', 'error.shown', 'approval.requested'];
+
+/** 可订阅的全部事件 */
+const STATE_EVENTS = [...BRIDGE_EVENTS, 'cdp.disconnected', 'cdp.reconnected', 'page.reloaded'];
+
+class StateWatcher extends EventEmitter {
+    /**
+     * @param {import('./cdp-controller').CDPController} cdp
+     * @param {{ profile?: object }} [options]  profile: 重新注入时使用的选择器配置
+     */
+    constructor(cdp, options = {}) {
+        super();
+        this.cdp = cdp;
+        this.profile = options.profile;
+        this._off = null;
+        this._reloading = false;
+        this._onCleared = () => this._handleCleared();
+        this._onCreated = (params) => this._handleCreated(params);
+    }
+
+    async start() {
+        if (this._off) return;
+        this._off = onBridgeEvent(this.cdp, (event, data) => {
+            if (BRIDGE_EVENTS.includes(event)) this.emit('event', event, data || {});
+        });
+        this.cdp.on('Runtime.executionContextsCleared', this._onCleared);
+        this.cdp.on('Runtime.executionContextCreated', this._onCreated);
+        await this.arm();
+    }
+
+    stop() {
+        if (!this._off) return;
+        this._off();
+        this._off = null;
+        this.cdp.off('Runtime.executionContextsCleared', this._onCleared);
+        this.cdp.off('Runtime.executionContextCreated', this._onCreated);
+    }
+
+    /**
+     * 确保注入层存在并开始监听（重复调用无副作用，重连后由 TargetManager 调用）
+     */
+    async arm() {
+        try {
+            if (!(await isBridgeAlive(this.cdp))) await injectBridge(this.cdp, this.profile);
+            await callBridge(this.cdp, 'watchState');
+        } catch (err) {
+            console.error(`[Watcher] 状态监听启动失败: ${err.message}`);
+        }
+    }
+
+    _handleCleared() {
+        this._reloading = true;
+        const page = this.cdp.currentPage;
+        this.emit('event', 'page.reloaded', { page: page ? { title: page.title, url: page.url } : null });
+    }
+
+    _handleCreated(params) {
+        // 只关心主框架的默认上下文
+        if (!this._reloading || !params?.context?.auxData?.isDefault) return;
+        this._reloading = false;
+        this.arm();
+    }
+}
+
+module.exports = { StateWatcher, STATE_EVENTS };
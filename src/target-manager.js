@@ -0,0 +1,298 @@
+/**
+ * 目标窗口管理
+ *
+ * 一个 LinkServer 可以同时连接多个 Antigravity 窗口（CDP 页面）。每个已连接的窗口
+ * 对应一个会话（TargetSession），拥有独立的 CDPController、InputInjector、任务队列、
+ * 连接守护、状态监听和对话记录，互不阻塞。未指定 target 的操作作用于当前活动窗口。
+ *
+ * target 参数的匹配规则（按顺序）：
+ *   1. 会话 id 或 /json/list 中的页面 id 完全一致
+ *   2. 作为正则（不区分大小写）匹配页面标题或 URL；正则无效时按子串匹配
+ *
+ * 事件:
+ *   - 'state'     { target, state, ... }  各会话连接守护的状态变化
+ *   - 'selected'  { target, page }        活动窗口切换
+ *   - 'event'     { target, event, data } 状态事件（见 state-watcher.js 的 STATE_EVENTS）
+ *   - 'session'   (session)               新会话建立（指标等据此接入各会话的事件）
+ */
+
+const EventEmitter = require('events');
+const { CDPController, fetchPages } = require('./cdp-controller');
+const { CDPSupervisor } = require('./cdp-supervisor');
+const { injectBridge, isBridgeAlive } = require('./bridge-injector');
+const { InputInjector } = require('./input-injector');
+const { JobQueue } = require('./job-queue');
+const { StateWatcher } = require('./state-watcher');
+const { TranscriptRecorder } = require('./transcript');
+const { ErrorCodes, LinkError } = require('./errors');
+
+class TargetManager extends EventEmitter {
+    /**
+     * @param {number} port  CDP 调试端口
+     * @param {{ profile?: object, filter?: string|null, approvalPolicy?: object|null,
+     *           transcriptDir?: string|null, transcriptFormat?: string,
+     *           completion?: { settleTime?: number, startTimeout?: number },
+     *           timing?: object, commandTimeout?: number, attachmentDir?: string|null }} [options]
+     *        profile: 选择器配置；filter: 启动时选择窗口的 target 表达式（默认取第一个 type 为 page 的页面）
+     *        approvalPolicy: 各窗口等待回复时共用的审批策略
+     *        transcriptDir / transcriptFormat: 对话记录自动保存目录与格式，目录为空则不保存
+     *        completion: 回复完成检测参数（见 completion-detector.js）
+     *        timing: 注入器的超时、轮询间隔与重试次数（见 input-injector.js 的 TIMING_DEFAULTS）
+     *        commandTimeout: CDP 命令的默认超时
+     *        attachmentDir: 按路径附加的文件所在目录（见 attachments.js），为空则不接受路径
+     */
+    constructor(port = 9000, options = {}) {
+        super();
+        this.port = port;
+        this.profile = options.profile;
+        this.filter = options.filter || null;
+        this.approvalPolicy = options.approvalPolicy || null;
+        this.transcriptDir = options.transcriptDir || null;
+        this.transcriptFormat = options.transcriptFormat || 'md';
+        this.completion = options.completion || {};
+        this.timing = options.timing || {};
+        this.commandTimeout = options.commandTimeout;
+        this.attachmentDir = options.attachmentDir || null;
+        /** @type {Map<string, TargetSession>} */
+        this.sessions = new Map();
+        this.activeId = null;
+        /** @type {Map<string, Promise<TargetSession>>} 连接中的页面，避免并发重复连接 */
+        this._connecting = new Map();
+    }
+
+    /** 当前活动会话（可能为 null） */
+    get active() {
+        return this.activeId ? this.sessions.get(this.activeId) || null : null;
+    }
+
+    getPages() {
+        return fetchPages(this.port);
+    }
+
+    /**
+     * 列出全部页面及其连接 / 注入状态
+     */
+    async list() {
+        const pages = await this.getPages();
+        const result = [];
+        for (const page of pages) {
+            const session = this._sessionForPage(page);
+            result.push({
+                id: page.id,
+                type: page.type,
+                title: page.title,
+                url: page.url,
+                connected: !!(session && session.cdp.connected),
+                active: !!session && session.id === this.activeId,
+                // 仅对已连接的窗口检测注入层，未连接的窗口不主动建立连接
+                bridge: session && session.cdp.connected ? await isBridgeAlive(session.cdp) : false,
+                session: session ? session.id : null,
+            });
+        }
+        return result;
+    }
+
+    /**
+     * 按启动过滤条件连接初始窗口并设为活动窗口
+     */
+    async connectInitial() {
+        const pages = await this.getPages();
+        if (pages.length === 0) throw new Error('没有找到可用页面');
+        const page = this.filter
+            ? pages.find((p) => _matches(p, this.filter))
+            : pages.find((p) => p.type === 'page') || pages[0];
+        if (!page) throw new Error(`没有匹配的页面: ${this.filter}`);
+        const session = await this.connect(page);
+        this._setActive(session);
+        return session;
+    }
+
+    /**
+     * 连接到页面（已连接则直接返回现有会话）
+     * @returns {Promise<TargetSession>}
+     */
+    async connect(page) {
+        const existing = this._sessionForPage(page);
+        if (existing) return existing;
+        if (this._connecting.has(page.id)) return this._connecting.get(page.id);
+
+        const pending = this._createSession(page);
+        this._connecting.set(page.id, pending);
+        try {
+            return await pending;
+        } finally {
+            this._connecting.delete(page.id);
+        }
+    }
+
+    async _createSession(page) {
+        const cdp = new CDPController(this.port, { commandTimeout: this.commandTimeout });
+        await cdp.connect(page);
+
+        const id = page.id;
+        let supervisor = null;
+        let watcher = null;
+        try {
+            await injectBridge(cdp, this.profile);
+
+            supervisor = new CDPSupervisor(cdp, {
+                profile: this.profile,
+                // 原页面消失时不回退到已被其他会话占用的窗口
+                filter: (p) => p.type === 'page' && !this._sessionForPage(p),
+            });
+            const injector = new InputInjector(cdp, {
+                profile: this.profile,
+                approvalPolicy: this.approvalPolicy,
+                completion: this.completion,
+                timing: this.timing,
+                attachmentDir: this.attachmentDir,
+            });
+            const transcript = new TranscriptRecorder(injector, { target: id, dir: this.transcriptDir, format: this.transcriptFormat });
+            injector.on('reply', (result, info) => transcript.recordTurn(result, info));
+
+            watcher = new StateWatcher(cdp, { profile: this.profile });
+            watcher.on('event', (event, data) => {
+                transcript.handleEvent(event, data);
+                this.emit('event', { target: id, event, data });
+            });
+
+            supervisor.on('state', (info) => {
+                this.emit('state', { target: id, ...info });
+                if (info.state === 'disconnected') {
+                    this.emit('event', { target: id, event: 'cdp.disconnected', data: { page: info.page } });
+                } else if (info.state === 'connected') {
+                    this.emit('event', { target: id, event: 'cdp.reconnected', data: { page: info.page, attempt: info.attempt } });
+                    // 守护已重新注入控制层，这里重新开始状态监听
+                    watcher.arm();
+                }
+            });
+            supervisor.start();
+            await watcher.start();
+
+            /** @type {TargetSession} */
+            const session = {
+                id,
+                cdp,
+                injector,
+                queue: new JobQueue(),
+                supervisor,
+                watcher,
+                transcript,
+            };
+            this.sessions.set(id, session);
+            this.emit('session', session);
+            return session;
+        } catch (err) {
+            // 会话未登记，不清理的话守护会继续重连并抢占其他窗口
+            supervisor?.stop();
+            watcher?.stop();
+            cdp.disconnect();
+            throw err;
+        }
+    }
+
+    /**
+     * 切换活动窗口（未连接时先连接）
+     * @param {string} query  目标表达式
+     */
+    async select(query) {
+        const session = await this.acquire(query);
+        this._setActive(session);
+        return session;
+    }
+
+    /**
+     * 获取操作目标：省略时为活动窗口；已连接的会话优先，否则按页面列表匹配并连接
+     * @param {string} [query]
+     * @returns {Promise<TargetSession>}
+     */
+    async acquire(query) {
+        if (!query) {
+            if (!this.active) throw new LinkError(ErrorCodes.TARGET_NOT_FOUND, '没有活动的目标窗口');
+            return this.active;
+        }
+
+        const session = this.find(query);
+        if (session) return session;
+
+        const pages = await this.getPages();
+        const page = pages.find((p) => p.id === query) || pages.find((p) => _matches(p, query));
+        if (!page) throw new LinkError(ErrorCodes.TARGET_NOT_FOUND, `没有匹配的目标窗口: ${query}`);
+        return await this.connect(page);
+    }
+
+    /**
+     * 在已连接的会话中查找
+     * @returns {TargetSession|null}
+     */
+    find(query) {
+        if (!query) return this.active;
+        if (this.sessions.has(query)) return this.sessions.get(query);
+        for (const session of this.sessions.values()) {
+            const page = session.cdp.currentPage;
+            if (page && (page.id === query || _matches(page, query))) return session;
+        }
+        return null;
+    }
+
+    /** 断开指定会话 */
+    disconnect(id) {
+        const session = this.sessions.get(id);
+        if (!session) return false;
+        session.supervisor.stop();
+        session.watcher.stop();
+        session.cdp.disconnect();
+        this.sessions.delete(id);
+        if (this.activeId === id) this.activeId = null;
+        return true;
+    }
+
+    close() {
+        for (const id of [...this.sessions.keys()]) this.disconnect(id);
+    }
+
+    _sessionForPage(page) {
+        if (this.sessions.has(page.id)) return this.sessions.get(page.id);
+        for (const session of this.sessions.values()) {
+            if (session.cdp.currentPage?.id === page.id) return session;
+        }
+        return null;
+    }
+
+    _setActive(session) {
+        this.activeId = session.id;
+        const page = session.cdp.currentPage;
+        console.log(`[Targets] 活动窗口 -> ${page ? page.title || page.url : session.id}`);
+        this.emit('selected', { target: session.id, page: describePage(page) });
+    }
+}
+
+/**
+ * 页面是否匹配 target 表达式（id / 标题或 URL 正则）
+ */
+function _matches(page, query) {
+    if (page.id === query) return true;
+    let re = null;
+    try {
+        re = new RegExp(query, 'i');
+    } catch { /* 非法正则按子串匹配 */ }
+    const fields = [page.title || '', page.url || ''];
+    return fields.some((f) => (re ? re.test(f) : f.includes(query)));
+}
+
+function describePage(page) {
+    return page ? { id: page.id, title: page.title, url: page.url } : null;
+}
+
+/**
+ * @typedef {object} TargetSession
+ * @property {string} id  会话 id（首次连接时的页面 id，重连后保持不变）
+ * @property {CDPController} cdp
+ * @property {InputInjector} injector
+ * @property {JobQueue} queue
+ * @property {CDPSupervisor} supervisor
+ * @property {StateWatcher} watcher
+ * @property {TranscriptRecorder} transcript
+ */
+
+module.exports = { TargetManager, describePage };
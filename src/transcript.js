@@ -0,0 +1,295 @@
+/**
+ * 对话记录
+ *
+ * 每个窗口一个 TranscriptRecorder，在服务端记录页面本身不提供的信息：
+ *   - 消息出现的时间（来自状态监听的 message.added 事件；服务启动前已存在的消息没有时间）
+ *   - 每轮的开始 / 结束时间、waitForReply 的耗时、状态与检测到的错误
+ *
+ * export(format) 把当前对话与这些信息合并，按轮次（一条用户消息及其后的回复）输出：
+ *   - json  { title, target, page, exportedAt, turns: [{ startedAt, completedAt, elapsed, status, error, messages }] }
+ *   - md    Markdown，回复保留代码块语言、列表、表格等
+ *   - html  独立的 HTML 页面（代码块以 <pre><code class="language-x"> 输出）
+ *
+ * 指定 dir 时每轮结束后自动保存当前对话，一个对话对应一个文件（对话切换或新建后写入新文件）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['md', 'json', 'html'];
+
+const CONTENT_TYPES = {
+    md: 'text/markdown; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+};
+
+class TranscriptRecorder {
+    /**
+     * @param {import('./input-injector').InputInjector} injector
+     * @param {{ target?: string, dir?: string|null, format?: string }} [options]
+     *        target: 会话 id；dir: 自动保存目录，为空则不保存；format: 自动保存格式，默认 md
+     */
+    constructor(injector, options = {}) {
+        this.injector = injector;
+        this.target = options.target || null;
+        this.dir = options.dir || null;
+        this.format = options.format || 'md';
+        /** @type {Map<string, number>} 消息 id → 出现时间 */
+        this.times = new Map();
+        /** @type {Map<string, object>} 每轮最后一条消息的 id → 该轮信息 */
+        this.turns = new Map();
+        /** 当前对话第一条消息的 id，变化即视为切换了对话 */
+        this._firstId = null;
+        this._file = null;
+    }
+
+    /**
+     * 处理状态监听的事件
+     * @param {string} event
+     * @param {object} data
+     */
+    handleEvent(event, data) {
+        if (event === 'message.added' && data?.message?.id && !this.times.has(data.message.id)) {
+            this.times.set(data.message.id, Date.now());
+        } else if (event === 'page.reloaded') {
+            // 刷新后消息 id 重新分配
+            this.times.clear();
+            this.turns.clear();
+            this._firstId = null;
+            this._file = null;
+        }
+    }
+
+    /**
+     * 记录一轮的结果（InputInjector 的 'reply' 事件）
+     * @param {object} result  waitForReply 的结果
+     * @param {{ startedAt: number }} info
+     */
+    async recordTurn(result, info) {
+        try {
+            const messages = await this.injector.getMessages();
+            this._trackConversation(messages);
+            const last = messages[messages.length - 1];
+            if (last) {
+                this.turns.set(last.id, {
+                    startedAt: info.startedAt,
+                    completedAt: Date.now(),
+                    elapsed: result.elapsed ?? null,
+                    status: result.status || (result.success ? 'completed' : 'error'),
+                    error: result.success ? null : result.error || null,
+                });
+            }
+            if (this.dir && messages.length > 0) await this.save(messages);
+        } catch (err) {
+            console.error(`[Transcript] 记录失败: ${err.message}`);
+        }
+    }
+
+    /**
+     * 导出当前对话
+     * @param {'md'|'json'|'html'} [format]
+     * @param {object[]} [messages]  已读取的消息，省略时重新读取
+     * @returns {Promise<string|object>} json 为对象，其余为文本
+     */
+    async export(format = 'json', messages) {
+        if (!FORMATS.includes(format)) throw new Error(`format 无效: ${format}（可选 ${FORMATS.join(' / ')}）`);
+        messages = messages || (await this.injector.getMessages());
+        this._trackConversation(messages);
+        const transcript = this._build(messages);
+        if (format === 'md') return renderMarkdown(transcript);
+        if (format === 'html') return renderHtml(transcript);
+        return transcript;
+    }
+
+    /**
+     * 保存当前对话到自动保存目录
+     * @returns {Promise<string>} 文件路径
+     */
+    async save(messages) {
+        const content = await this.export(this.format, messages);
+        fs.mkdirSync(this.dir, { recursive: true });
+        if (!this._file) this._file = _fileName(messages, this.format);
+        const file = path.join(this.dir, this._file);
+        const data = this.format === 'json' ? JSON.stringify(content, null, 2) : content;
+        await fs.promises.writeFile(file, data, 'utf-8');
+        return file;
+    }
+
+    /** 第一条消息变化时视为新对话：换新文件，并丢弃不再可见的消息的记录 */
+    _trackConversation(messages) {
+        const firstId = messages[0]?.id || null;
+        if (firstId === this._firstId) return;
+        this._firstId = firstId;
+        this._file = null;
+        const ids = new Set(messages.map((m) => m.id));
+        for (const id of this.times.keys()) if (!ids.has(id)) this.times.delete(id);
+        for (const id of this.turns.keys()) if (!ids.has(id)) this.turns.delete(id);
+    }
+
+    _build(messages) {
+        const turns = [];
+        let turn = null;
+        for (const m of messages) {
+            if (!turn || m.role === 'user') {
+                turn = { index: turns.length, startedAt: null, completedAt: null, elapsed: null, status: null, error: null, messages: [] };
+                turns.push(turn);
+            }
+            const ts = this.times.get(m.id);
+            turn.messages.push({
+                id: m.id,
+                role: m.role,
+                ts: ts ? new Date(ts).toISOString() : null,
+                text: m.text,
+                markdown: m.markdown || m.text,
+            });
+            const meta = this.turns.get(m.id);
+            if (meta) {
+                Object.assign(turn, {
+                    startedAt: new Date(meta.startedAt).toISOString(),
+                    completedAt: new Date(meta.completedAt).toISOString(),
+                    elapsed: meta.elapsed,
+                    status: meta.status,
+                    error: meta.error,
+                });
+            }
+        }
+
+        const page = this.injector.cdp.currentPage;
+        return {
+            title: _title(messages),
+            target: this.target,
+            page: page ? { title: page.title, url: page.url } : null,
+            exportedAt: new Date().toISOString(),
+            turns,
+        };
+    }
+}
+
+// ── 渲染 ──
+
+function renderMarkdown(transcript) {
+    const lines = [`# ${transcript.title}`, ''];
+    if (transcript.page) lines.push(`- 窗口: ${transcript.page.title}`);
+    lines.push(`- 导出时间: ${_time(transcript.exportedAt)}`, '');
+
+    for (const turn of transcript.turns) {
+        for (const m of turn.messages) {
+            const when = m.ts ? ` · ${_time(m.ts)}` : '';
+            lines.push(`## ${m.role === 'user' ? '用户' : '助手'}${when}`, '', m.markdown, '');
+        }
+        const meta = _turnMeta(turn);
+        if (meta) lines.push(`> ${meta}`, '');
+        if (turn.error) lines.push(`> **错误**: ${turn.error}`, '');
+    }
+    return lines.join('\n');
+}
+
+function renderHtml(transcript) {
+    const body = transcript.turns.map((turn) => {
+        const messages = turn.messages.map((m) => {
+            const when = m.ts ? `<time datetime="${m.ts}">${_escape(_time(m.ts))}</time>` : '';
+            return `<section class="message ${m.role}">
+  <header>${m.role === 'user' ? '用户' : '助手'} ${when}</header>
+  ${_markdownToHtml(m.markdown)}
+</section>`;
+        }).join('\n');
+        const meta = _turnMeta(turn);
+        const footer = [
+            meta ? `<p class="meta">${_escape(meta)}</p>` : '',
+            turn.error ? `<p class="error">错误: ${_escape(turn.error)}</p>` : '',
+        ].join('');
+        return `<article class="turn">\n${messages}\n${footer}</article>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${_escape(transcript.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; line-height: 1.6; color: #222; }
+.message { margin: 1em 0; padding: .75em 1em; border-radius: 6px; }
+.message.user { background: #eef4ff; }
+.message.assistant { background: #f6f6f6; }
+.message header { font-weight: 600; margin-bottom: .5em; }
+time, .meta { color: #777; font-size: .85em; font-weight: normal; }
+.error { color: #b00020; }
+pre { background: #1e1e1e; color: #ddd; padding: .75em; overflow-x: auto; border-radius: 4px; }
+code { font-family: ui-monospace, monospace; }
+</style>
+</head>
+<body>
+<h1>${_escape(transcript.title)}</h1>
+<p class="meta">${transcript.page ? `${_escape(transcript.page.title)} · ` : ''}导出时间 ${_escape(_time(transcript.exportedAt))}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+/** 每轮的耗时与状态说明，没有记录时返回空字符串 */
+function _turnMeta(turn) {
+    if (!turn.status) return '';
+    const parts = [`状态: ${turn.status}`];
+    if (turn.elapsed !== null) parts.push(`耗时 ${turn.elapsed}s`);
+    if (turn.completedAt) parts.push(`完成于 ${_time(turn.completedAt)}`);
+    return parts.join('，');
+}
+
+/**
+ * 简单的 Markdown → HTML：保留代码块（含语言），其余段落转义后保留换行
+ */
+function _markdownToHtml(markdown) {
+    const parts = [];
+    const fence = /^```([\w+-]*)\n([\s\S]*?)\n?```$/gm;
+    let last = 0;
+    let match;
+    while ((match = fence.exec(markdown))) {
+        parts.push(_paragraphs(markdown.slice(last, match.index)));
+        const lang = match[1] ? ` class="language-${match[1]}"` : '';
+        parts.push(`<pre><code${lang}>${_escape(match[2])}</code></pre>`);
+        last = fence.lastIndex;
+    }
+    parts.push(_paragraphs(markdown.slice(last)));
+    return parts.filter(Boolean).join('\n');
+}
+
+function _paragraphs(text) {
+    return text.split(/\n{2,}/)
+        .map((p) => p.trim())
+        .filter(Boolean)
+        .map((p) => `<p>${_escape(p).replace(/`([^`\n]+)`/g, '<code>$1</code>').replace(/\n/g, '<br>')}</p>`)
+        .join('\n');
+}
+
+function _escape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function _time(iso) {
+    return new Date(iso).toLocaleString('zh-CN', { hour12: false });
+}
+
+/** 对话标题：第一条用户消息的开头 */
+function _title(messages) {
+    const first = messages.find((m) => m.role === 'user');
+    if (!first) return '对话记录';
+    const line = first.text.trim().split('\n')[0];
+    return line.length > 40 ? `${line.slice(0, 40)}…` : line;
+}
+
+/** 自动保存文件名：首次保存时间 + 标题 */
+function _fileName(messages, format) {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+    const slug = _title(messages).replace(/[\\/:*?"<>|\s…]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return `${stamp}${slug ? `-${slug}` : ''}.${format}`;
+}
+
+module.exports = { TranscriptRecorder, FORMATS, CONTENT_TYPES, renderMarkdown, renderHtml };
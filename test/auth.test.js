@@ -0,0 +1,58 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { checkToken, extractToken, generateToken, isOriginAllowed } = require('../src/auth');
+
+/** 只带 url 与请求头的请求对象 */
+function req(url, headers = {}) {
+    return { url, headers };
+}
+
+describe('auth', () => {
+    it('从 Authorization 头或 ?token= 取令牌，请求头优先', () => {
+        assert.equal(extractToken(req('/api/status', { authorization: 'Bearer abc' })), 'abc');
+        assert.equal(extractToken(req('/api/status', { authorization: 'bearer   abc' })), 'abc');
+        assert.equal(extractToken(req('/ws?token=q%20t&x=1')), 'q t');
+        assert.equal(extractToken(req('/ws?token=query', { authorization: 'Bearer header' })), 'header');
+        assert.equal(extractToken(req('/api/status', { authorization: 'Basic abc' })), null);
+        assert.equal(extractToken(req('/api/status', { authorization: 'Bearer a b' })), null);
+        assert.equal(extractToken(req('/api/status')), null);
+    });
+
+    it('checkToken 以定长比较校验令牌', () => {
+        const compare = mock.method(crypto, 'timingSafeEqual');
+        try {
+            const token = generateToken();
+            assert.match(token, /^[0-9a-f]{48}$/);
+            assert.equal(checkToken(req('/', { authorization: `Bearer ${token}` }), token), true);
+            assert.equal(checkToken(req(`/ws?token=${token}`), token), true);
+            assert.equal(compare.mock.callCount(), 2);
+
+            const wrong = `${token.slice(0, -1)}${token.endsWith('0') ? '1' : '0'}`;
+            assert.equal(checkToken(req(`/ws?token=${wrong}`), token), false);
+            assert.equal(compare.mock.callCount(), 3);
+
+            // 长度不同时直接拒绝，不抛出 timingSafeEqual 的长度错误
+            assert.equal(checkToken(req('/ws?token=short'), token), false);
+            assert.equal(checkToken(req(`/ws?token=${token}x`), token), false);
+            assert.equal(compare.mock.callCount(), 3);
+            assert.equal(checkToken(req('/ws'), token), false);
+            assert.equal(checkToken(req('/ws?token='), token), false);
+        } finally {
+            compare.mock.restore();
+        }
+    });
+
+    it('未设置令牌时不鉴权', () => {
+        assert.equal(checkToken(req('/api/status'), null), true);
+        assert.equal(checkToken(req('/api/status'), ''), true);
+    });
+
+    it('Origin 白名单', () => {
+        assert.equal(isOriginAllowed(undefined, []), true);
+        assert.equal(isOriginAllowed('http://localhost:3000', ['http://localhost:3000']), true);
+        assert.equal(isOriginAllowed('http://localhost:3001', ['http://localhost:3000']), false);
+        assert.equal(isOriginAllowed('http://evil.example', ['*']), true);
+        assert.equal(isOriginAllowed('http://evil.example', []), false);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BatchRunner, loadBatchFile, resolveBatchPath } = require('../src/batch-runner');
+const { ErrorCodes } = require('../src/errors');
+
+/** 不连接 IDE 的会话：reply 决定每次等待的结果 */
+function fakeSession(reply) {
+    const injector = {
+        snapshotReply: async () => ({ text: '', count: 0 }),
+        sendText: async () => ({ success: true }),
+        waitForReply: async () => reply(),
+    };
+    return { id: 'page-0', injector, queue: { cancel: () => ({ success: true }) } };
+}
+
+/** 直接执行任务，不经过队列 */
+function enqueue(type, run) {
+    return { id: 'job-1', promise: run(new AbortController().signal) };
+}
+
+describe('BatchRunner', () => {
+    let root;
+    let dir;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'agl-batch-'));
+        dir = path.join(root, 'batches');
+        fs.mkdirSync(dir);
+        fs.writeFileSync(path.join(root, 'passwd'), 'root:x:0:0:root:/root:/bin/bash\n');
+        fs.symlinkSync(root, path.join(dir, 'escape'));
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('条目文件格式错误时只报告行号，不回显内容', () => {
+        assert.throws(() => loadBatchFile(path.join(root, 'passwd'), 'passwd'), (err) => {
+            assert.equal(err.code, ErrorCodes.INVALID_PARAMS);
+            assert.equal(err.message, 'passwd 第 1 行不是有效的 JSON');
+            return true;
+        });
+    });
+
+    it('file / output 只能位于批量目录内', () => {
+        assert.equal(resolveBatchPath(dir, 'a/results.jsonl', 'output'), path.join(dir, 'a', 'results.jsonl'));
+        // 以 .. 开头的文件名仍在目录内
+        assert.equal(resolveBatchPath(dir, '..prompts.jsonl', 'file'), path.join(dir, '..prompts.jsonl'));
+        assert.throws(() => resolveBatchPath(null, 'prompts.jsonl', 'file'), (err) => err.code === ErrorCodes.FORBIDDEN);
+        for (const file of ['../passwd', path.join(root, 'passwd'), 'escape/passwd', 'escape/new/out.jsonl', '']) {
+            assert.throws(() => resolveBatchPath(dir, file, 'file'), (err) => err.code === ErrorCodes.INVALID_PARAMS, file);
+        }
+    });
+
+    it('结果文件无法写入时启动前报错，运行中写入失败以 error 状态结束', async () => {
+        fs.writeFileSync(path.join(dir, 'blocker'), '');
+        const blocked = new BatchRunner(fakeSession(() => ({ success: true, reply: 'ok' })), ['a'], {
+            output: path.join(dir, 'blocker', 'out.jsonl'), enqueue,
+        });
+        assert.throws(() => blocked.prepareOutput(), (err) => err.code === ErrorCodes.OPERATION_FAILED && !err.message.includes(dir));
+
+        // 第一条完成前把结果文件换成目录
+        const output = path.join(dir, 'out.jsonl');
+        const batch = new BatchRunner(fakeSession(() => {
+            fs.rmSync(output);
+            fs.mkdirSync(output);
+            return { success: true, status: 'completed', reply: 'ok' };
+        }), ['a', 'b'], { output, enqueue });
+        const events = [];
+        batch.on('event', (event, data) => events.push({ event, data }));
+
+        const info = await batch.run();
+        assert.equal(info.state, 'error');
+        assert.match(info.error, /无法写入结果文件 \(EISDIR\)/);
+        assert.equal(info.done, 1);
+        assert.equal(events.at(-1).event, 'batch.completed');
+        assert.equal(events.at(-1).data.state, 'error');
+        assert.equal(batch.cancel(), false);
+    });
+
+    it('取消时不等完重试间隔', async () => {
+        const batch = new BatchRunner(fakeSession(() => ({ success: false, status: 'error', error: 'overloaded' })), ['a', 'b'], {
+            retries: 3, retryDelay: 60000, enqueue,
+        });
+        batch.on('event', (event) => {
+            if (event === 'batch.retry') batch.cancel();
+        });
+        const startedAt = Date.now();
+        const info = await batch.run();
+        assert.equal(info.state, 'cancelled');
+        assert.equal(info.done, 1);
+        assert.ok(Date.now() - startedAt < 5000, '应在重试间隔结束前返回');
+    });
+});
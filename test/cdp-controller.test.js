@@ -0,0 +1,96 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { MockAntigravity } = require('./mock-antigravity');
+const { CDPController, fetchPages } = require('../src/cdp-controller');
+const { ErrorCodes } = require('../src/errors');
+
+describe('CDPController', () => {
+    let mock;
+    let port;
+    let cdp;
+
+    before(async () => {
+        mock = new MockAntigravity({ titles: ['Antigravity - one', 'Antigravity - two'] });
+        port = await mock.start();
+    });
+
+    after(() => mock.stop());
+
+    afterEach(() => {
+        if (cdp) cdp.disconnect();
+        cdp = null;
+    });
+
+    it('fetchPages 返回 /json/list 中的页面', async () => {
+        const pages = await fetchPages(port);
+        assert.deepEqual(pages.filter((p) => p.type === 'page').map((p) => p.title), ['Antigravity - one', 'Antigravity - two']);
+        assert.ok(pages.some((p) => p.type === 'service_worker'));
+    });
+
+    it('fetchPages 在端口不可用时返回空数组', async () => {
+        assert.deepEqual(await fetchPages(1), []);
+    });
+
+    it('连接页面后执行 Runtime.evaluate', async () => {
+        cdp = new CDPController(port);
+        const pages = await fetchPages(port);
+        await cdp.connect(pages.find((p) => p.title === 'Antigravity - two'));
+        assert.equal(cdp.connected, true);
+        assert.equal(cdp.currentPage.title, 'Antigravity - two');
+
+        const result = await cdp.evaluate('document.title + ":" + (1 + 2)');
+        assert.equal(result.result.value, 'Antigravity - two:3');
+
+        const awaited = await cdp.evaluate('new Promise((r) => setTimeout(() => r(42), 20))');
+        assert.equal(awaited.result.value, 42);
+    });
+
+    it('页面内异常以 exceptionDetails 返回', async () => {
+        cdp = new CDPController(port);
+        await cdp.autoConnect();
+        const result = await cdp.evaluate('undefinedFunction()');
+        assert.ok(result.exceptionDetails);
+        assert.match(result.exceptionDetails.exception.description, /undefinedFunction/);
+    });
+
+    it('未知方法以 CDP 错误拒绝', async () => {
+        cdp = new CDPController(port);
+        await cdp.autoConnect();
+        await assert.rejects(cdp.send('Page.navigate', { url: 'about:blank' }), /wasn't found/);
+    });
+
+    it('命令超时以 TIMEOUT 拒绝', async () => {
+        cdp = new CDPController(port, { commandTimeout: 200 });
+        await cdp.autoConnect();
+        await assert.rejects(cdp.evaluate('new Promise(() => {})'), (err) => err.code === ErrorCodes.TIMEOUT);
+    });
+
+    it('未连接时以 CDP_DISCONNECTED 拒绝', async () => {
+        cdp = new CDPController(port);
+        await assert.rejects(cdp.evaluate('1'), (err) => err.code === ErrorCodes.CDP_DISCONNECTED);
+    });
+
+    it('连接意外断开时发出 disconnected 并拒绝未完成的命令', async () => {
+        cdp = new CDPController(port);
+        await cdp.autoConnect();
+        const pending = cdp.evaluate('new Promise(() => {})');
+        const disconnected = once(cdp, 'disconnected');
+        mock.dropConnections();
+
+        const [page] = await disconnected;
+        assert.equal(page.title, 'Antigravity - one');
+        assert.equal(cdp.connected, false);
+        await assert.rejects(pending, (err) => err.code === ErrorCodes.CDP_DISCONNECTED);
+    });
+
+    it('主动断开不发出 disconnected', async () => {
+        cdp = new CDPController(port);
+        await cdp.autoConnect();
+        let emitted = false;
+        cdp.on('disconnected', () => (emitted = true));
+        cdp.disconnect();
+        await new Promise((r) => setTimeout(r, 100));
+        assert.equal(emitted, false);
+    });
+});
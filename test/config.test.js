@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OPTIONS, CONFIG_FILE, applyFlag, loadConfig, envName, describeConfig } = require('../src/config');
+
+/** 把命令行参数收集为 cli 层 */
+function flags(...args) {
+    const cli = {};
+    for (const arg of args) assert.equal(applyFlag(cli, arg), true, arg);
+    return cli;
+}
+
+describe('config', () => {
+    let dir;
+    /** 没有配置文件的目录 */
+    let empty;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agl-config-'));
+        empty = path.join(dir, 'empty');
+        fs.mkdirSync(empty);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('默认值 < 配置文件 < 环境变量 < 命令行', () => {
+        fs.writeFileSync(path.join(dir, CONFIG_FILE), JSON.stringify({
+            $schema: './schema.json', cdpPort: 9100, serverPort: 9200, logLevel: 'warn', allowedOrigins: ['http://a'],
+        }));
+        const env = { AGL_SERVER_PORT: '9300', AGL_LOG_LEVEL: 'error', AGL_AUTH: 'off' };
+        const { config, sources, file } = loadConfig({ cwd: dir, env, cli: flags('--log-level=silent', '--cors-origin=http://b,http://c') });
+
+        assert.equal(file, path.join(dir, CONFIG_FILE));
+        assert.deepEqual(
+            [config.host, config.cdpPort, config.serverPort, config.logLevel, config.auth, config.allowedOrigins],
+            ['127.0.0.1', 9100, 9300, 'silent', false, ['http://b', 'http://c']],
+        );
+        assert.deepEqual(
+            [sources.host, sources.cdpPort, sources.serverPort, sources.logLevel, sources.auth, sources.allowedOrigins],
+            ['default', 'file', 'env', 'cli', 'env', 'cli'],
+        );
+    });
+
+    it('按类型转换各层的值', () => {
+        const { config } = loadConfig({
+            cwd: empty,
+            env: { AGL_HISTORY_FILE: '', AGL_OPENAI_REPLAY: 'yes', AGL_CORS_ORIGIN: ' http://a , ,http://b ' },
+            cli: flags('--no-evaluate', '--reply-timeout= 5000', '--settle-time=0'),
+        });
+        assert.equal(config.historyFile, null);
+        assert.equal(config.openaiReplay, true);
+        assert.deepEqual(config.allowedOrigins, ['http://a', 'http://b']);
+        assert.equal(config.allowEvaluate, false);
+        assert.equal(config.replyTimeout, 5000);
+        assert.equal(config.settleTime, 0);
+    });
+
+    it('无效值汇总后一次报错', () => {
+        const file = path.join(dir, 'bad.json');
+        fs.writeFileSync(file, JSON.stringify({ cdpPort: 70000, unknownKey: 1, allowedOrigins: [1], token: 5 }));
+        assert.throws(() => loadConfig({
+            file,
+            env: { AGL_REPLY_TIMEOUT: '-1', AGL_AUTH: 'maybe' },
+            cli: flags('--poll-interval=10', '--transcript-format=pdf', '--server-port=abc'),
+        }), (err) => {
+            const lines = err.message.split('\n').slice(1);
+            assert.equal(lines.length, 9, err.message);
+            for (const expected of [
+                /cdpPort: 必须在 1-65535 之间/,
+                /未知配置项 unknownKey/,
+                /allowedOrigins: 必须是字符串数组/,
+                /token: 必须是字符串/,
+                /AGL_REPLY_TIMEOUT: 必须是整数，实际为 "-1"/,
+                /AGL_AUTH: 必须是 true 或 false/,
+                /--poll-interval: 不能小于 50/,
+                /--transcript-format: 无效值 "pdf"/,
+                /--server-port: 必须是整数/,
+            ]) {
+                assert.ok(lines.some((line) => expected.test(line)), `${expected}\n${err.message}`);
+            }
+            return true;
+        });
+    });
+
+    it('配置文件无法读取或不是对象时报错', () => {
+        const broken = path.join(dir, 'broken.json');
+        fs.writeFileSync(broken, '{ nope');
+        assert.throws(() => loadConfig({ file: broken, env: {} }), /无法读取配置文件/);
+        fs.writeFileSync(broken, '[]');
+        assert.throws(() => loadConfig({ file: broken, env: {} }), /必须是 JSON 对象/);
+        assert.throws(() => loadConfig({ file: path.join(dir, 'missing.json'), env: {} }), /无法读取配置文件/);
+        assert.throws(() => loadConfig({ cwd: dir, env: { AGL_CONFIG: 'missing.json' } }), /无法读取配置文件/);
+    });
+
+    it('环境变量名、未知参数与隐去令牌', () => {
+        assert.equal(envName('cdpPort'), 'AGL_CDP_PORT');
+        assert.equal(envName('auth'), 'AGL_AUTH');
+        assert.equal(envName('allowedOrigins'), 'AGL_CORS_ORIGIN');
+        for (const key of Object.keys(OPTIONS)) assert.match(envName(key), /^AGL_[A-Z_]+$/, key);
+
+        assert.equal(applyFlag({}, '--batch=prompts.jsonl'), false);
+        assert.equal(applyFlag({}, '--no-auth=1'), false);
+
+        const loaded = loadConfig({ cwd: empty, env: { AGL_TOKEN: 'secret' } });
+        assert.equal(loaded.file, null);
+        assert.equal(describeConfig(loaded).config.token, '***');
+        assert.equal(loaded.config.token, 'secret');
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../src/history-store');
+const { ErrorCodes } = require('../src/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function readLines(file) {
+    return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+}
+
+describe('HistoryStore', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agl-history-'));
+        file = path.join(dir, 'nested', 'history.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('并发追加按调用顺序逐行写入', async () => {
+        const store = new HistoryStore(file);
+        store.start();
+        const written = await Promise.all(Array.from({ length: 50 }, (_, i) => store.append({ type: 'send', prompt: `p${i}` })));
+
+        const lines = readLines(file).map((line) => JSON.parse(line));
+        assert.equal(lines.length, 50);
+        assert.deepEqual(lines.map((e) => e.prompt), written.map((e) => e.prompt));
+        assert.deepEqual(lines.map((e) => e.id), written.map((e) => e.id));
+        assert.ok(lines.every((e) => e.id && !Number.isNaN(Date.parse(e.ts))));
+    });
+
+    it('清理过期记录时不丢失同时追加的记录', async () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const old = (i) => JSON.stringify({ id: `old-${i}`, ts: new Date(Date.now() - 10 * DAY).toISOString(), type: 'send' });
+        const recent = JSON.stringify({ id: 'recent', ts: new Date(Date.now() - DAY).toISOString(), type: 'send' });
+        fs.writeFileSync(file, `${old(1)}\n${recent}\n${old(2)}\n`);
+
+        const store = new HistoryStore(file, { retentionDays: 7 });
+        const [removed, ...appended] = await Promise.all([
+            store.prune(),
+            store.append({ type: 'send', prompt: 'a' }),
+            store.append({ type: 'evaluate', expression: 'b' }),
+        ]);
+
+        assert.equal(removed, 2);
+        assert.deepEqual(readLines(file).map((line) => JSON.parse(line).id), ['recent', ...appended.map((e) => e.id)]);
+        assert.equal(fs.existsSync(`${file}.tmp`), false);
+        assert.equal(await new HistoryStore(file).prune(), 0, '未设置保留期限时不清理');
+    });
+
+    it('按条件查询并倒序分页，跳过损坏的行', async () => {
+        const store = new HistoryStore(file);
+        store.start();
+        await store.append({ type: 'send', target: 'a', prompt: 'Hello world', reply: 'hi' });
+        await store.append({ type: 'evaluate', target: 'b', expression: 'document.title' });
+        fs.appendFileSync(file, '{"id":"broken",\n');
+        await store.append({ type: 'send', target: 'a', prompt: 'second', error: 'WORLD ended' });
+
+        const all = await store.query();
+        assert.equal(all.total, 3);
+        assert.deepEqual(all.items.map((e) => e.prompt || e.expression), ['second', 'document.title', 'Hello world']);
+
+        const searched = await store.query({ q: 'world', type: 'send' });
+        assert.deepEqual(searched.items.map((e) => e.prompt), ['second', 'Hello world']);
+
+        const page = await store.query({ target: 'a', limit: 1, offset: 1 });
+        assert.deepEqual([page.total, page.limit, page.offset, page.items[0].prompt], [2, 1, 1, 'Hello world']);
+
+        assert.equal((await store.query({ from: Date.now() + DAY })).total, 0);
+        assert.equal((await store.query({ to: '2000-01-01' })).total, 0);
+        await assert.rejects(store.query({ from: 'yesterday' }), (err) => err.code === ErrorCodes.INVALID_PARAMS);
+    });
+});
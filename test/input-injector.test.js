@@ -0,0 +1,253 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAntigravity } = require('./mock-antigravity');
+const { CDPController } = require('../src/cdp-controller');
+const { injectBridge } = require('../src/bridge-injector');
+const { InputInjector } = require('../src/input-injector');
+
+/** 发送并等待回复（与 LinkServer._send 相同的步骤） */
+async function sendAndWait(injector, text, options = {}) {
+    const before = await injector.snapshotReply();
+    const sent = await injector.sendText(text, 50, { model: options.model, mode: options.mode });
+    assert.equal(sent.success, true, sent.error);
+    return injector.waitForReply(options.timeout || 5000, 50, { before, settleTime: 200, ...options });
+}
+
+describe('InputInjector', () => {
+    let mock;
+    let page;
+    let cdp;
+    let injector;
+
+    beforeEach(async () => {
+        mock = new MockAntigravity();
+        await mock.start();
+        page = mock.pages[0];
+        cdp = new CDPController(mock.port);
+        await cdp.autoConnect();
+        await injectBridge(cdp);
+        injector = new InputInjector(cdp, { timing: { clickRetries: 2 } });
+    });
+
+    afterEach(async () => {
+        cdp.disconnect();
+        await mock.stop();
+    });
+
+    it('发送文本并等到回复', async () => {
+        const result = await sendAndWait(injector, 'hello');
+        assert.equal(result.status, 'completed');
+        assert.equal(result.reply, 'Echo: hello');
+        assert.ok(['idle-stable', 'fast-reply'].includes(result.completion.signal), result.completion.signal);
+        assert.deepEqual(page.prompts, ['hello']);
+        assert.equal(page.document.querySelector('[data-lexical-editor]').textContent, '');
+    });
+
+    it('setText 替换输入框中已有的文本', async () => {
+        assert.equal((await injector.setText('first')).success, true);
+        assert.equal((await injector.setText('second')).success, true);
+        assert.equal(page.document.querySelector('[data-lexical-editor]').textContent, 'second');
+    });
+
+    it('连续两轮取到各自的回复', async () => {
+        page.agent = { reply: (prompt) => `#${page.prompts.length} ${prompt}` };
+        assert.equal((await sendAndWait(injector, 'a')).reply, '#1 a');
+        assert.equal((await sendAndWait(injector, 'b')).reply, '#2 b');
+        const messages = await injector.getMessages();
+        assert.deepEqual(messages.map((m) => `${m.role}: ${m.text}`), ['user: a', 'assistant: #1 a', 'user: b', 'assistant: #2 b']);
+    });
+
+    it('流式回复按增量推送 onProgress', async () => {
+        page.agent = { reply: 'The quick brown fox jumps over the lazy dog', chunks: 5, chunkInterval: 80 };
+        const deltas = [];
+        const result = await sendAndWait(injector, 'stream', { onProgress: (p) => deltas.push(p) });
+
+        assert.equal(result.reply, 'The quick brown fox jumps over the lazy dog');
+        assert.ok(deltas.length > 1, `只收到 ${deltas.length} 次进度`);
+        assert.equal(deltas.map((p) => p.delta).join(''), result.reply);
+        assert.equal(result.completion.signal, 'idle-stable');
+    });
+
+    it('IDE 显示错误时返回 status error', async () => {
+        page.agent = { error: 'Error: model overloaded, please try again later' };
+        const result = await sendAndWait(injector, 'boom');
+        assert.equal(result.success, false);
+        assert.equal(result.status, 'error');
+        assert.match(result.error, /try again/);
+        assert.deepEqual(await injector.checkError(), { hasError: true, errorText: result.error });
+    });
+
+    it('超时返回 status timeout', async () => {
+        page.agent = { reply: 'slow', delay: 5000 };
+        const result = await sendAndWait(injector, 'wait', { timeout: 600 });
+        assert.equal(result.status, 'timeout');
+        assert.equal(result.completion.signal, 'timeout');
+        assert.equal(result.completion.startedBy, 'stop-button');
+        assert.equal(typeof result.elapsed, 'number');
+    });
+
+    it('未观察到任何活动时返回 no_activity，不返回上一轮的回复', async () => {
+        assert.equal((await sendAndWait(injector, 'first')).reply, 'Echo: first');
+
+        // 提示词没有送达：界面上只有上一轮的回复
+        const quiet = new InputInjector(cdp, { completion: { startTimeout: 300 } });
+        const result = await quiet.waitForReply(3000, 50, { settleTime: 200 });
+        assert.equal(result.success, false);
+        assert.equal(result.status, 'no_activity');
+        assert.equal(result.reply, '');
+        assert.equal(result.completion.signal, 'no-activity');
+        assert.equal(typeof result.elapsed, 'number');
+    });
+
+    it('最后一条回复没有文本时以 completed 结束，不等到超时', async () => {
+        page.agent = { reply: '' };
+        const startedAt = Date.now();
+        const result = await sendAndWait(injector, 'tool only', { timeout: 4000 });
+        assert.equal(result.success, true);
+        assert.equal(result.status, 'completed');
+        assert.equal(result.reply, '');
+        assert.equal(result.completion.signal, 'idle-stable');
+        assert.ok(Date.now() - startedAt < 3000, '应在超时前返回');
+    });
+
+    it('stop() 点击停止按钮并结束进行中的等待', async () => {
+        page.agent = { reply: 'never', delay: 5000 };
+        const waiting = sendAndWait(injector, 'stop me');
+        await new Promise((r) => setTimeout(r, 300));
+
+        const stopped = await injector.stop();
+        assert.equal(stopped.success, true);
+        assert.equal(stopped.clicked, true);
+        const result = await waiting;
+        assert.equal(result.cancelled, true);
+        assert.equal(page.busy, false);
+    });
+
+    it('外部 signal 中止等待', async () => {
+        page.agent = { reply: 'never', delay: 5000 };
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 300);
+        const result = await sendAndWait(injector, 'abort', { signal: controller.signal });
+        assert.equal(result.success, false);
+        assert.equal(result.cancelled, true);
+    });
+
+    it('订阅进度失败时不残留等待与 signal 监听', async () => {
+        injector._watchReply = async () => {
+            throw new Error('Runtime.addBinding failed');
+        };
+        let listeners = 0;
+        const signal = {
+            aborted: false,
+            addEventListener: () => listeners++,
+            removeEventListener: () => listeners--,
+        };
+        await assert.rejects(injector.waitForReply(1000, 50, { onProgress: () => {}, signal }), /addBinding/);
+        assert.equal(injector._waits.size, 0);
+        assert.equal(listeners, 0);
+    });
+
+    it('忙碌时 sendText 先等待空闲', async () => {
+        page.agent = { reply: 'first', delay: 1200, stopButton: false };
+        await injector.sendText('one', 50);
+        page.agent = { reply: 'second', delay: 50 };
+        const result = await sendAndWait(injector, 'two');
+        assert.equal(result.reply, 'second');
+        assert.deepEqual(page.prompts, ['one', 'two']);
+    });
+
+    it('idleTimeout 内未空闲时 sendText 不输入也不发送', async () => {
+        page.agent = { reply: 'first', delay: 5000, stopButton: false };
+        await injector.sendText('one', 50);
+
+        const impatient = new InputInjector(cdp, { timing: { idleTimeout: 300, clickRetries: 2 } });
+        const result = await impatient.sendText('two', 50);
+        assert.equal(result.success, false);
+        assert.equal(result.status, 'busy');
+        assert.deepEqual(page.prompts, ['one']);
+        assert.equal(page.document.querySelector('[data-lexical-editor]').textContent, '');
+    });
+
+    it('列出并切换模型与模式', async () => {
+        const models = await injector.listOptions('model');
+        assert.equal(models.success, true);
+        assert.equal(models.current, 'Gemini 3 Pro (High)');
+        assert.deepEqual(models.options.map((o) => [o.label, o.selected]), [
+            ['Gemini 3 Pro (High)', true], ['Gemini 3 Pro (Low)', false], ['Gemini 3 Flash', false],
+        ]);
+        assert.equal(page.document.querySelector('[role="listbox"]'), null, '读取后关闭下拉菜单');
+
+        const switched = await injector.selectOption('model', 'flash');
+        assert.equal(switched.success, true);
+        assert.equal(switched.changed, true);
+        assert.equal(switched.previous, 'Gemini 3 Pro (High)');
+        assert.equal(switched.current, 'Gemini 3 Flash');
+        assert.equal(page.selection.model, 'Gemini 3 Flash');
+
+        const same = await injector.selectOption('mode', 'planning');
+        assert.deepEqual(same, { success: true, changed: false, previous: 'Planning', current: 'Planning' });
+
+        const missing = await injector.selectOption('mode', 'turbo');
+        assert.equal(missing.success, false);
+        assert.match(missing.error, /turbo/);
+        assert.deepEqual(missing.options.map((o) => o.label), ['Planning', 'Fast']);
+        assert.equal(page.document.querySelector('[role="listbox"]'), null);
+
+        await assert.rejects(injector.listOptions('voice'), /无效的类型/);
+    });
+
+    it('对话 id 不随列表顺序变化，列表项消失后切换返回未找到', async () => {
+        const doc = page.document;
+        const menu = doc.createElement('div');
+        menu.setAttribute('role', 'menu');
+        doc.body.appendChild(menu);
+        const clicked = [];
+        const addItem = (title, time, first) => {
+            const item = doc.createElement('div');
+            item.setAttribute('role', 'menuitem');
+            item.innerHTML = `<span>${title}</span>\n<span>${time}</span>`;
+            item.addEventListener('click', () => clicked.push(title));
+            menu.insertBefore(item, first ? menu.firstChild : null);
+            return item;
+        };
+        addItem('重构登录模块', '2h');
+        const old = addItem('修复测试', '1d');
+
+        const before = (await injector.listConversations()).conversations;
+        assert.deepEqual(before.map((c) => c.title), ['重构登录模块', '修复测试']);
+        assert.match(before[0].id, /^conv-[0-9a-f]{8}$/);
+        assert.notEqual(before[0].id, before[1].id);
+
+        // 新对话插到最前，其余对话的 id 不变
+        addItem('新对话', 'now', true);
+        const after = (await injector.listConversations()).conversations;
+        assert.deepEqual(after.slice(1).map((c) => c.id), before.map((c) => c.id));
+
+        const selected = await injector.selectConversation(before[1].id);
+        assert.equal(selected.success, true);
+        assert.deepEqual(clicked, ['修复测试']);
+
+        old.remove();
+        const missing = await injector.selectConversation(before[1].id);
+        assert.equal(missing.success, false);
+        assert.match(missing.error, /未找到对话/);
+        assert.deepEqual(clicked, ['修复测试']);
+    });
+
+    it('sendText 发送前切换模型与模式，切换失败时不发送', async () => {
+        const result = await sendAndWait(injector, 'fast one', { model: 'Low', mode: 'Fast' });
+        assert.equal(result.reply, 'Echo: fast one');
+        assert.deepEqual(page.selection, { model: 'Gemini 3 Pro (Low)', mode: 'Fast' });
+
+        const failed = await injector.sendText('never', 50, { model: 'unknown model' });
+        assert.equal(failed.success, false);
+        assert.match(failed.error, /unknown model/);
+        assert.deepEqual(page.prompts, ['fast one']);
+    });
+
+    it('页面刷新后自动重新注入', async () => {
+        page.reload();
+        const result = await sendAndWait(injector, 'after reload');
+        assert.equal(result.reply, 'Echo: after reload');
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { MockAntigravity } = require('./mock-antigravity');
+const { TargetManager } = require('../src/target-manager');
+const { LinkServer } = require('../src/link-server');
+const { ErrorCodes, LinkError } = require('../src/errors');
+const rpc = require('../src/json-rpc');
+
+const TOKEN = 'test-token';
+
+describe('json-rpc', () => {
+    it('checkRequest 校验请求结构', () => {
+        assert.equal(rpc.checkRequest({ jsonrpc: '2.0', id: 1, method: 'status' }), null);
+        assert.equal(rpc.checkRequest({ jsonrpc: '2.0', id: null, method: 'status', params: {} }), null);
+        assert.equal(rpc.checkRequest({ jsonrpc: '2.0', method: 'status' }), null);
+
+        assert.match(rpc.checkRequest(null), /对象/);
+        assert.match(rpc.checkRequest([]), /对象/);
+        assert.match(rpc.checkRequest({ jsonrpc: '1.0', id: 1, method: 'status' }), /jsonrpc/);
+        assert.match(rpc.checkRequest({ jsonrpc: '2.0', id: 1 }), /method/);
+        assert.match(rpc.checkRequest({ jsonrpc: '2.0', id: {}, method: 'status' }), /id/);
+        assert.match(rpc.checkRequest({ jsonrpc: '2.0', id: 1, method: 'send', params: ['hi'] }), /按名称传参/);
+        assert.match(rpc.checkRequest({ jsonrpc: '2.0', id: 1, method: 'send', params: 'hi' }), /params/);
+    });
+
+    it('checkParams 按参数模式校验', () => {
+        const schema = {
+            properties: {
+                text: { type: 'string' },
+                limit: { type: 'integer' },
+                format: { enum: ['md', 'json'] },
+                events: { type: 'array', items: { type: 'string' } },
+                options: { type: ['object', 'string'] },
+            },
+            required: ['text'],
+        };
+        assert.equal(rpc.checkParams({ text: 'hi', limit: 3, format: 'md', events: ['a'], options: {} }, schema), null);
+        assert.equal(rpc.checkParams({ text: 'hi', limit: null, options: 'x' }, schema), null);
+
+        assert.equal(rpc.checkParams({}, schema), '缺少参数 text');
+        assert.equal(rpc.checkParams({ text: null }, schema), '缺少参数 text');
+        assert.equal(rpc.checkParams({ text: 1 }, schema), '参数 text 应为 string');
+        assert.equal(rpc.checkParams({ text: 'hi', limit: 1.5 }, schema), '参数 limit 应为 integer');
+        assert.match(rpc.checkParams({ text: 'hi', format: 'html' }, schema), /format 无效/);
+        assert.equal(rpc.checkParams({ text: 'hi', events: ['a', 1] }, schema), '参数 events 的元素应为 string');
+        assert.equal(rpc.checkParams({ text: 'hi', options: [] }, schema), '参数 options 应为 object 或 string');
+    });
+
+    it('fromResult 把失败结果按 status 转为错误码', () => {
+        assert.deepEqual(rpc.fromResult(1, { success: true, reply: 'hi' }, 'job-1'), {
+            jsonrpc: '2.0', id: 1, result: { success: true, reply: 'hi', jobId: 'job-1' },
+        });
+        assert.deepEqual(rpc.fromResult(2, undefined), { jsonrpc: '2.0', id: 2, result: null });
+        assert.deepEqual(rpc.fromResult(3, [1, 2], 'job-3'), { jsonrpc: '2.0', id: 3, result: [1, 2] });
+
+        const codes = {
+            timeout: ErrorCodes.TIMEOUT,
+            no_activity: ErrorCodes.TIMEOUT,
+            cancelled: ErrorCodes.CANCELLED,
+            error: ErrorCodes.AGENT_ERROR,
+            awaiting_approval: ErrorCodes.APPROVAL_REQUIRED,
+            busy: ErrorCodes.BUSY,
+        };
+        for (const [status, code] of Object.entries(codes)) {
+            const response = rpc.fromResult(4, { success: false, status, error: status });
+            assert.equal(response.error.code, code, status);
+            assert.equal(response.error.data.status, status);
+        }
+        assert.equal(rpc.fromResult(5, { success: false, cancelled: true }).error.code, ErrorCodes.CANCELLED);
+        const failed = rpc.fromResult(6, { success: false }, 'job-6');
+        assert.deepEqual(failed.error, { code: ErrorCodes.OPERATION_FAILED, message: '操作失败', data: { success: false, jobId: 'job-6' } });
+    });
+
+    it('fromException 保留 LinkError 的错误码，其余为内部错误', () => {
+        const linked = rpc.fromException(1, new LinkError(ErrorCodes.TARGET_NOT_FOUND, '没有活动的目标窗口', { x: 1 }), 'job-1');
+        assert.deepEqual(linked.error, { code: ErrorCodes.TARGET_NOT_FOUND, message: '没有活动的目标窗口', data: { x: 1, jobId: 'job-1' } });
+
+        assert.equal(rpc.fromException(2, new Error('boom')).error.code, ErrorCodes.INTERNAL_ERROR);
+        const cancelled = Object.assign(new Error('任务已取消'), { cancelled: true });
+        assert.equal(rpc.fromException(3, cancelled).error.code, ErrorCodes.CANCELLED);
+        assert.equal(rpc.error(undefined, ErrorCodes.PARSE_ERROR, 'x').id, null);
+    });
+});
+
+describe('JSON-RPC over WebSocket', () => {
+    let mock;
+    let targets;
+    let server;
+    let ws;
+    const responses = [];
+
+    /** 发送原始文本，等到下一条响应（跳过通知） */
+    async function call(raw) {
+        const count = responses.length;
+        ws.send(typeof raw === 'string' ? raw : JSON.stringify(raw));
+        const deadline = Date.now() + 5000;
+        while (responses.length === count) {
+            if (Date.now() > deadline) throw new Error('等待 JSON-RPC 响应超时');
+            await new Promise((r) => setTimeout(r, 20));
+        }
+        return responses[count];
+    }
+
+    before(async () => {
+        mock = new MockAntigravity();
+        await mock.start();
+        targets = new TargetManager(mock.port);
+        await targets.connectInitial();
+        server = new LinkServer(targets, 0, { token: TOKEN });
+        await server.start();
+        const { port } = server.httpServer.address();
+        ws = new WebSocket(`ws://127.0.0.1:${port}/ws`, rpc.SUBPROTOCOL, { headers: { Authorization: `Bearer ${TOKEN}` } });
+        ws.on('message', (raw) => {
+            const msg = JSON.parse(raw.toString());
+            if (Array.isArray(msg) || 'id' in msg) responses.push(msg);
+        });
+        await new Promise((resolve, reject) => {
+            ws.once('open', resolve);
+            ws.once('error', reject);
+        });
+    });
+
+    after(async () => {
+        ws.close();
+        server.stop();
+        targets.close();
+        await mock.stop();
+    });
+
+    it('无效 JSON、空批量与未知方法', async () => {
+        assert.deepEqual((await call('{oops')).error, { code: ErrorCodes.PARSE_ERROR, message: '无效的 JSON' });
+        const empty = await call([]);
+        assert.equal(empty.id, null);
+        assert.equal(empty.error.code, ErrorCodes.INVALID_REQUEST);
+
+        const unknown = await call({ jsonrpc: '2.0', id: 'u', method: 'toString' });
+        assert.equal(unknown.id, 'u');
+        assert.equal(unknown.error.code, ErrorCodes.METHOD_NOT_FOUND);
+    });
+
+    it('批量请求按顺序返回响应，通知不响应', async () => {
+        const batch = await call([
+            { jsonrpc: '2.0', id: 1, method: 'status' },
+            { jsonrpc: '2.0', method: 'status' },
+            1,
+            { jsonrpc: '2.0', id: 2, method: 'selectModel', params: { model: 5 } },
+            { jsonrpc: '2.0', id: 3, method: 'nope' },
+            { jsonrpc: '2.0', method: 'nope' },
+            { jsonrpc: '2.0', id: 4, method: 'status', params: [] },
+        ]);
+        assert.ok(Array.isArray(batch));
+        assert.deepEqual(batch.map((r) => [r.id, r.error?.code ?? 'ok']), [
+            [1, 'ok'],
+            [null, ErrorCodes.INVALID_REQUEST],
+            [2, ErrorCodes.INVALID_PARAMS],
+            [3, ErrorCodes.METHOD_NOT_FOUND],
+            [4, ErrorCodes.INVALID_REQUEST],
+        ]);
+        assert.equal(batch[0].result.cdpConnected, true);
+
+        // 全部为通知的批量请求没有响应
+        ws.send(JSON.stringify([{ jsonrpc: '2.0', method: 'status' }]));
+        const next = await call({ jsonrpc: '2.0', id: 'after', method: 'status' });
+        assert.equal(next.id, 'after');
+    });
+});
@@ -0,0 +1,420 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { MockAntigravity, PIXEL_PNG } = require('./mock-antigravity');
+const { TargetManager } = require('../src/target-manager');
+const { LinkServer } = require('../src/link-server');
+const { LinkClient } = require('../src/link-client');
+const { ErrorCodes } = require('../src/errors');
+
+const TOKEN = 'test-token';
+
+/**
+ * 请求 LinkServer（不复用连接，测试结束时不留下空闲 socket）
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(port, method, path, body, token = TOKEN) {
+    return new Promise((resolve, reject) => {
+        const data = body === undefined ? null : JSON.stringify(body);
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const req = http.request({ host: '127.0.0.1', port, method, path, headers, agent: false }, (res) => {
+            let raw = '';
+            res.on('data', (chunk) => (raw += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: raw ? JSON.parse(raw) : null }));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+/** GET 原始响应（图片、HTML） */
+function download(port, path) {
+    return new Promise((resolve, reject) => {
+        const headers = { Authorization: `Bearer ${TOKEN}` };
+        const req = http.request({ host: '127.0.0.1', port, method: 'GET', path, headers, agent: false }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/** 连接 /ws 并等到 open，messages 收集全部推送 */
+async function connectWs(port) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+    ws.messages = [];
+    ws.on('message', (raw) => ws.messages.push(JSON.parse(raw.toString())));
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    return ws;
+}
+
+/** 等到收到满足条件的消息 */
+async function waitForMessage(ws, predicate, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const msg = ws.messages.find(predicate);
+        if (msg) return msg;
+        await new Promise((r) => setTimeout(r, 20));
+    }
+    throw new Error('等待 WS 消息超时');
+}
+
+/** 轮询等到条件成立 */
+async function waitForCondition(predicate, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('等待条件成立超时');
+        await new Promise((r) => setTimeout(r, 20));
+    }
+}
+
+/** 等待 TargetManager 发出指定的状态事件 */
+function waitForEvent(targets, name, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            targets.off('event', onEvent);
+            reject(new Error(`等待 ${name} 超时`));
+        }, timeout);
+        const onEvent = ({ event, data }) => {
+            if (event !== name) return;
+            clearTimeout(timer);
+            targets.off('event', onEvent);
+            resolve(data);
+        };
+        targets.on('event', onEvent);
+    });
+}
+
+describe('LinkServer', () => {
+    let mock;
+    let page;
+    let targets;
+    let server;
+    let port;
+
+    before(async () => {
+        mock = new MockAntigravity();
+        await mock.start();
+        page = mock.pages[0];
+        targets = new TargetManager(mock.port, {
+            completion: { settleTime: 200 },
+            timing: { pollInterval: 50, clickRetries: 2 },
+        });
+        await targets.connectInitial();
+        server = new LinkServer(targets, 0, { token: TOKEN });
+        await server.start();
+        port = server.httpServer.address().port;
+    });
+
+    after(async () => {
+        server.stop();
+        targets.close();
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        page.agent = {};
+    });
+
+    it('缺少令牌时返回 401', async () => {
+        const res = await request(port, 'GET', '/api/status', undefined, null);
+        assert.equal(res.status, 401);
+        assert.equal(res.body.success, false);
+    });
+
+    it('/healthz 与 /readyz 不需要令牌', async () => {
+        const health = await request(port, 'GET', '/healthz', undefined, null);
+        assert.equal(health.status, 200);
+        assert.equal(health.body.data.status, 'ok');
+
+        const ready = await request(port, 'GET', '/readyz', undefined, null);
+        assert.equal(ready.status, 200);
+        assert.deepEqual(ready.body.data, { ready: true, target: page.id, cdpConnected: true, bridge: true });
+
+        const missing = await request(port, 'GET', '/readyz?target=no-such-window', undefined, null);
+        assert.equal(missing.status, 503);
+        assert.equal(missing.body.data.ready, false);
+
+        // 不按正则或标题匹配，错误中不回显查询
+        for (const target of ['.*', page.title, '(a+)+$']) {
+            const probe = await request(port, 'GET', `/readyz?target=${encodeURIComponent(target)}`, undefined, null);
+            assert.equal(probe.status, 503, target);
+            assert.equal(probe.body.data.target, null);
+            assert.ok(!probe.body.error.includes(target), probe.body.error);
+        }
+        const exact = await request(port, 'GET', `/readyz?target=${encodeURIComponent(page.id)}`, undefined, null);
+        assert.equal(exact.status, 200);
+
+        const metrics = await request(port, 'GET', '/metrics', undefined, null);
+        assert.equal(metrics.status, 401);
+    });
+
+    it('/api/status 报告已连接的窗口', async () => {
+        const res = await request(port, 'GET', '/api/status');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.cdpConnected, true);
+        assert.equal(res.body.data.target, page.id);
+    });
+
+    it('/api/send 发送并返回回复', async () => {
+        const res = await request(port, 'POST', '/api/send', { text: 'ping' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.reply, 'Echo: ping');
+        assert.ok(res.body.jobId);
+        assert.equal(page.prompts.at(-1), 'ping');
+
+        const last = await request(port, 'GET', '/api/lastReply');
+        assert.equal(last.body.data.reply, 'Echo: ping');
+    });
+
+    it('/api/send 缺少 text 时返回 400', async () => {
+        const res = await request(port, 'POST', '/api/send', {});
+        assert.equal(res.status, 400);
+    });
+
+    it('IDE 显示错误时 /api/send 返回 status error', async () => {
+        page.agent = { error: 'Error: rate limited, try again later' };
+        const res = await request(port, 'POST', '/api/send', { text: 'fail' });
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.status, 'error');
+        assert.match(res.body.error, /rate limited/);
+    });
+
+    it('/api/model 与 /api/mode 读取并切换，send 可指定模型与模式', async () => {
+        const models = await request(port, 'GET', '/api/model');
+        assert.equal(models.body.success, true);
+        assert.equal(models.body.data.current, page.selection.model);
+        assert.equal(models.body.data.options.length, page.options.model.length);
+
+        const mode = await request(port, 'POST', '/api/mode', { mode: 'Fast' });
+        assert.equal(mode.body.success, true);
+        assert.ok(mode.body.jobId);
+        assert.equal((await request(port, 'GET', '/api/mode')).body.data.current, 'Fast');
+        assert.equal((await request(port, 'POST', '/api/mode', {})).status, 400);
+        assert.equal((await request(port, 'POST', '/api/model', { model: 'nope' })).body.success, false);
+
+        const sent = await request(port, 'POST', '/api/send', { text: 'with model', model: 'Gemini 3 Flash', mode: 'Planning' });
+        assert.equal(sent.body.reply, 'Echo: with model');
+        assert.deepEqual(page.selection, { model: 'Gemini 3 Flash', mode: 'Planning' });
+        assert.equal((await request(port, 'POST', '/api/send', { text: 'x', model: 1 })).status, 400);
+    });
+
+    it('/api/evaluate 在页面中执行表达式', async () => {
+        const res = await request(port, 'POST', '/api/evaluate', { expression: 'document.title' });
+        assert.equal(res.body.data.result.value, page.title);
+    });
+
+    it('/api/scripts 列出并执行脚本', async () => {
+        const list = await request(port, 'GET', '/api/scripts');
+        assert.ok(list.body.data.some((s) => s.name === 'query-text'));
+
+        const res = await request(port, 'POST', '/api/scripts/query-text', { args: { selector: '#conversation' } });
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.data.total, 1);
+
+        assert.equal((await request(port, 'POST', '/api/scripts/query-text', { args: {} })).status, 400);
+        assert.equal((await request(port, 'POST', '/api/scripts/missing', {})).status, 404);
+    });
+
+    it('禁用 evaluate 后返回 403，脚本仍可调用', async () => {
+        server.allowEvaluate = false;
+        try {
+            const res = await request(port, 'POST', '/api/evaluate', { expression: 'document.title' });
+            assert.equal(res.status, 403);
+            assert.match(res.body.error, /--no-evaluate/);
+            const script = await request(port, 'POST', '/api/scripts/page-info', {});
+            assert.equal(script.body.data.title, page.title);
+        } finally {
+            server.allowEvaluate = true;
+        }
+    });
+
+    it('/api/batch 的 file / output 限于批量目录', async () => {
+        const outside = await request(port, 'POST', '/api/batch', { file: '/etc/passwd' });
+        assert.equal(outside.status, 403);
+        assert.doesNotMatch(outside.body.error, /passwd/);
+
+        server.batchDir = __dirname;
+        try {
+            const escaped = await request(port, 'POST', '/api/batch', { items: ['a'], output: '../results.jsonl' });
+            assert.equal(escaped.status, 400);
+            assert.match(escaped.body.error, /output 必须位于批量目录内/);
+            assert.equal((await request(port, 'POST', '/api/batch', { file: '/etc/passwd' })).status, 400);
+        } finally {
+            server.batchDir = null;
+        }
+    });
+
+    it('/api/screenshot 返回图片，可裁剪到 agent 面板', async () => {
+        const full = await download(port, '/api/screenshot');
+        assert.equal(full.status, 200);
+        assert.equal(full.type, 'image/png');
+        assert.deepEqual(full.body, Buffer.from(PIXEL_PNG, 'base64'));
+
+        const panel = await download(port, '/api/screenshot?clip=panel&format=jpeg&quality=70');
+        assert.equal(panel.type, 'image/jpeg');
+        assert.deepEqual(page.screenshots.at(-1), { format: 'jpeg', quality: 70, clip: { x: 0, y: 0, width: 100, height: 20, scale: 1 } });
+
+        assert.equal((await download(port, '/api/screenshot?format=gif')).status, 400);
+        assert.equal((await download(port, '/api/screenshot?clip=%23missing')).status, 404);
+    });
+
+    it('/api/snapshot 返回清理后的对话区 HTML', async () => {
+        page.document.getElementById('conversation').innerHTML = '<div onmouseover="x()">hello<script>x()</script></div>';
+        const res = await request(port, 'GET', '/api/snapshot');
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.data.html, '<div id="conversation"><div>hello</div></div>');
+
+        const html = await download(port, '/api/snapshot?format=html');
+        assert.equal(html.type, 'text/html; charset=utf-8');
+        assert.equal(html.headers['content-security-policy'], "sandbox; default-src 'none'");
+        assert.equal(html.headers['x-content-type-options'], 'nosniff');
+        assert.equal(html.body.toString(), '<div id="conversation"><div>hello</div></div>');
+        assert.equal((await request(port, 'GET', '/api/snapshot?maxLength=-1')).status, 400);
+    });
+
+    it('WebSocket screencast 推送画面帧，退出订阅后停止', async () => {
+        const ws = await connectWs(port);
+        try {
+            ws.send(JSON.stringify({ action: 'screencast', id: 1, format: 'png' }));
+            const started = await waitForMessage(ws, (m) => m.id === 1);
+            assert.equal(started.success, true, started.error);
+            assert.equal(started.data.format, 'png');
+
+            const frame = await waitForMessage(ws, (m) => m.type === 'screencast.frame');
+            assert.equal(frame.target, page.id);
+            assert.equal(frame.data, PIXEL_PNG);
+
+            ws.send(JSON.stringify({ action: 'screencastStop', id: 2 }));
+            const stopped = await waitForMessage(ws, (m) => m.id === 2);
+            assert.equal(stopped.data.stopped, true);
+            assert.equal(page.screencast, null);
+        } finally {
+            ws.close();
+        }
+    });
+
+    it('WebSocket 连接关闭时退出画面订阅', async () => {
+        const ws = await connectWs(port);
+        ws.send(JSON.stringify({ action: 'screencast', id: 1 }));
+        await waitForMessage(ws, (m) => m.type === 'screencast.frame');
+        ws.close();
+        const deadline = Date.now() + 5000;
+        while (page.screencast && Date.now() < deadline) await new Promise((r) => setTimeout(r, 20));
+        assert.equal(page.screencast, null);
+    });
+
+    it('WebSocket send 推送 delta 并以 done 结束', async () => {
+        page.agent = { reply: 'streamed over websocket', delay: 800, chunks: 4, chunkInterval: 150 };
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+        const messages = [];
+        const done = new Promise((resolve, reject) => {
+            ws.on('message', (raw) => {
+                const msg = JSON.parse(raw.toString());
+                messages.push(msg);
+                if (msg.type === 'done') resolve(msg);
+            });
+            ws.on('error', reject);
+        });
+        await new Promise((resolve) => ws.once('open', resolve));
+        ws.send(JSON.stringify({ action: 'send', text: 'ws', stream: true }));
+
+        const msg = await done;
+        ws.close();
+        assert.equal(msg.success, true, JSON.stringify(msg));
+        assert.equal(msg.reply, 'streamed over websocket');
+        assert.ok(messages.some((m) => m.type === 'delta'));
+    });
+
+    it('LinkClient 与服务端断开时以 CONNECTION_CLOSED 失败', async () => {
+        const client = new LinkClient(`ws://127.0.0.1:${port}/ws`, { token: TOKEN });
+        await client.connect();
+        assert.equal((await client.call('status')).cdpConnected, true);
+
+        const pending = client.call('status');
+        client.ws.terminate();
+        await assert.rejects(pending, (err) => err.code === ErrorCodes.CONNECTION_CLOSED);
+        await assert.rejects(client.call('status'), (err) => err.code === ErrorCodes.CONNECTION_CLOSED);
+    });
+
+    it('/v1/chat/completions 客户端中途断开时取消任务并停止生成', async () => {
+        const session = targets.active;
+        for (const stream of [true, false]) {
+            page.agent = { reply: 'never', delay: 5000 };
+            const body = JSON.stringify({ stream, messages: [{ role: 'user', content: `abort ${stream}` }] });
+            const req = http.request({
+                host: '127.0.0.1', port, method: 'POST', path: '/v1/chat/completions', agent: false,
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+            });
+            req.on('error', () => {});
+            req.end(body);
+            await waitForCondition(() => page.busy);
+            req.destroy();
+
+            await waitForCondition(() => !page.busy && session.queue.size === 0);
+        }
+        page.agent = {};
+        const res = await request(port, 'POST', '/v1/chat/completions', { messages: [{ role: 'user', content: 'after abort' }] });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.choices[0].message.content, 'Echo: after abort');
+    });
+
+    it('CDP 连接断开后自动重连并恢复发送', async () => {
+        const disconnected = waitForEvent(targets, 'cdp.disconnected');
+        const reconnected = waitForEvent(targets, 'cdp.reconnected');
+        mock.dropConnections();
+        await disconnected;
+
+        const status = await request(port, 'GET', '/api/status');
+        assert.equal(status.body.data.cdpConnected, false);
+        const ready = await request(port, 'GET', '/readyz', undefined, null);
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.error, 'CDP 未连接');
+
+        await reconnected;
+        const res = await request(port, 'POST', '/api/send', { text: 'back again' });
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.reply, 'Echo: back again');
+    });
+
+    it('页面刷新后重新注入并恢复发送', async () => {
+        const reloaded = waitForEvent(targets, 'page.reloaded');
+        page.reload();
+        await reloaded;
+        const res = await request(port, 'POST', '/api/send', { text: 'reloaded' });
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.reply, 'Echo: reloaded');
+    });
+
+    it('/metrics 输出 Prometheus 文本格式的指标', async () => {
+        const ws = await connectWs(port);
+        const res = await download(port, '/metrics');
+        ws.close();
+        assert.equal(res.status, 200);
+        assert.equal(res.type, 'text/plain; version=0.0.4; charset=utf-8');
+
+        const text = res.body.toString();
+        const value = (series) => {
+            const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+            return line ? Number(line.slice(series.length + 1)) : NaN;
+        };
+        // 前面的用例已发送并收到回复，经历过一次重连与一次页面刷新
+        assert.ok(value('agl_prompts_sent_total') >= 3);
+        assert.ok(value('agl_replies_total{status="completed"}') >= 3);
+        assert.equal(value('agl_reply_duration_seconds_count'), value('agl_reply_duration_seconds_bucket{le="+Inf"}'));
+        assert.ok(value('agl_cdp_reconnects_total') >= 1);
+        assert.ok(value('agl_bridge_injections_total') >= 1);
+        assert.ok(value('agl_cdp_command_duration_seconds_count{method="Runtime.evaluate"}') > 0);
+        assert.equal(value('agl_targets_connected'), 1);
+        assert.equal(value('agl_ws_clients'), 1);
+        assert.match(text, /^# TYPE agl_reply_duration_seconds histogram$/m);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { Metrics, Counter, Histogram } = require('../src/metrics');
+
+/** 只有事件的会话，代替真实的 CDPController / InputInjector */
+function fakeSession(id, connected = true) {
+    const cdp = new EventEmitter();
+    cdp.connected = connected;
+    return { id, cdp, injector: new EventEmitter() };
+}
+
+describe('metrics', () => {
+    it('计数器按标签分组，标签值转义', () => {
+        const counter = new Counter('c_total', 'help');
+        assert.deepEqual(counter.lines(), ['c_total 0']);
+        counter.inc({ method: 'a"b\\c\nd' });
+        counter.inc({ method: 'a"b\\c\nd' }, 2);
+        assert.deepEqual(counter.lines(), ['c_total{method="a\\"b\\\\c\\nd"} 3']);
+    });
+
+    it('直方图输出累计桶、+Inf、_sum 与 _count', () => {
+        const histogram = new Histogram('h_seconds', 'help', [1, 5]);
+        histogram.observe({}, 0.5);
+        histogram.observe({}, 3);
+        histogram.observe({}, 10);
+        assert.deepEqual(histogram.lines(), [
+            'h_seconds_bucket{le="1"} 1',
+            'h_seconds_bucket{le="5"} 2',
+            'h_seconds_bucket{le="+Inf"} 3',
+            'h_seconds_sum 13.5',
+            'h_seconds_count 3',
+        ]);
+    });
+
+    it('接入已有与新建的会话，抓取时读取状态类指标', () => {
+        const targets = new EventEmitter();
+        targets.sessions = new Map([['a', fakeSession('a')]]);
+        let clients = 2;
+        const metrics = new Metrics({ clients: () => clients }).watch(targets);
+
+        const b = fakeSession('b', false);
+        targets.sessions.set('b', b);
+        targets.emit('session', b);
+
+        const a = targets.sessions.get('a');
+        a.injector.emit('sent', { attempt: 1 });
+        b.injector.emit('sent', { attempt: 2 });
+        a.injector.emit('reply', { success: true, status: 'completed', elapsed: 2 }, { startedAt: Date.now() - 2000 });
+        b.injector.emit('reply', { success: false, status: 'timeout', elapsed: 30 }, { startedAt: Date.now() });
+        a.cdp.emit('command', { method: 'Runtime.evaluate', duration: 20, error: null });
+        b.cdp.emit('command', { method: 'Runtime.evaluate', duration: 10000, error: 'Runtime.evaluate 超时 (10000ms)' });
+        b.cdp.emit('bridge.injected', { version: 1, profile: 'default' });
+        targets.emit('event', { target: 'b', event: 'cdp.reconnected', data: {} });
+        targets.emit('event', { target: 'b', event: 'agent.idle', data: {} });
+        clients = 1;
+
+        assert.equal(metrics.promptsSent.get(), 2);
+        assert.equal(metrics.replies.get({ status: 'completed' }), 1);
+        assert.equal(metrics.replies.get({ status: 'timeout' }), 1);
+        assert.equal(metrics.replyDuration.get().count, 2);
+        assert.equal(metrics.replyDuration.get().sum, 32);
+        assert.equal(metrics.commandDuration.get({ method: 'Runtime.evaluate' }).count, 2);
+        assert.equal(metrics.commandErrors.get({ method: 'Runtime.evaluate' }), 1);
+        assert.equal(metrics.injections.get(), 1);
+        assert.equal(metrics.reconnects.get(), 1);
+
+        const text = metrics.render();
+        assert.match(text, /^agl_targets_connected 1$/m);
+        assert.match(text, /^agl_ws_clients 1$/m);
+        assert.match(text, /^agl_build_info\{version="[^"]+"\} 1$/m);
+        assert.match(text, /^# TYPE agl_cdp_command_duration_seconds histogram$/m);
+        assert.ok(text.endsWith('\n'));
+    });
+});
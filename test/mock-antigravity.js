@@ -0,0 +1,438 @@
+/**
+ * 模拟 Antigravity 调试端口（测试用）
+ *
+ * 提供 /json/list 与每个页面的 CDP WebSocket，在 jsdom 构造的 agent 面板上执行命令：
+ *   - Runtime.enable / Runtime.addBinding / Runtime.evaluate（returnByValue + awaitPromise）
+ *   - Input.insertText / Input.dispatchKeyEvent（Ctrl+A、Backspace）/ Input.dispatchDragEvent
+ *   - Page.enable / Page.captureScreenshot（返回 1x1 的 PNG）/ Page.startScreencast（每 SCREENCAST_INTERVAL 毫秒推送一帧，
+ *     未 ack 的帧不再继续推送）/ Page.screencastFrameAck / Page.stopScreencast
+ *
+ * 面板结构与默认选择器配置一致：Lexical 输入框、Send / 停止按钮、用户消息、bot 消息、错误提示，
+ * 以及模型 / 模式下拉按钮（点击后在 body 下展开 listbox，Escape 关闭；可选项见 page.options，当前选择见 page.selection）。
+ * 点击 Send 后由 page.agent 描述的行为模拟 agent 回复：
+ *   reply          回复文本，或 (prompt) => 文本，默认 "Echo: <prompt>"
+ *   delay          开始回复前的忙碌时间（毫秒）
+ *   chunks         回复分几段写入（流式），chunkInterval 为段间隔
+ *   error          非空时不回复，改为显示这段错误提示
+ *   stopButton     忙碌时是否显示停止按钮（点击后立即结束生成）
+ *
+ *   const mock = new MockAntigravity();
+ *   const port = await mock.start();
+ *   mock.pages[0].agent = { reply: 'hi', chunks: 3, chunkInterval: 100 };
+ *   mock.dropConnections();   // 模拟 IDE 断开
+ *   mock.pages[0].reload();   // 模拟页面刷新（注入层丢失）
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const { JSDOM } = require('jsdom');
+
+const PANEL_HTML = `
+<div class="antigravity-agent-side-panel">
+  <div id="conversation"></div>
+  <div contenteditable="true" role="textbox" data-lexical-editor="true"></div>
+  <button aria-label="Select model"></button>
+  <button aria-label="Select mode"></button>
+  <button aria-label="Send">Send</button>
+</div>`;
+
+const SELECTION_OPTIONS = {
+    model: ['Gemini 3 Pro (High)', 'Gemini 3 Pro (Low)', 'Gemini 3 Flash'],
+    mode: ['Planning', 'Fast'],
+};
+
+/** 1x1 透明 PNG */
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const SCREENCAST_INTERVAL = 50;
+
+const AGENT_DEFAULTS = {
+    reply: (prompt) => `Echo: ${prompt}`,
+    delay: 100,
+    chunks: 1,
+    chunkInterval: 50,
+    error: null,
+    stopButton: true,
+};
+
+class MockPage {
+    /**
+     * @param {string} id
+     * @param {string} title
+     * @param {MockAntigravity} server
+     */
+    constructor(id, title, server) {
+        this.id = id;
+        this.title = title;
+        this.url = `file:///workbench/${id}.html`;
+        this.server = server;
+        /** 对 AGENT_DEFAULTS 的覆盖，测试中随时修改 */
+        this.agent = {};
+        /** 收到的提示词 */
+        this.prompts = [];
+        /** Input.dispatchDragEvent 的记录 */
+        this.drags = [];
+        /** Page.captureScreenshot 的参数记录 */
+        this.screenshots = [];
+        /** 进行中的画面推送: { ws, params, frame, acked } */
+        this.screencast = null;
+        /** 下拉菜单的可选项与当前选择 */
+        this.options = { model: [...SELECTION_OPTIONS.model], mode: [...SELECTION_OPTIONS.mode] };
+        this.selection = { model: this.options.model[0], mode: this.options.mode[0] };
+        /** @type {Set<WebSocket>} */
+        this.sockets = new Set();
+        this._timers = new Set();
+        this._load();
+    }
+
+    get document() {
+        return this.dom.window.document;
+    }
+
+    get busy() {
+        return !this.document.querySelector('button[aria-label="Send"]');
+    }
+
+    /** 模拟页面刷新：重建 DOM（注入层随之消失），并推送执行上下文事件 */
+    reload() {
+        this._clearTimers();
+        this.dom.window.close();
+        this._load();
+        this._broadcast('Runtime.executionContextsCleared', {});
+        this._broadcast('Runtime.executionContextCreated', {
+            context: { id: Date.now(), origin: '', name: '', auxData: { isDefault: true, frameId: this.id } },
+        });
+    }
+
+    close() {
+        this._clearTimers();
+        this._stopScreencast();
+        this.dom.window.close();
+    }
+
+    _load() {
+        this.dom = new JSDOM(`<!DOCTYPE html><title>${this.title}</title><body>${PANEL_HTML}</body>`, {
+            runScripts: 'outside-only',
+        });
+        const window = this.dom.window;
+        // jsdom 不做布局，注入层按尺寸判断可见性
+        window.HTMLElement.prototype.getBoundingClientRect = function () {
+            return { x: 0, y: 0, top: 0, left: 0, right: 100, bottom: 20, width: 100, height: 20 };
+        };
+        this._selectAll = false;
+        this._sendButton = this.document.querySelector('button[aria-label="Send"]');
+        this._sendButton.addEventListener('click', () => this._onSend());
+        for (const kind of ['model', 'mode']) {
+            const button = this.document.querySelector(`button[aria-label="Select ${kind}"]`);
+            button.textContent = this.selection[kind];
+            button.addEventListener('click', () => this._toggleDropdown(kind, button));
+        }
+        this.document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this._closeDropdown();
+        });
+        for (const ws of this.sockets) this._bindings(ws);
+    }
+
+    _toggleDropdown(kind, button) {
+        if (this._closeDropdown()) return;
+        const list = this.document.createElement('div');
+        list.setAttribute('role', 'listbox');
+        for (const label of this.options[kind]) {
+            const option = this.document.createElement('div');
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(label === this.selection[kind]));
+            option.textContent = label;
+            option.addEventListener('click', () => {
+                this.selection[kind] = label;
+                button.textContent = label;
+                this._closeDropdown();
+            });
+            list.appendChild(option);
+        }
+        this.document.body.appendChild(list);
+    }
+
+    _closeDropdown() {
+        const list = this.document.querySelector('body > [role="listbox"]');
+        if (list) list.remove();
+        return !!list;
+    }
+
+    _onSend() {
+        const editor = this.document.querySelector('[data-lexical-editor]');
+        const prompt = editor.textContent;
+        if (!prompt.trim()) return;
+        editor.textContent = '';
+        this.prompts.push(prompt);
+
+        const conversation = this.document.getElementById('conversation');
+        const user = this.document.createElement('div');
+        user.className = 'whitespace-pre-wrap';
+        user.textContent = prompt;
+        conversation.appendChild(user);
+        for (const banner of conversation.querySelectorAll('.error-banner')) banner.remove();
+
+        this._respond(prompt, { ...AGENT_DEFAULTS, ...this.agent });
+    }
+
+    _respond(prompt, agent) {
+        const panel = this.document.querySelector('.antigravity-agent-side-panel');
+        const conversation = this.document.getElementById('conversation');
+        this._sendButton.remove();
+
+        let stop = null;
+        const finish = () => {
+            if (stop) stop.remove();
+            panel.appendChild(this._sendButton);
+        };
+        if (agent.stopButton) {
+            stop = this.document.createElement('button');
+            stop.setAttribute('aria-label', 'Stop');
+            stop.textContent = 'Stop';
+            stop.addEventListener('click', () => {
+                this._clearTimers();
+                finish();
+            });
+            panel.appendChild(stop);
+        }
+
+        if (agent.error) {
+            this._after(agent.delay, () => {
+                const banner = this.document.createElement('div');
+                banner.className = 'error-banner';
+                banner.textContent = agent.error;
+                conversation.appendChild(banner);
+                finish();
+            });
+            return;
+        }
+
+        const text = typeof agent.reply === 'function' ? agent.reply(prompt) : String(agent.reply);
+        const size = Math.ceil(text.length / Math.max(agent.chunks, 1));
+        const parts = [];
+        for (let i = 0; i < text.length; i += size) parts.push(text.slice(i, i + size));
+
+        this._after(agent.delay, () => {
+            const bot = this.document.createElement('div');
+            bot.className = 'leading-relaxed select-text';
+            conversation.appendChild(bot);
+            // 空回复（如只调用了工具）：留下空的 bot 节点后直接结束
+            if (parts.length === 0) finish();
+            parts.forEach((part, i) => {
+                this._after(i * agent.chunkInterval, () => {
+                    bot.textContent += part;
+                    if (i === parts.length - 1) finish();
+                });
+            });
+        });
+    }
+
+    _after(ms, fn) {
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            fn();
+        }, ms);
+        this._timers.add(timer);
+    }
+
+    _clearTimers() {
+        for (const timer of this._timers) clearTimeout(timer);
+        this._timers.clear();
+    }
+
+    _pushFrame() {
+        const cast = this.screencast;
+        if (!cast.acked || cast.ws.readyState !== WebSocket.OPEN) return;
+        cast.frame++;
+        cast.acked = false;
+        cast.ws.send(JSON.stringify({
+            method: 'Page.screencastFrame',
+            params: {
+                data: PIXEL_PNG,
+                sessionId: cast.frame,
+                metadata: { offsetTop: 0, pageScaleFactor: 1, deviceWidth: 1, deviceHeight: 1, scrollOffsetX: 0, scrollOffsetY: 0, timestamp: Date.now() / 1000 },
+            },
+        }));
+    }
+
+    _stopScreencast() {
+        if (!this.screencast) return;
+        clearInterval(this.screencast.timer);
+        this.screencast = null;
+    }
+
+    _broadcast(method, params) {
+        const msg = JSON.stringify({ method, params });
+        for (const ws of this.sockets) if (ws.readyState === WebSocket.OPEN) ws.send(msg);
+    }
+
+    /** 页面重建后恢复已注册的 binding */
+    _bindings(ws) {
+        for (const name of ws.bindings || []) {
+            this.dom.window[name] = (payload) => {
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ method: 'Runtime.bindingCalled', params: { name, payload } }));
+                }
+            };
+        }
+    }
+
+    /**
+     * 执行一条 CDP 命令
+     * @returns {Promise<object>} result
+     */
+    async handle(ws, method, params = {}) {
+        switch (method) {
+            case 'Runtime.enable':
+                return {};
+            case 'Runtime.addBinding':
+                ws.bindings = [...new Set([...(ws.bindings || []), params.name])];
+                this._bindings(ws);
+                return {};
+            case 'Runtime.evaluate':
+                return this._evaluate(params.expression);
+            case 'Input.insertText': {
+                const el = this.document.activeElement;
+                if (el && el.isContentEditable !== false && el !== this.document.body) {
+                    el.textContent = this._selectAll ? params.text : el.textContent + params.text;
+                }
+                this._selectAll = false;
+                return {};
+            }
+            case 'Input.dispatchKeyEvent':
+                if (params.type === 'keyDown' && params.key === 'a' && params.modifiers === 2) {
+                    this._selectAll = true;
+                } else if (params.type === 'keyDown' && params.key === 'Backspace') {
+                    const el = this.document.activeElement;
+                    if (el && el !== this.document.body) {
+                        el.textContent = this._selectAll ? '' : el.textContent.slice(0, -1);
+                    }
+                    this._selectAll = false;
+                }
+                return {};
+            case 'Input.dispatchDragEvent':
+                this.drags.push({ type: params.type, x: params.x, y: params.y, files: params.data?.files || [] });
+                return {};
+            case 'Page.enable':
+                return {};
+            case 'Page.captureScreenshot':
+                this.screenshots.push(params);
+                return { data: PIXEL_PNG };
+            case 'Page.startScreencast':
+                this._stopScreencast();
+                this.screencast = { ws, params, frame: 0, acked: true, timer: setInterval(() => this._pushFrame(), SCREENCAST_INTERVAL) };
+                return {};
+            case 'Page.screencastFrameAck':
+                if (this.screencast && params.sessionId === this.screencast.frame) this.screencast.acked = true;
+                return {};
+            case 'Page.stopScreencast':
+                this._stopScreencast();
+                return {};
+            default:
+                throw Object.assign(new Error(`'${method}' wasn't found`), { cdpCode: -32601 });
+        }
+    }
+
+    async _evaluate(expression) {
+        try {
+            let value = this.dom.window.eval(expression);
+            if (value && typeof value.then === 'function') value = await value;
+            return { result: { type: value === null ? 'object' : typeof value, value } };
+        } catch (err) {
+            return {
+                result: { type: 'object', subtype: 'error', description: String(err && err.stack) },
+                exceptionDetails: { text: 'Uncaught', exception: { description: String(err && err.message) } },
+            };
+        }
+    }
+}
+
+class MockAntigravity {
+    /**
+     * @param {{ titles?: string[] }} [options]  titles: 各窗口标题，默认一个窗口
+     */
+    constructor(options = {}) {
+        this.titles = options.titles || ['Antigravity - mock'];
+        /** @type {MockPage[]} */
+        this.pages = [];
+        this.port = null;
+        this.httpServer = null;
+        this.wss = null;
+    }
+
+    /**
+     * @param {number} [port]  0 表示随机端口
+     * @returns {Promise<number>} 实际端口
+     */
+    start(port = 0) {
+        this.pages = this.titles.map((title, i) => new MockPage(`page-${i}`, title, this));
+        this.httpServer = http.createServer((req, res) => this._handleHttp(req, res));
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.httpServer.on('upgrade', (req, socket, head) => {
+            const page = this.pages.find((p) => req.url === `/devtools/page/${p.id}`);
+            if (!page) return socket.destroy();
+            this.wss.handleUpgrade(req, socket, head, (ws) => this._handleConnection(ws, page));
+        });
+        return new Promise((resolve) => {
+            // 与 fetchPages 一致使用 localhost
+            this.httpServer.listen(port, 'localhost', () => {
+                this.port = this.httpServer.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /** 断开全部 CDP 连接（模拟 IDE 重启），页面内容保留 */
+    dropConnections() {
+        for (const page of this.pages) {
+            for (const ws of page.sockets) ws.terminate();
+            page.sockets.clear();
+        }
+    }
+
+    async stop() {
+        this.dropConnections();
+        for (const page of this.pages) page.close();
+        if (this.wss) this.wss.close();
+        if (this.httpServer) await new Promise((resolve) => this.httpServer.close(resolve));
+        this.httpServer = null;
+    }
+
+    _handleHttp(req, res) {
+        if (req.url !== '/json/list' && req.url !== '/json') {
+            res.writeHead(404);
+            return res.end();
+        }
+        const list = this.pages.map((page) => ({
+            id: page.id,
+            type: 'page',
+            title: page.title,
+            url: page.url,
+            webSocketDebuggerUrl: `ws://localhost:${this.port}/devtools/page/${page.id}`,
+        }));
+        // 真实端口还会列出 worker 等非页面目标
+        list.push({ id: 'worker-0', type: 'service_worker', title: 'worker', url: 'file:///worker.js' });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(list));
+    }
+
+    _handleConnection(ws, page) {
+        page.sockets.add(ws);
+        ws.on('close', () => {
+            page.sockets.delete(ws);
+            if (page.screencast?.ws === ws) page._stopScreencast();
+        });
+        ws.on('message', async (raw) => {
+            const { id, method, params } = JSON.parse(raw.toString());
+            let reply;
+            try {
+                reply = { id, result: await page.handle(ws, method, params) };
+            } catch (err) {
+                reply = { id, error: { code: err.cdpCode || -32000, message: err.message } };
+            }
+            if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(reply));
+        });
+    }
+}
+
+module.exports = { MockAntigravity, MockPage, AGENT_DEFAULTS, PIXEL_PNG };
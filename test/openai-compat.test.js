@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChatRequest, OpenAIError } = require('../src/openai-compat');
+
+const messages = [{ role: 'user', content: 'hi' }];
+
+describe('parseChatRequest', () => {
+    it('timeout 只接受不超过上限的正数', () => {
+        assert.equal(parseChatRequest({ messages }).timeout, undefined);
+        assert.equal(parseChatRequest({ messages, timeout: 1500 }, { maxTimeout: 60000 }).timeout, 1500);
+        assert.equal(parseChatRequest({ messages, timeout: 60000 }, { maxTimeout: 60000 }).timeout, 60000);
+
+        for (const timeout of ['5000', -1, 0, NaN, Infinity, null, true]) {
+            assert.throws(() => parseChatRequest({ messages, timeout }), (err) => {
+                assert.ok(err instanceof OpenAIError);
+                assert.equal(err.status, 400);
+                return true;
+            }, String(timeout));
+        }
+        assert.throws(() => parseChatRequest({ messages, timeout: 1e12 }, { maxTimeout: 60000 }), /不能超过 60000ms/);
+    });
+});
@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { isInside } = require('../src/path-guard');
+
+describe('isInside', () => {
+    const root = path.resolve('/srv/files');
+
+    it('目录内的路径，包括以 .. 开头的文件名', () => {
+        for (const file of ['a.txt', 'logs/error.log', '..notes.md', '...txt', 'sub/..hidden', '.. spaced']) {
+            assert.equal(isInside(root, path.resolve(root, file)), true, file);
+        }
+    });
+
+    it('目录本身与目录外的路径', () => {
+        for (const file of ['', '.', '..', '../other', '../files-sibling/a', 'sub/../../x', '/etc/passwd']) {
+            assert.equal(isInside(root, path.resolve(root, file)), false, file);
+        }
+    });
+});
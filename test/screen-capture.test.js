@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAntigravity, PIXEL_PNG } = require('./mock-antigravity');
+const { CDPController } = require('../src/cdp-controller');
+const { injectBridge } = require('../src/bridge-injector');
+const { InputInjector } = require('../src/input-injector');
+const { captureScreenshot, Screencast } = require('../src/screen-capture');
+const { ErrorCodes } = require('../src/errors');
+
+/** 等待 emitter 发出 count 次事件 */
+function collect(emitter, name, count, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const items = [];
+        const timer = setTimeout(() => {
+            emitter.off(name, onEvent);
+            reject(new Error(`等待 ${name} 超时（收到 ${items.length} 次）`));
+        }, timeout);
+        const onEvent = (data) => {
+            items.push(data);
+            if (items.length < count) return;
+            clearTimeout(timer);
+            emitter.off(name, onEvent);
+            resolve(items);
+        };
+        emitter.on(name, onEvent);
+    });
+}
+
+describe('screen-capture', () => {
+    let mock;
+    let page;
+    let cdp;
+
+    beforeEach(async () => {
+        mock = new MockAntigravity();
+        await mock.start();
+        page = mock.pages[0];
+        cdp = new CDPController(mock.port);
+        await cdp.autoConnect();
+        await injectBridge(cdp);
+    });
+
+    afterEach(async () => {
+        cdp.disconnect();
+        await mock.stop();
+    });
+
+    it('截取整个窗口', async () => {
+        const shot = await captureScreenshot(cdp);
+        assert.deepEqual(shot, { format: 'png', data: PIXEL_PNG, clip: null });
+        assert.deepEqual(page.screenshots, [{ format: 'png' }]);
+    });
+
+    it('按元素名或 CSS 选择器裁剪，jpeg 带质量参数', async () => {
+        const shot = await captureScreenshot(cdp, { clip: 'panel', format: 'jpeg', quality: 50 });
+        assert.deepEqual(shot.clip, { x: 0, y: 0, width: 100, height: 20 });
+        assert.deepEqual(page.screenshots[0], { format: 'jpeg', quality: 50, clip: { x: 0, y: 0, width: 100, height: 20, scale: 1 } });
+
+        await captureScreenshot(cdp, { clip: '#conversation' });
+        assert.equal(page.screenshots[1].clip.width, 100);
+    });
+
+    it('参数无效或找不到元素时报错', async () => {
+        await assert.rejects(captureScreenshot(cdp, { format: 'gif' }), (err) => err.code === ErrorCodes.INVALID_PARAMS);
+        await assert.rejects(captureScreenshot(cdp, { format: 'jpeg', quality: 101 }), (err) => err.code === ErrorCodes.INVALID_PARAMS);
+        await assert.rejects(captureScreenshot(cdp, { clip: '#missing' }), (err) => err.code === ErrorCodes.OPERATION_FAILED);
+        await assert.rejects(captureScreenshot(cdp, { clip: 'div[' }), (err) => err.code === ErrorCodes.INVALID_PARAMS);
+        assert.equal(page.screenshots.length, 0);
+    });
+
+    it('快照去掉脚本、事件属性与危险链接', async () => {
+        await cdp.evaluate(`document.getElementById('conversation').innerHTML =
+            '<div class="msg" onclick="steal()" data-id="1">hi <a href="javascript:alert(1)">x</a> <a href="https://example.com">ok</a></div>' +
+            '<a href="java&#x09;script:alert(2)">tab</a><a href="java\\nscript:alert(3)">nl</a>' +
+            '<a href=" &#x01;JaVaScRiPt:alert(4)">ctl</a><img src="da&#x0d;ta:image/png;base64,BBBB" alt="cr">' +
+            '<script>steal()</script><style>p{}</style><img src="data:image/png;base64,AAAA" alt="pic"><svg><path d="M0"/></svg>'`);
+        const injector = new InputInjector(cdp);
+        const snapshot = await injector.getSnapshot();
+
+        assert.equal(snapshot.found, true);
+        assert.equal(snapshot.truncated, false);
+        assert.match(snapshot.html, /^<div id="conversation">/);
+        assert.match(snapshot.html, /<div class="msg" data-id="1">hi /);
+        assert.match(snapshot.html, /href="https:\/\/example.com"/);
+        assert.match(snapshot.html, /<img alt="pic">/);
+        assert.match(snapshot.html, /<svg><\/svg>/);
+        assert.match(snapshot.html, /<a>tab<\/a><a>nl<\/a><a>ctl<\/a><img alt="cr">/);
+        assert.doesNotMatch(snapshot.html, /onclick|script:|<script|<style|steal|ta:image|alert/i);
+        // 页面本身不受影响
+        assert.ok(page.document.querySelector('#conversation script'));
+
+        const cut = await injector.getSnapshot(20);
+        assert.equal(cut.html.length, 20);
+        assert.equal(cut.truncated, true);
+        assert.equal(cut.length, snapshot.length);
+    });
+
+    it('多个订阅者共用一路画面，帧收到后 ack', async () => {
+        const cast = new Screencast(cdp);
+        const first = await cast.subscribe('a', { format: 'png', maxWidth: 640 });
+        assert.equal(first.shared, false);
+        assert.equal(page.screencast.params.format, 'png');
+        assert.equal(page.screencast.params.maxWidth, 640);
+
+        const second = await cast.subscribe('b', { format: 'jpeg' });
+        assert.equal(second.shared, true);
+        assert.equal(second.options.format, 'png');
+
+        // 每帧都 ack 后 mock 才会推送下一帧
+        const frames = await collect(cast, 'frame', 3);
+        assert.deepEqual(frames.map((f) => f.format), ['png', 'png', 'png']);
+        assert.equal(frames[0].data, PIXEL_PNG);
+        assert.equal(typeof frames[0].metadata.timestamp, 'number');
+
+        assert.equal(await cast.unsubscribe('a'), true);
+        assert.ok(page.screencast, '仍有订阅者时继续推送');
+        const stopped = collect(cast, 'stopped', 1);
+        assert.equal(await cast.unsubscribe('b'), true);
+        assert.deepEqual(await stopped, [{ reason: 'unsubscribed', subscribers: [] }]);
+        assert.equal(page.screencast, null);
+        assert.equal(await cast.unsubscribe('b'), false);
+    });
+
+    it('CDP 断开时停止并带上仍在订阅的标识', async () => {
+        const cast = new Screencast(cdp);
+        await cast.subscribe('a');
+        const stopped = collect(cast, 'stopped', 1);
+        mock.dropConnections();
+        assert.deepEqual(await stopped, [{ reason: 'cdp.disconnected', subscribers: ['a'] }]);
+        assert.equal(cast.running, false);
+    });
+});
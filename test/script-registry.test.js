@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockAntigravity } = require('./mock-antigravity');
+const { CDPController } = require('../src/cdp-controller');
+const { injectBridge } = require('../src/bridge-injector');
+const { ScriptRegistry } = require('../src/script-registry');
+const { ErrorCodes } = require('../src/errors');
+
+function scriptsDir(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agl-scripts-'));
+    for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+    return dir;
+}
+
+describe('ScriptRegistry', () => {
+    let mock;
+    let cdp;
+    let dir;
+
+    before(async () => {
+        mock = new MockAntigravity();
+        await mock.start();
+        cdp = new CDPController(mock.port);
+        await cdp.autoConnect();
+        await injectBridge(cdp);
+        dir = scriptsDir({
+            'greet.js': [
+                '/**',
+                ' * 问候',
+                ' * @param {string} args.name  名字',
+                ' * @param {number} [args.times=1]  次数',
+                ' */',
+                'function (args) {',
+                '    return { text: new Array((args.times || 1) + 1).join("hi " + args.name + " ").trim(), title: document.title };',
+                '}',
+            ].join('\n'),
+            'later.js': 'async function (args) { await new Promise((r) => setTimeout(r, 10)); return args.value; };',
+            'fail.js': 'function () { throw new Error("boom"); } // 行尾注释',
+            'page-info.js': 'function () { return "overridden"; }',
+        });
+    });
+
+    after(async () => {
+        cdp.disconnect();
+        await mock.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('加载内置脚本', () => {
+        const names = new ScriptRegistry().load().list().map((s) => s.name);
+        assert.ok(names.includes('page-info'));
+        assert.ok(names.includes('query-text'));
+    });
+
+    it('从文档注释读取说明与参数，自定义脚本覆盖同名内置脚本', () => {
+        const registry = new ScriptRegistry(dir).load();
+        const greet = registry.list().find((s) => s.name === 'greet');
+        assert.equal(greet.description, '问候');
+        assert.equal(greet.builtin, false);
+        assert.deepEqual(greet.params, [
+            { name: 'name', type: 'string', required: true, description: '名字' },
+            { name: 'times', type: 'number', required: false, description: '次数' },
+        ]);
+        assert.equal(registry.list().find((s) => s.name === 'page-info').builtin, false);
+    });
+
+    it('以 JSON 参数在页面中执行并取回返回值', async () => {
+        const registry = new ScriptRegistry(dir).load();
+        assert.deepEqual(await registry.run(cdp, 'greet', { name: 'bob', times: 2 }), { text: 'hi bob hi bob', title: mock.pages[0].title });
+        assert.deepEqual(await registry.run(cdp, 'later', { value: [1, 'two'] }), [1, 'two']);
+        assert.equal(await registry.run(cdp, 'later', {}), null);
+        assert.equal(await registry.run(cdp, 'page-info'), 'overridden');
+    });
+
+    it('参数中的代码不会被执行', async () => {
+        const registry = new ScriptRegistry(dir).load();
+        const name = '"); window.__pwned = 1; ("';
+        const result = await registry.run(cdp, 'greet', { name });
+        assert.equal(result.text, `hi ${name}`);
+        assert.equal((await cdp.evaluate('window.__pwned')).result.value, undefined);
+    });
+
+    it('内置脚本可在模拟面板中运行', async () => {
+        const registry = new ScriptRegistry().load();
+        const info = await registry.run(cdp, 'page-info');
+        assert.equal(info.title, mock.pages[0].title);
+        assert.equal(info.profile, 'antigravity-default');
+        const text = await registry.run(cdp, 'query-text', { selector: 'button[aria-label="Send"]' });
+        assert.deepEqual(text, { total: 1, items: [{ tag: 'button', text: 'Send' }] });
+    });
+
+    it('未知脚本、缺少参数与脚本异常分别报错', async () => {
+        const registry = new ScriptRegistry(dir).load();
+        await assert.rejects(registry.run(cdp, 'nope'), (err) => err.code === ErrorCodes.SCRIPT_NOT_FOUND);
+        await assert.rejects(registry.run(cdp, 'greet', {}), (err) => err.code === ErrorCodes.INVALID_PARAMS && /name/.test(err.message));
+        await assert.rejects(registry.run(cdp, 'greet', ['bob']), (err) => err.code === ErrorCodes.INVALID_PARAMS);
+        await assert.rejects(registry.run(cdp, 'fail'), (err) => err.code === ErrorCodes.OPERATION_FAILED && /boom/.test(err.message));
+    });
+
+    it('无效脚本在加载时报错', () => {
+        const bad = scriptsDir({ 'expr.js': 'document.title', 'syntax.js': 'function (args) {', 'bad name.js': 'function () {}' });
+        try {
+            assert.throws(() => new ScriptRegistry(bad).load(), (err) => {
+                assert.match(err.message, /expr\.js: 内容必须是函数表达式/);
+                assert.match(err.message, /syntax\.js/);
+                assert.match(err.message, /bad name\.js: 脚本名/);
+                return true;
+            });
+        } finally {
+            fs.rmSync(bad, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { MockAntigravity } = require('./mock-antigravity');
+const { TargetManager } = require('../src/target-manager');
+const { CDPSupervisor } = require('../src/cdp-supervisor');
+const { StateWatcher } = require('../src/state-watcher');
+
+/** 页面上仍处于打开状态的 CDP 连接数 */
+function openSockets(page) {
+    return [...page.sockets].filter((ws) => ws.readyState === WebSocket.OPEN).length;
+}
+
+describe('TargetManager', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = new MockAntigravity();
+        await server.start();
+        page = server.pages[0];
+    });
+
+    after(() => server.stop());
+
+    it('会话建立中途失败时停止守护并断开 CDP', async () => {
+        const start = mock.method(StateWatcher.prototype, 'start', async () => {
+            throw new Error('watch failed');
+        });
+        const stop = mock.method(CDPSupervisor.prototype, 'stop');
+        const targets = new TargetManager(server.port);
+        try {
+            await assert.rejects(targets.connectInitial(), /watch failed/);
+            assert.equal(targets.sessions.size, 0);
+            assert.equal(stop.mock.callCount(), 1);
+
+            const deadline = Date.now() + 2000;
+            while (openSockets(page) > 0 && Date.now() < deadline) await new Promise((r) => setTimeout(r, 20));
+            assert.equal(openSockets(page), 0);
+        } finally {
+            start.mock.restore();
+            stop.mock.restore();
+            targets.close();
+        }
+
+        // 失败后可以重新连接
+        const retry = new TargetManager(server.port);
+        try {
+            const session = await retry.connectInitial();
+            assert.equal(session.id, page.id);
+        } finally {
+            retry.close();
+        }
+    });
+});
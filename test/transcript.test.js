@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TranscriptRecorder } = require('../src/transcript');
+
+const EVIL = '<script>alert("x")</script>';
+
+/** 只提供 getMessages 与当前页面的注入器 */
+function fakeInjector(messages, page = { title: `Antigravity ${EVIL}`, url: 'file:///workbench.html' }) {
+    return { cdp: { currentPage: page }, getMessages: async () => messages };
+}
+
+describe('TranscriptRecorder', () => {
+    it('HTML 导出转义消息、代码块、标题、窗口名与错误', async () => {
+        const messages = [
+            { id: 'm1', role: 'user', text: `请解释 ${EVIL}`, markdown: `请解释 ${EVIL}` },
+            {
+                id: 'm2',
+                role: 'assistant',
+                text: 'x',
+                markdown: [
+                    '段落里的 <img src=x onerror="steal()"> 与 `<b>code</b>`',
+                    '',
+                    '```html',
+                    '</code></pre><script>steal()</script>',
+                    '```',
+                    '',
+                    '```js" onmouseover="steal()',
+                    'a < b',
+                    '```',
+                ].join('\n'),
+            },
+        ];
+        const recorder = new TranscriptRecorder(fakeInjector(messages));
+        await recorder.recordTurn({ success: false, status: 'error', error: `<b>${EVIL}</b>`, elapsed: 3 }, { startedAt: Date.now() });
+        const html = await recorder.export('html');
+
+        assert.doesNotMatch(html, /<script>|<img|<b>|onmouseover="|onerror="/);
+        assert.match(html, /<title>请解释 &lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;<\/title>/);
+        assert.match(html, /<p class="meta">Antigravity &lt;script&gt;/);
+        assert.match(html, /<pre><code class="language-html">&lt;\/code&gt;&lt;\/pre&gt;&lt;script&gt;steal\(\)&lt;\/script&gt;<\/code><\/pre>/);
+        assert.match(html, /<code>&lt;b&gt;code&lt;\/b&gt;<\/code>/);
+        // 语言名不合法的代码块不作为代码块输出，整体按段落转义
+        assert.doesNotMatch(html, /class="language-js/);
+        assert.match(html, /a &lt; b/);
+        assert.match(html, /<p class="error">错误: &lt;b&gt;&lt;script&gt;/);
+        assert.match(html, /<p class="meta">状态: error，耗时 3s/);
+    });
+
+    it('JSON 导出按轮次分组并带上每轮的状态', async () => {
+        const messages = [
+            { id: 'm1', role: 'user', text: 'a' },
+            { id: 'm2', role: 'assistant', text: 'b', markdown: '**b**' },
+            { id: 'm3', role: 'user', text: 'c' },
+        ];
+        const recorder = new TranscriptRecorder(fakeInjector(messages.slice(0, 2)), { target: 'page-0' });
+        await recorder.recordTurn({ success: true, status: 'completed', elapsed: 2 }, { startedAt: Date.now() - 2000 });
+        recorder.injector.getMessages = async () => messages;
+
+        const transcript = await recorder.export('json');
+        assert.equal(transcript.title, 'a');
+        assert.equal(transcript.target, 'page-0');
+        assert.deepEqual(transcript.turns.map((t) => [t.status, t.elapsed, t.messages.map((m) => m.markdown)]), [
+            ['completed', 2, ['a', '**b**']],
+            [null, null, ['c']],
+        ]);
+        await assert.rejects(recorder.export('pdf'), /format 无效/);
+    });
+});